@@ -6,7 +6,10 @@ const cors = require('cors');
 const compression = require('compression');
 const morgan = require('morgan');
 const userRoutes = require('./routes/userRoutes');
-const fileUploadRoutes = require('./routes/uploadRoutes');
+const leedRuleRoutes = require('./routes/leedRuleRoute');
+const projectRoutes = require('./routes/projectRoutes');
+const storageRoutes = require('./routes/storageRoutes');
+const authenticate = require('./middlewares/authenticate');
 // you will create this
 
 const app = express();
@@ -17,9 +20,14 @@ app.use(compression());
 app.use(express.json());
 app.use(morgan('dev'));
 
-app.use('/users', userRoutes);
-app.use('/upload', fileUploadRoutes);
 app.get('/health', (req, res) => res.status(200).send('API is healthy'));
+app.use('/users', userRoutes);
+app.use('/storage', storageRoutes);
+
+// Everything below requires a signed-in user
+app.use(authenticate);
+app.use('/leed', leedRuleRoutes);
+app.use('/projects', projectRoutes);
 
 // Centralized error handler (create in middlewares/errorHandler.js)
 const errorHandler = require('./middlewares/errorHandler');
@@ -1,4 +1,25 @@
-const 
-exports.LeedScoreController = async ()=>{
-
-}
\ No newline at end of file
+const { assessCredits } = require('../services/assessmentService');
+const { buildScorecard } = require('../services/scorecardService');
+const { successResponse } = require('../utils/response');
+
+/**
+ * Assess the submitted credits against the LEED rule engine.
+ *
+ * Body: { unitSystem: 'IP' | 'SI', credits: ['EACr6', ...], parameters: { EACr6: { ... } } }
+ */
+exports.LeedScoreController = async (req, res) => {
+    const { unitSystem, credits, parameters } = req.body;
+
+    const { results, summary } = assessCredits(credits, parameters, unitSystem);
+
+    return successResponse(res, {
+        message: 'LEED credit assessment completed successfully',
+        data: {
+            timestamp: new Date().toISOString(),
+            unitSystem,
+            results,
+            summary,
+            scorecard: buildScorecard(Object.values(results))
+        }
+    });
+};
@@ -0,0 +1,277 @@
+const ProjectInput = require('../models/projectInputModel');
+const Assessment = require('../models/assessmentModel');
+const Signoff = require('../models/signoffModel');
+const { assessCredits, diffAssessments } = require('../services/assessmentService');
+const { buildScorecard } = require('../services/scorecardService');
+const { resolveManualEvidence, applyManualInputs, evidenceByCredit } = require('../services/evidenceService');
+const { can, deniedMessage } = require('../utils/permissions');
+const { successResponse, errorResponse } = require('../utils/response');
+
+function invalidEvidenceResponse(res, errors) {
+    return errorResponse(res, {
+        statusCode: 400,
+        message: 'Invalid evidence',
+        errors
+    });
+}
+
+async function loadInput(project, creditId) {
+    return await ProjectInput.findOne({ project: project._id, creditId })
+        || new ProjectInput({ project: project._id, creditId, parameters: {} });
+}
+
+exports.listInputs = async (req, res) => {
+    const inputs = await ProjectInput.find({ project: req.project._id }).sort({ creditId: 1 });
+
+    return successResponse(res, {
+        message: 'Project inputs fetched successfully',
+        data: inputs
+    });
+};
+
+/**
+ * Save a credit's parameter values.
+ *
+ * Body: { parameters: { ... }, evidence?: { <parameter>: { file?, page?, snippet? } } }
+ * Values are recorded as entered manually, citing the project file given as their evidence.
+ */
+exports.saveInputs = async (req, res) => {
+    const { creditId } = req.params;
+    const { parameters, evidence } = req.body;
+
+    const resolved = await resolveManualEvidence(req.project, evidence);
+    if (resolved.errors.length > 0) return invalidEvidenceResponse(res, resolved.errors);
+
+    const input = await loadInput(req.project, creditId);
+    applyManualInputs(input, parameters, resolved.evidence);
+    await input.save();
+
+    return successResponse(res, {
+        message: 'Project inputs saved successfully',
+        data: input
+    });
+};
+
+/**
+ * Assess credits of a project from its saved inputs.
+ *
+ * Body: { credits?: ['EACr6', ...], parameters?: { EACr6: { ... } }, evidence?: { EACr6: { ... } } }
+ * Parameters sent in the body are saved as the credit's inputs before assessing.
+ * Without credits, every credit that has saved inputs is assessed. Results carry the
+ * evidence of every input value.
+ */
+exports.runAssessment = async (req, res) => {
+    const project = req.project;
+    const { credits: requested, parameters, evidence } = req.body;
+
+    if (Object.keys(parameters).length > 0 && !can(req.role, 'inputs:edit')) return errorResponse(res, {
+        statusCode: 403,
+        message: deniedMessage(req.role, 'inputs:edit')
+    });
+
+    const resolved = {};
+    for (const creditId of Object.keys(parameters)) {
+        resolved[creditId] = await resolveManualEvidence(project, evidence[creditId]);
+        if (resolved[creditId].errors.length > 0) {
+            return invalidEvidenceResponse(res, resolved[creditId].errors.map(error => ({ creditId, ...error })));
+        }
+    }
+
+    for (const [creditId, values] of Object.entries(parameters)) {
+        const input = await loadInput(project, creditId);
+        applyManualInputs(input, values, resolved[creditId].evidence);
+        await input.save();
+    }
+
+    const saved = await ProjectInput.find({ project: project._id });
+    const inputs = saved.reduce((byCredit, input) => {
+        byCredit[input.creditId] = input.parameters;
+        return byCredit;
+    }, {});
+    const credits = requested || Object.keys(inputs);
+
+    if (credits.length === 0) {
+        return errorResponse(res, {
+            statusCode: 400,
+            message: 'No credits to assess: send credits or save inputs first'
+        });
+    }
+
+    const { results, summary } = assessCredits(credits, inputs, project.unitSystem, await evidenceByCredit(saved));
+
+    // Every assessment is stored as a new run of the credit
+    const runs = await Promise.all(credits.map(creditId => Assessment.createRun({
+        project: project._id,
+        creditId,
+        unitSystem: project.unitSystem,
+        inputs: inputs[creditId] || {},
+        result: results[creditId]
+    })));
+    const runNumbers = runs.reduce((byCredit, assessment) => {
+        byCredit[assessment.creditId] = assessment.run;
+        return byCredit;
+    }, {});
+
+    return successResponse(res, {
+        message: 'LEED credit assessment completed successfully',
+        data: {
+            project: project._id,
+            unitSystem: project.unitSystem,
+            runs: runNumbers,
+            results,
+            summary
+        }
+    });
+};
+
+// Latest run of every assessed credit
+exports.listAssessments = async (req, res) => {
+    const assessments = await Assessment.latestForProject(req.project._id);
+
+    return successResponse(res, {
+        message: 'Project assessments fetched successfully',
+        data: assessments
+    });
+};
+
+// Scorecard built from the latest run of every assessed credit
+exports.getScorecard = async (req, res) => {
+    const assessments = await Assessment.latestForProject(req.project._id);
+
+    return successResponse(res, {
+        message: 'Project scorecard fetched successfully',
+        data: {
+            project: req.project._id,
+            ratingSystem: req.project.ratingSystem,
+            ...buildScorecard(assessments.map(assessment => assessment.result))
+        }
+    });
+};
+
+// Latest run of a credit
+exports.getAssessment = async (req, res) => {
+    const assessment = await Assessment.findOne({ project: req.project._id, creditId: req.params.creditId }).sort({ run: -1 });
+    if (!assessment) return errorResponse(res, {
+        statusCode: 404,
+        message: 'Assessment not found'
+    });
+
+    return successResponse(res, {
+        message: 'Project assessment fetched successfully',
+        data: assessment
+    });
+};
+
+exports.getAssessmentHistory = async (req, res) => {
+    const runs = await Assessment.find({ project: req.project._id, creditId: req.params.creditId })
+        .sort({ run: -1 })
+        .select('run unitSystem result.points result.maxPoints result.status createdAt');
+
+    return successResponse(res, {
+        message: 'Assessment history fetched successfully',
+        data: runs.map(run => ({
+            run: run.run,
+            unitSystem: run.unitSystem,
+            points: run.result.points,
+            maxPoints: run.result.maxPoints,
+            status: run.result.status,
+            createdAt: run.createdAt
+        }))
+    });
+};
+
+exports.getAssessmentRun = async (req, res) => {
+    const assessment = await Assessment.findOne({
+        project: req.project._id,
+        creditId: req.params.creditId,
+        run: req.params.run
+    });
+    if (!assessment) return errorResponse(res, {
+        statusCode: 404,
+        message: 'Assessment run not found'
+    });
+
+    return successResponse(res, {
+        message: 'Assessment run fetched successfully',
+        data: assessment
+    });
+};
+
+/**
+ * Diff two runs of a credit: ?from=<run>&to=<run>.
+ * Defaults to the latest run against the run before it.
+ */
+exports.diffAssessmentRuns = async (req, res) => {
+    const filter = { project: req.project._id, creditId: req.params.creditId };
+    const latest = await Assessment.findOne(filter).sort({ run: -1 }).select('run');
+    if (!latest) return errorResponse(res, {
+        statusCode: 404,
+        message: 'Assessment not found'
+    });
+
+    const to = req.query.to !== undefined ? req.query.to : latest.run;
+    const from = req.query.from !== undefined ? req.query.from : to - 1;
+    if (from >= to) {
+        return errorResponse(res, {
+            statusCode: 400,
+            message: 'from must be a run lower than to'
+        });
+    }
+
+    const runs = await Assessment.find({ ...filter, run: { $in: [from, to] } });
+    const fromRun = runs.find(run => run.run === from);
+    const toRun = runs.find(run => run.run === to);
+    if (!fromRun || !toRun) return errorResponse(res, {
+        statusCode: 404,
+        message: 'Assessment run not found'
+    });
+
+    return successResponse(res, {
+        message: 'Assessment runs compared successfully',
+        data: diffAssessments(fromRun, toRun)
+    });
+};
+
+/**
+ * Sign off a run of a credit (the latest unless body.run is given).
+ *
+ * Body: { decision: 'approved' | 'rejected', comment?, run? }
+ */
+exports.signOffAssessment = async (req, res) => {
+    const { decision, comment, run } = req.body;
+
+    const filter = { project: req.project._id, creditId: req.params.creditId };
+    if (run !== undefined) filter.run = run;
+    const assessment = await Assessment.findOne(filter).sort({ run: -1 }).select('run');
+    if (!assessment) return errorResponse(res, {
+        statusCode: 404,
+        message: run !== undefined ? 'Assessment run not found' : 'Assessment not found'
+    });
+
+    const signoff = await Signoff.create({
+        project: req.project._id,
+        creditId: req.params.creditId,
+        run: assessment.run,
+        reviewer: req.user._id,
+        decision,
+        comment
+    });
+
+    return successResponse(res, {
+        statusCode: 201,
+        message: 'Assessment signed off successfully',
+        data: signoff
+    });
+};
+
+// Every sign-off of a credit, latest first
+exports.listSignoffs = async (req, res) => {
+    const signoffs = await Signoff.find({ project: req.project._id, creditId: req.params.creditId })
+        .sort({ createdAt: -1 })
+        .populate('reviewer', 'name email');
+
+    return successResponse(res, {
+        message: 'Assessment sign-offs fetched successfully',
+        data: signoffs
+    });
+};
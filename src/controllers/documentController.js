@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const ExtractedDocument = require('../models/extractedDocumentModel');
+const { successResponse, errorResponse } = require('../utils/response');
+
+exports.listDocuments = async (req, res) => {
+    const filter = { project: req.project._id };
+    if (req.query.status) filter.status = req.query.status;
+    const documents = await ExtractedDocument.find(filter)
+        .select('-pages')
+        .populate('file', 'project folder name')
+        .sort({ createdAt: -1 });
+
+    return successResponse(res, {
+        message: 'Project documents fetched successfully',
+        data: documents
+    });
+};
+
+/**
+ * Extracted text and tables of one document; ?page=N returns a single page
+ */
+exports.getDocument = async (req, res) => {
+    const document = mongoose.isValidObjectId(req.params.documentId)
+        ? await ExtractedDocument.findOne({ _id: req.params.documentId, project: req.project._id })
+            .populate('file', 'project folder name')
+        : null;
+
+    if (!document) return errorResponse(res, {
+        statusCode: 404,
+        message: 'Document not found'
+    });
+
+    if (req.query.page !== undefined) {
+        const page = document.pages.find(item => item.number === Number(req.query.page));
+        if (!page) return errorResponse(res, {
+            statusCode: 404,
+            message: `Page ${req.query.page} not found`
+        });
+        document.pages = [page];
+    }
+
+    return successResponse(res, {
+        message: 'Project document fetched successfully',
+        data: document
+    });
+};
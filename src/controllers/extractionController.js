@@ -0,0 +1,93 @@
+const ExtractedDocument = require('../models/extractedDocumentModel');
+const ProjectInput = require('../models/projectInputModel');
+const { getProvider, extractParameters } = require('../services/parameterExtractionService');
+const { applyExtractedInputs } = require('../services/evidenceService');
+const { creditParameters } = require('../validators/creditSchemas');
+const { can, deniedMessage } = require('../utils/permissions');
+const { successResponse, errorResponse } = require('../utils/response');
+
+/**
+ * Check extracted values against the credit's parameter schema, as entered values are
+ * @param {string} creditId - Credit id
+ * @param {Object} values - { <parameter>: value }
+ * @returns {Object} { values, rejected }; rejected lists { parameter, message } of values left out
+ */
+function checkExtracted(creditId, values) {
+    const { error } = creditParameters(creditId).validate(values, { abortEarly: false });
+    const rejected = (error ? error.details : []).map(detail => ({ parameter: String(detail.path[0]), message: detail.message }));
+
+    const accepted = Object.keys(values)
+        .filter(parameter => !rejected.some(entry => entry.parameter === parameter))
+        .reduce((all, parameter) => ({ ...all, [parameter]: values[parameter] }), {});
+    return { values: accepted, rejected };
+}
+
+/**
+ * Extract credit parameters from the project's documents.
+ *
+ * Body: { credits: ['EACr6', ...], documents?: [documentId, ...], apply?: boolean }
+ * With apply, extracted values that pass the credit's parameter checks are saved as the credit's
+ * inputs where no value was entered yet, citing the document, page and snippet each was read from.
+ * Values that fail the checks are listed as rejected and not saved.
+ */
+exports.runExtraction = async (req, res) => {
+    const { credits, documents: documentIds, apply } = req.body;
+
+    if (apply && !can(req.role, 'inputs:edit')) {
+        return errorResponse(res, {
+            statusCode: 403,
+            message: deniedMessage(req.role, 'inputs:edit')
+        });
+    }
+
+    const filter = { project: req.project._id, status: 'extracted' };
+    if (documentIds !== undefined) filter._id = { $in: documentIds };
+
+    const documents = await ExtractedDocument.find(filter).sort({ createdAt: 1 });
+    if (documents.length === 0) {
+        return errorResponse(res, {
+            statusCode: 400,
+            message: 'No extracted documents to read: upload project files first'
+        });
+    }
+
+    let provider;
+    const results = {};
+    try {
+        provider = getProvider();
+        for (const creditId of credits) {
+            results[creditId] = await extractParameters(creditId, documents, provider);
+        }
+    } catch (error) {
+        return errorResponse(res, {
+            statusCode: 502,
+            message: `Parameter extraction failed: ${error.message}`
+        });
+    }
+
+    if (apply) {
+        for (const creditId of credits) {
+            const input = await ProjectInput.findOne({ project: req.project._id, creditId })
+                || new ProjectInput({ project: req.project._id, creditId, parameters: {} });
+
+            const { values, rejected } = checkExtracted(creditId, results[creditId].parameters);
+
+            // Values already entered are kept
+            const applied = Object.keys(values).filter(parameter => input.parameters[parameter] === undefined);
+            applyExtractedInputs(input, { ...results[creditId], parameters: values }, applied, documents);
+            await input.save();
+
+            results[creditId].applied = applied;
+            results[creditId].rejected = rejected;
+        }
+    }
+
+    return successResponse(res, {
+        message: 'Parameter extraction completed successfully',
+        data: {
+            provider: provider.name,
+            documents: documents.map(document => ({ _id: document._id, name: document.name })),
+            results
+        }
+    });
+};
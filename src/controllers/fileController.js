@@ -0,0 +1,79 @@
+const ProjectFile = require('../models/projectFileModel');
+const { getStorage } = require('../services/storageService');
+const { createFileLink, deleteProjectFiles } = require('../services/fileService');
+const { successResponse, errorResponse } = require('../utils/response');
+
+async function loadFile(req) {
+    return ProjectFile.findOne({ _id: req.params.fileId, project: req.project._id });
+}
+
+function fileNotFound(res) {
+    return errorResponse(res, {
+        statusCode: 404,
+        message: 'File not found'
+    });
+}
+
+exports.getFile = async (req, res) => {
+    const file = await loadFile(req);
+    if (!file) return fileNotFound(res);
+
+    return successResponse(res, {
+        message: 'Project file fetched successfully',
+        data: file
+    });
+};
+
+// Stream a project file's contents as a download
+exports.downloadFile = async (req, res) => {
+    const file = await loadFile(req);
+    if (!file) return fileNotFound(res);
+
+    let content;
+    try {
+        content = await getStorage().stream(file.key);
+    } catch (error) {
+        console.error(`Reading ${file.key} from storage failed:`, error);
+        return errorResponse(res, {
+            statusCode: 404,
+            message: 'File contents not found in storage'
+        });
+    }
+
+    res.attachment(file.name);
+    res.set('Content-Type', file.type || content.contentType || 'application/octet-stream');
+    if (content.size !== undefined) res.set('Content-Length', content.size);
+
+    content.stream.on('error', error => {
+        console.error(`Streaming ${file.key} failed:`, error);
+        res.destroy(error);
+    });
+    content.stream.pipe(res);
+};
+
+/**
+ * Expiring read link to a project file, to share with someone who has no account or storage access.
+ *
+ * Query: ?expiresIn=<seconds> (default FILE_LINK_EXPIRES_SECONDS)
+ */
+exports.getFileLink = async (req, res) => {
+    const file = await loadFile(req);
+    if (!file) return fileNotFound(res);
+
+    return successResponse(res, {
+        message: 'File link created successfully',
+        data: await createFileLink(file, req.query.expiresIn)
+    });
+};
+
+// Removes the file from storage, the project and its extracted documents
+exports.deleteFile = async (req, res) => {
+    const file = await loadFile(req);
+    if (!file) return fileNotFound(res);
+
+    await deleteProjectFiles([file]);
+
+    return successResponse(res, {
+        message: 'Project file deleted successfully'
+    });
+};
@@ -1,57 +1,36 @@
-const { uploadFile } = require('../utils/azureBlob');
-const path = require('path');
-const { v4: uuid } = require('uuid');
 const { successResponse, errorResponse } = require('../utils/response');
+const { findInfectedFiles } = require('../services/scanService');
+const { storeUploads } = require('../services/uploadService');
 
+// Files arrive checked against the folder's upload policy by the uploadFiles middleware, which answers
+// policy and validation failures itself; storage, scanner and database errors reach the error handler
 exports.FileUpload = async (req, res) => {
+    // The folder and the names in the body are checked by uploadSchemas before they reach the blob key
     const foldername = req.params.foldername;
 
-    try {
-        if (!req.files) {
-            return errorResponse(res, {
-                statusCode: 400,
-                message: "File is required"
-            });
-        }
-
-        let fileNameExist = req.body || {};
-
-        const fileDetails = await Promise.all(
-            req.files.map(async (item) => await uploadFile(foldername, `${fileNameExist[item.fieldname] || uuid()}${path.extname(item.originalname)}`, item.buffer, item.mimetype))
-        );
-
-        if (fileDetails) {
-            let fileSave = [];
-
-            req.files.forEach((element, index) => {
-                fileSave.push({
-                    name: element.originalname.replace(/ /g, '_'),
-                    url: fileDetails[index].url,
-                    lastModified: fileDetails[index].lastModified,
-                    size: element.size,
-                    type: element.mimetype
-                });
-
-            });
-
-            return successResponse(res, {
-                statusCode: 200,
-                message: "Successfully Upload",
-                data: fileSave
-            });
-        } else {
-            return errorResponse(res, {
-                statusCode: 404,
-                message: "Unable to Upload"
-            });
-        }
-    } catch (error) {
-        console.log(error);
+    if (!req.files || req.files.length === 0) {
         return errorResponse(res, {
             statusCode: 400,
-            message: error.message
+            message: "File is required"
+        });
+    }
+
+    // Nothing is stored when any file is infected
+    const infected = await findInfectedFiles(req.files);
+    if (infected.length > 0) {
+        return errorResponse(res, {
+            statusCode: 422,
+            message: "Malware found; nothing was uploaded",
+            errors: infected.map(({ file, threat }) => ({ field: file.fieldname, file: file.originalname, threat }))
         });
     }
-};
 
+    // Uploads are recorded against the project and their text extracted
+    const fileSave = await storeUploads(req.files, { project: req.project, folder: foldername, names: req.body });
 
+    return successResponse(res, {
+        statusCode: 200,
+        message: "Successfully Upload",
+        data: fileSave
+    });
+};
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const { successResponse, errorResponse } = require('../utils/response');
+
+function findMember(project, userId) {
+    return project.members.find(member => String(member.user) === String(userId));
+}
+
+// The owner first, then every member with their role
+exports.listMembers = async (req, res) => {
+    await req.project.populate([
+        { path: 'owner', select: 'name email' },
+        { path: 'members.user', select: 'name email' }
+    ]);
+
+    const owner = req.project.owner;
+    return successResponse(res, {
+        message: 'Project members fetched successfully',
+        data: [
+            { user: { _id: owner._id, name: owner.name, email: owner.email }, role: 'owner', addedAt: req.project.createdAt },
+            ...req.project.members
+                .filter(member => member.user)
+                .map(member => ({
+                    user: { _id: member.user._id, name: member.user.name, email: member.user.email },
+                    role: member.role,
+                    addedAt: member.addedAt
+                }))
+        ]
+    });
+};
+
+// Body: { email, role }, checked by projectSchemas.addMember
+exports.addMember = async (req, res) => {
+    const { email, role } = req.body;
+
+    const user = await User.findOne({ email });
+    if (!user) return errorResponse(res, {
+        statusCode: 404,
+        message: 'User not found'
+    });
+    if (user._id.equals(req.project.owner) || findMember(req.project, user._id)) return errorResponse(res, {
+        statusCode: 400,
+        message: 'User is already a member of this project'
+    });
+
+    req.project.members.push({ user: user._id, role });
+    await req.project.save();
+
+    return successResponse(res, {
+        statusCode: 201,
+        message: 'Project member added successfully',
+        data: { user: { _id: user._id, name: user.name, email: user.email }, role }
+    });
+};
+
+// Body: { role }, checked by projectSchemas.updateMember
+exports.updateMember = async (req, res) => {
+    const { role } = req.body;
+
+    if (String(req.project.owner) === req.params.userId) return errorResponse(res, {
+        statusCode: 400,
+        message: "The project owner's role cannot be changed"
+    });
+
+    const member = mongoose.isValidObjectId(req.params.userId) && findMember(req.project, req.params.userId);
+    if (!member) return errorResponse(res, {
+        statusCode: 404,
+        message: 'Project member not found'
+    });
+
+    member.role = role;
+    await req.project.save();
+
+    return successResponse(res, {
+        message: 'Project member updated successfully',
+        data: { user: member.user, role }
+    });
+};
+
+exports.removeMember = async (req, res) => {
+    if (String(req.project.owner) === req.params.userId) return errorResponse(res, {
+        statusCode: 400,
+        message: 'The project owner cannot be removed'
+    });
+
+    const member = mongoose.isValidObjectId(req.params.userId) && findMember(req.project, req.params.userId);
+    if (!member) return errorResponse(res, {
+        statusCode: 404,
+        message: 'Project member not found'
+    });
+
+    req.project.members = req.project.members.filter(candidate => candidate !== member);
+    await req.project.save();
+
+    return successResponse(res, {
+        message: 'Project member removed successfully'
+    });
+};
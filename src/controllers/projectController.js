@@ -0,0 +1,83 @@
+const Project = require('../models/projectModel');
+const ProjectInput = require('../models/projectInputModel');
+const Assessment = require('../models/assessmentModel');
+const ProjectFile = require('../models/projectFileModel');
+const ExtractedDocument = require('../models/extractedDocumentModel');
+const Signoff = require('../models/signoffModel');
+const { deleteProjectFiles } = require('../services/fileService');
+const { successResponse } = require('../utils/response');
+
+const EDITABLE_FIELDS = ['name', 'buildingType', 'ratingSystem', 'unitSystem'];
+
+function pickEditable(body = {}) {
+    return EDITABLE_FIELDS.reduce((fields, field) => {
+        if (body[field] !== undefined) fields[field] = body[field];
+        return fields;
+    }, {});
+}
+
+exports.createProject = async (req, res) => {
+    const project = new Project({ ...pickEditable(req.body), owner: req.user._id });
+    await project.save();
+
+    return successResponse(res, {
+        statusCode: 201,
+        message: 'Project created successfully',
+        data: project
+    });
+};
+
+// Projects the user owns or is a member of
+exports.listProjects = async (req, res) => {
+    const projects = await Project.find({ $or: [{ owner: req.user._id }, { 'members.user': req.user._id }] })
+        .sort({ updatedAt: -1 });
+
+    return successResponse(res, {
+        message: 'Projects fetched successfully',
+        data: projects
+    });
+};
+
+exports.getProject = async (req, res) => {
+    return successResponse(res, {
+        message: 'Project fetched successfully',
+        data: req.project
+    });
+};
+
+exports.updateProject = async (req, res) => {
+    req.project.set(pickEditable(req.body));
+    await req.project.save();
+
+    return successResponse(res, {
+        message: 'Project updated successfully',
+        data: req.project
+    });
+};
+
+exports.deleteProject = async (req, res) => {
+    const project = req.project._id;
+    await deleteProjectFiles(await ProjectFile.find({ project }));
+    await Promise.all([
+        ProjectInput.deleteMany({ project }),
+        Assessment.deleteMany({ project }),
+        ExtractedDocument.deleteMany({ project }),
+        Signoff.deleteMany({ project })
+    ]);
+    await req.project.deleteOne();
+
+    return successResponse(res, {
+        message: 'Project deleted successfully'
+    });
+};
+
+exports.listFiles = async (req, res) => {
+    const filter = { project: req.project._id };
+    if (req.query.folder) filter.folder = req.query.folder;
+    const files = await ProjectFile.find(filter).sort({ createdAt: -1 });
+
+    return successResponse(res, {
+        message: 'Project files fetched successfully',
+        data: files
+    });
+};
@@ -0,0 +1,22 @@
+const { REFRIGERANTS, lookupRefrigerant } = require('../rules/refrigerants');
+const { successResponse, errorResponse } = require('../utils/response');
+
+exports.listRefrigerants = async (req, res) => {
+    return successResponse(res, {
+        message: 'Refrigerants fetched successfully',
+        data: REFRIGERANTS
+    });
+};
+
+exports.getRefrigerant = async (req, res) => {
+    const refrigerant = lookupRefrigerant(req.params.name);
+    if (!refrigerant) return errorResponse(res, {
+        statusCode: 404,
+        message: `Refrigerant ${req.params.name} not found`
+    });
+
+    return successResponse(res, {
+        message: 'Refrigerant fetched successfully',
+        data: refrigerant
+    });
+};
@@ -0,0 +1,42 @@
+const Assessment = require('../models/assessmentModel');
+const { FORMATS, buildReport, renderHtml, renderCsv, renderPdf } = require('../services/reportService');
+const { signFileLinks } = require('../services/fileService');
+const { errorResponse } = require('../utils/response');
+
+const RENDERERS = {
+    html: renderHtml,
+    csv: renderCsv,
+    pdf: renderPdf
+};
+
+// Lifetime of the evidence links written into a report, in seconds; reports are read long after download
+const REPORT_LINK_EXPIRES_IN = Number(process.env.REPORT_LINK_EXPIRES_SECONDS) || 7 * 24 * 60 * 60;
+
+/**
+ * Download the project report built from the latest run of every assessed credit.
+ *
+ * Query: ?format=html|pdf|csv (default html)
+ */
+exports.getReport = async (req, res) => {
+    const { format } = req.query;
+
+    const assessments = await Assessment.latestForProject(req.project._id);
+    if (assessments.length === 0) {
+        return errorResponse(res, {
+            statusCode: 404,
+            message: 'No assessments to report: assess the project first'
+        });
+    }
+
+    const fileIds = assessments.flatMap(assessment => Object.values(assessment.result?.evidence || {})
+        .map(entry => entry.file).filter(Boolean));
+    const links = await signFileLinks(req.project, fileIds, REPORT_LINK_EXPIRES_IN);
+
+    const report = buildReport(req.project, assessments, links);
+    const body = await RENDERERS[format](report);
+    const fileName = `${req.project.name.replace(/[^\w-]+/g, '_')}-leed-report.${FORMATS[format].extension}`;
+
+    res.set('Content-Type', FORMATS[format].contentType);
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    return res.send(body);
+};
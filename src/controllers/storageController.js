@@ -0,0 +1,42 @@
+const path = require('path');
+const { getStorage } = require('../services/storageService');
+const { errorResponse } = require('../utils/response');
+
+/**
+ * Serve a file of the local storage driver through a signed URL (see LocalDriver.signedUrl).
+ *
+ * Query: ?expires=<unix time>&signature=<hmac>
+ */
+exports.getSignedFile = async (req, res) => {
+    const storage = getStorage();
+    const key = req.params[0];
+
+    // Other drivers sign their own URLs
+    if (!storage.verifySignedUrl) return errorResponse(res, {
+        statusCode: 404,
+        message: 'Not found'
+    });
+    if (!storage.verifySignedUrl(key, req.query)) return errorResponse(res, {
+        statusCode: 403,
+        message: 'Link is invalid or has expired'
+    });
+
+    let file;
+    try {
+        file = await storage.stream(key);
+    } catch (error) {
+        return errorResponse(res, {
+            statusCode: 404,
+            message: 'File not found'
+        });
+    }
+
+    res.type(path.extname(key) || 'application/octet-stream');
+    if (file.size !== undefined) res.set('Content-Length', file.size);
+
+    file.stream.on('error', error => {
+        console.error(`Streaming ${key} failed:`, error);
+        res.destroy(error);
+    });
+    file.stream.pipe(res);
+};
@@ -0,0 +1,80 @@
+const fs = require('fs/promises');
+const ProjectInput = require('../models/projectInputModel');
+const { FORMATS, renderXlsx, renderCsv, importTemplate } = require('../services/templateService');
+const { applyManualInputs } = require('../services/evidenceService');
+const { successResponse, errorResponse } = require('../utils/response');
+
+const RENDERERS = {
+    xlsx: renderXlsx,
+    csv: renderCsv
+};
+
+async function sendSpreadsheet(req, res, values) {
+    const { creditId } = req.params;
+    const { format } = req.query;
+
+    const body = await RENDERERS[format](creditId, req.project.unitSystem, values);
+    const fileName = `${creditId}-${values ? 'inputs' : 'template'}.${FORMATS[format].extension}`;
+
+    res.set('Content-Type', FORMATS[format].contentType);
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    return res.send(body);
+}
+
+/**
+ * Blank template of a credit's parameters, in the project's unit system.
+ *
+ * Query: ?format=xlsx|csv (default xlsx)
+ */
+exports.getTemplate = async (req, res) => sendSpreadsheet(req, res);
+
+/**
+ * A credit's saved inputs in the template layout, ready to be edited and uploaded again.
+ *
+ * Query: ?format=xlsx|csv (default xlsx)
+ */
+exports.exportInputs = async (req, res) => {
+    const input = await ProjectInput.findOne({ project: req.project._id, creditId: req.params.creditId });
+    return sendSpreadsheet(req, res, input ? input.parameters : {});
+};
+
+/**
+ * Upload a filled template (field "file"). Its values are validated and saved as the credit's
+ * inputs, replacing the values it contains; with ?dryRun=true they are only validated.
+ */
+exports.importTemplate = async (req, res) => {
+    const { creditId } = req.params;
+
+    if (!req.file) return errorResponse(res, {
+        statusCode: 400,
+        message: 'A filled template is required in the file field'
+    });
+
+    const name = req.file.originalname;
+    const { parameters, sources, errors, warnings } = await importTemplate(creditId, req.file.buffer || await fs.readFile(req.file.path),
+        { name, type: req.file.mimetype }, req.project.unitSystem);
+
+    if (errors.length > 0) return errorResponse(res, {
+        statusCode: 400,
+        message: 'The template has invalid values',
+        errors
+    });
+
+    let input = null;
+    if (!req.query.dryRun) {
+        input = await ProjectInput.findOne({ project: req.project._id, creditId })
+            || new ProjectInput({ project: req.project._id, creditId, parameters: {} });
+
+        const evidence = Object.keys(parameters).reduce((all, parameter) => {
+            all[parameter] = { suppliedBy: 'import', fileName: name, ...sources[parameter] };
+            return all;
+        }, {});
+        applyManualInputs(input, { ...input.parameters, ...parameters }, evidence);
+        await input.save();
+    }
+
+    return successResponse(res, {
+        message: input ? 'Template imported successfully' : 'Template validated successfully',
+        data: { creditId, parameters, warnings, input }
+    });
+};
@@ -1,7 +1,31 @@
 const User = require('../models/userModel');
-const jwt = require('jsonwebtoken');
+const { issueTokens, rotateRefreshToken, revokeSession, revokeAllSessions } = require('../services/tokenService');
+const { consumeAccountToken, sendVerificationEmail, sendPasswordResetEmail } = require('../services/accountService');
 const { successResponse, errorResponse } = require('../utils/response');
 
+// Recorded with each session for auditing
+function clientOf(req) {
+    return { userAgent: req.get('user-agent'), ip: req.ip };
+}
+
+function userSummary(user) {
+    return {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        emailVerified: user.emailVerified
+    };
+}
+
+// A failed email is logged; the user can ask for it again
+async function sendVerification(user) {
+    try {
+        await sendVerificationEmail(user);
+    } catch (error) {
+        console.error(`Verification email to ${user.email} failed:`, error);
+    }
+}
+
 exports.register = async (req, res) => {
     const { name, email, password } = req.body;
     const existingUser = await User.findOne({ email });
@@ -12,27 +36,29 @@ exports.register = async (req, res) => {
 
     const user = new User({ name, email, password });
     await user.save();
+    await sendVerification(user);
 
-    const token = jwt.sign({ id: user._id, email: user.email }, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRES_IN });
+    const tokens = await issueTokens(user, clientOf(req));
 
     return successResponse(res, {
         statusCode: 201,
         message: 'User registered successfully',
         data: {
-            token,
-            user: {
-                id: user._id,
-                name: user.name,
-                email: user.email
-            }
+            ...tokens,
+            user: userSummary(user)
         }
     });
 };
 
+exports.me = async (req, res) => {
+    return successResponse(res, {
+        message: 'User fetched successfully',
+        data: userSummary(req.user)
+    });
+};
+
 exports.login = async (req, res) => {
-    console.log(req.body);
     const { email, password } = req.body;
-    console.log(email, password);
     const user = await User.findOne({ email });
     if (!user) return errorResponse(res, {
         statusCode: 400,
@@ -40,23 +66,123 @@ exports.login = async (req, res) => {
     });
 
     const valid = await user.comparePassword(password);
-    console.log(valid);
     if (!valid) return errorResponse(res, {
         statusCode: 400,
         message: 'Invalid credentials'
     });
 
-    const token = jwt.sign({ id: user._id, email: user.email }, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRES_IN });
+    const tokens = await issueTokens(user, clientOf(req));
 
     return successResponse(res, {
         message: 'Login successful',
         data: {
-            token,
-            user: {
-                id: user._id,
-                name: user.name,
-                email: user.email
-            }
+            ...tokens,
+            user: userSummary(user)
+        }
+    });
+};
+
+// Body: { refreshToken }. The refresh token is replaced by the one returned.
+exports.refresh = async (req, res) => {
+    const { refreshToken } = req.body;
+
+    const { user, tokens, error } = await rotateRefreshToken(refreshToken, clientOf(req));
+    if (error) return errorResponse(res, {
+        statusCode: 401,
+        message: error
+    });
+
+    return successResponse(res, {
+        message: 'Tokens refreshed successfully',
+        data: {
+            ...tokens,
+            user: userSummary(user)
         }
     });
 };
+
+// Body: { refreshToken }. Signs out the session the token belongs to.
+exports.logout = async (req, res) => {
+    const { refreshToken } = req.body;
+
+    await revokeSession(refreshToken);
+
+    return successResponse(res, {
+        message: 'Logged out successfully'
+    });
+};
+
+// Signs out every session of the signed-in user, this one included
+exports.logoutAll = async (req, res) => {
+    const revoked = await revokeAllSessions(req.user);
+
+    return successResponse(res, {
+        message: 'Logged out of all sessions successfully',
+        data: { revoked }
+    });
+};
+
+// Body: { token } from the verification email
+exports.verifyEmail = async (req, res) => {
+    const { user, error } = await consumeAccountToken(req.body.token, 'verify_email');
+    if (error) return errorResponse(res, {
+        statusCode: 400,
+        message: error
+    });
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    return successResponse(res, {
+        message: 'Email verified successfully',
+        data: userSummary(user)
+    });
+};
+
+exports.resendVerification = async (req, res) => {
+    if (req.user.emailVerified) return errorResponse(res, {
+        statusCode: 400,
+        message: 'Email is already verified'
+    });
+
+    await sendVerificationEmail(req.user);
+
+    return successResponse(res, {
+        message: 'Verification email sent'
+    });
+};
+
+// Body: { email }. The answer is the same whether or not the address has an account.
+exports.forgotPassword = async (req, res) => {
+    const user = await User.findOne({ email: req.body.email });
+    if (user) await sendPasswordResetEmail(user);
+
+    return successResponse(res, {
+        message: 'If the address has an account, a password reset email has been sent'
+    });
+};
+
+// Body: { token, password }. Every session of the user is signed out.
+exports.resetPassword = async (req, res) => {
+    const { token, password } = req.body;
+
+    const { user, error } = await consumeAccountToken(token, 'reset_password');
+    if (error) return errorResponse(res, {
+        statusCode: 400,
+        message: error
+    });
+
+    user.password = password;
+    // The reset link reached the user's inbox, which proves the address
+    if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    await revokeAllSessions(user);
+
+    return successResponse(res, {
+        message: 'Password reset successfully; sign in with the new password'
+    });
+};
@@ -0,0 +1,37 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const { isSessionActive } = require('../services/tokenService');
+const { errorResponse } = require('../utils/response');
+
+function unauthorized(res, message) {
+    return errorResponse(res, {
+        statusCode: 401,
+        message
+    });
+}
+
+// Verifies the bearer token and its session, and loads its user into req.user
+module.exports = async (req, res, next) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (scheme !== 'Bearer' || !token) return unauthorized(res, 'Authentication required');
+
+    let payload;
+    try {
+        payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return unauthorized(res, error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+    }
+
+    if (!mongoose.isValidObjectId(payload.id) || !payload.session) return unauthorized(res, 'Invalid token');
+
+    // Tokens of a session that was signed out stop working before they expire
+    if (!await isSessionActive(payload.session)) return unauthorized(res, 'Session has been signed out');
+
+    const user = await User.findById(payload.id).select('-password');
+    if (!user) return unauthorized(res, 'User no longer exists');
+
+    req.user = user;
+    req.sessionId = payload.session;
+    next();
+};
@@ -0,0 +1,19 @@
+const { roleOf, can, deniedMessage } = require('../utils/permissions');
+const { errorResponse } = require('../utils/response');
+
+// Allows the request when the user's role in req.project grants the permission; sets req.role
+module.exports = permission => (req, res, next) => {
+    const role = roleOf(req.project, req.user);
+
+    if (!role) return errorResponse(res, {
+        statusCode: 403,
+        message: 'You are not a member of this project'
+    });
+    if (!can(role, permission)) return errorResponse(res, {
+        statusCode: 403,
+        message: deniedMessage(role, permission)
+    });
+
+    req.role = role;
+    next();
+};
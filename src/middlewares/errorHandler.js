@@ -3,7 +3,10 @@
 module.exports = (err, req, res, next) => {
     console.error(err); // log error for debugging
 
-    res.status(err.status || 500).json({
+    // Mongoose rejects invalid documents and ids as client errors
+    const isClientError = err.name === 'ValidationError' || err.name === 'CastError';
+
+    res.status(err.status || (isClientError ? 400 : 500)).json({
         success: false,
         message: err.message || 'Internal Server Error',
     });
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+const Project = require('../models/projectModel');
+const { errorResponse } = require('../utils/response');
+
+// Loads the project named by :projectId into req.project
+module.exports = async (req, res, next) => {
+    const { projectId } = req.params;
+    const project = mongoose.isValidObjectId(projectId) ? await Project.findById(projectId) : null;
+
+    if (!project) return errorResponse(res, {
+        statusCode: 404,
+        message: 'Project not found'
+    });
+
+    req.project = project;
+    next();
+};
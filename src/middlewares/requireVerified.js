@@ -0,0 +1,10 @@
+const { errorResponse } = require('../utils/response');
+
+// Only users who verified their email address may go on
+module.exports = (req, res, next) => {
+    if (!req.user.emailVerified) return errorResponse(res, {
+        statusCode: 403,
+        message: 'Verify your email address before working on projects'
+    });
+    next();
+};
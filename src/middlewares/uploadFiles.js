@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { v4: uuid } = require('uuid');
+const { FILE_TYPES, HEAD_BYTES, detectFileType } = require('../utils/fileTypes');
+const { policyFor } = require('../utils/uploadPolicies');
+const { errorResponse } = require('../utils/response');
+
+// Files larger than this are written to UPLOAD_TMP_DIR as they arrive instead of being held in memory
+const MEMORY_MAX_BYTES = (Number(process.env.UPLOAD_MEMORY_MAX_MB) || 5) * 1024 * 1024;
+const TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'green-ai-uploads');
+
+class UploadError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+function removeTempFile(file) {
+    if (file && file.path) fs.unlink(file.path, () => {});
+}
+
+/**
+ * Multer storage engine that checks each file's type from its first bytes, hashes it with SHA-256
+ * as it streams and keeps it in memory (file.buffer) or, past MEMORY_MAX_BYTES, on disk (file.path).
+ * Files also get size, sha256, fileType and a mimetype taken from the detected type.
+ */
+class UploadStorage {
+    constructor(policy) {
+        this.policy = policy;
+    }
+
+    _handleFile(req, file, cb) {
+        const hash = crypto.createHash('sha256');
+        const chunks = [];
+        let head = Buffer.alloc(0);
+        let fileType;
+        let size = 0;
+        let output = null;
+        let tempPath = null;
+        let finished = false;
+
+        const finish = (error, info) => {
+            if (finished) return;
+            finished = true;
+            cb(error, info);
+        };
+
+        const fail = error => {
+            file.stream.removeAllListeners('data');
+            file.stream.resume();
+            if (output) output.destroy();
+            removeTempFile({ path: tempPath });
+            finish(error);
+        };
+
+        const checkType = () => {
+            fileType = detectFileType(head, file.originalname);
+            if (!this.policy.types.includes(fileType)) {
+                fail(new UploadError(415, `${file.originalname} is not an allowed file type here (allowed: ${this.policy.types.join(', ')})`));
+                return false;
+            }
+            return true;
+        };
+
+        file.stream.on('data', chunk => {
+            hash.update(chunk);
+            size += chunk.length;
+
+            if (fileType === undefined) {
+                head = Buffer.concat([head, chunk]).subarray(0, HEAD_BYTES);
+                if (head.length >= HEAD_BYTES && !checkType()) return;
+            }
+
+            if (!output && size <= MEMORY_MAX_BYTES) {
+                chunks.push(chunk);
+                return;
+            }
+            if (!output) {
+                fs.mkdirSync(TMP_DIR, { recursive: true });
+                tempPath = path.join(TMP_DIR, uuid());
+                output = fs.createWriteStream(tempPath);
+                output.on('error', fail);
+                chunks.push(chunk);
+                chunk = Buffer.concat(chunks.splice(0));
+            }
+            if (!output.write(chunk)) {
+                file.stream.pause();
+                output.once('drain', () => file.stream.resume());
+            }
+        });
+
+        file.stream.on('error', fail);
+
+        file.stream.on('end', () => {
+            if (finished || (fileType === undefined && !checkType())) return;
+
+            const info = { size, sha256: hash.digest('hex'), fileType, mimetype: FILE_TYPES[fileType].mimetype };
+            if (!output) return finish(null, { ...info, buffer: Buffer.concat(chunks) });
+            output.end(() => finish(null, { ...info, path: tempPath }));
+        });
+    }
+
+    _removeFile(req, file, cb) {
+        removeTempFile(file);
+        cb(null);
+    }
+}
+
+function formatSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${Math.floor(bytes / (1024 * 1024))} MB` : `${Math.floor(bytes / 1024)} KB`;
+}
+
+function limitError(error, policy) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+        return new UploadError(413, `The file in ${error.field} is too large (at most ${formatSize(policy.maxFileSize)})`);
+    }
+    if (error.code === 'LIMIT_FILE_COUNT') {
+        return new UploadError(400, `Too many files (at most ${policy.maxFiles})`);
+    }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+        return new UploadError(400, `Files are not accepted in ${error.field}`);
+    }
+    return new UploadError(400, error.message);
+}
+
+/**
+ * Accept multipart uploads under the upload policy of a folder (see utils/uploadPolicies.js).
+ * Temporary files are removed once the response is sent.
+ * @param {Object} [options] - { folder } fixed folder name (default req.params.foldername),
+ * { field } to accept one file in that field as req.file instead of any files as req.files
+ * @returns {Function} Express middleware answering 400, 413 or 415 when the upload breaks the policy
+ */
+module.exports = ({ folder, field } = {}) => (req, res, next) => {
+    const policy = policyFor(folder || req.params.foldername);
+    const upload = multer({
+        storage: new UploadStorage(policy),
+        limits: { fileSize: policy.maxFileSize, files: policy.maxFiles, fields: 50 }
+    });
+
+    res.on('close', () => [].concat(req.files || [], req.file || []).forEach(removeTempFile));
+
+    const handler = field ? upload.single(field) : upload.any();
+    handler(req, res, error => {
+        if (!error) return next();
+
+        const uploadError = error instanceof multer.MulterError ? limitError(error, policy) : error;
+        if (!(uploadError instanceof UploadError)) return next(uploadError);
+        return errorResponse(res, {
+            statusCode: uploadError.statusCode,
+            message: uploadError.message
+        });
+    });
+};
@@ -0,0 +1,35 @@
+const { errorResponse } = require('../utils/response');
+
+const PARTS = ['params', 'query', 'body'];
+
+/**
+ * Validate request parts against Joi schemas and replace them with the validated values.
+ * A schema may be a function of the request, for payloads that depend on route params.
+ * @param {Object} schemas - { params?, query?, body? }
+ * @returns {Function} Express middleware answering 400 with one error per invalid field
+ */
+module.exports = schemas => (req, res, next) => {
+    const errors = [];
+
+    PARTS.filter(part => schemas[part]).forEach(part => {
+        const schema = typeof schemas[part] === 'function' ? schemas[part](req) : schemas[part];
+        const { value, error } = schema.validate(req[part] || {}, { abortEarly: false });
+
+        if (error) {
+            errors.push(...error.details.map(detail => ({
+                location: part,
+                field: detail.path.join('.'),
+                message: detail.message.replace(/"/g, '')
+            })));
+        } else {
+            req[part] = value;
+        }
+    });
+
+    if (errors.length > 0) return errorResponse(res, {
+        statusCode: 400,
+        message: 'Validation failed',
+        errors
+    });
+    next();
+};
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Single-use token sent by email to verify an address or reset a password.
+// Only the SHA-256 hash of a token is stored.
+const accountTokenSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    purpose: { type: String, enum: ['verify_email', 'reset_password'], required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+// Expired tokens are removed by MongoDB
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// One run of the rule engine for a credit of a project, with the inputs that produced it.
+// Runs are immutable snapshots: every assessment creates a new run number.
+const assessmentSchema = new mongoose.Schema({
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+    creditId: { type: String, required: true },
+    run: { type: Number, required: true, min: 1 },
+    unitSystem: { type: String, enum: ['IP', 'SI'], required: true },
+    inputs: { type: mongoose.Schema.Types.Mixed, default: {} },
+    result: { type: mongoose.Schema.Types.Mixed, required: true }
+}, { timestamps: true, minimize: false });
+
+assessmentSchema.index({ project: 1, creditId: 1, run: -1 }, { unique: true });
+
+function rejectUpdate(next) {
+    next(new Error('Assessment runs are immutable'));
+}
+
+assessmentSchema.pre('save', function (next) {
+    if (!this.isNew) return rejectUpdate(next);
+    next();
+});
+assessmentSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectUpdate);
+
+// Next run number for a credit of a project
+assessmentSchema.statics.nextRun = async function (project, creditId) {
+    const latest = await this.findOne({ project, creditId }).sort({ run: -1 }).select('run');
+    return latest ? latest.run + 1 : 1;
+};
+
+// Attempts at a run number before giving up on concurrent assessments of the same credit
+const RUN_ATTEMPTS = 5;
+
+// Store a new run; a run that took the same number concurrently makes it retry with the next one
+assessmentSchema.statics.createRun = async function (fields) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await this.create({ ...fields, run: await this.nextRun(fields.project, fields.creditId) });
+        } catch (error) {
+            if (error.code !== 11000 || attempt >= RUN_ATTEMPTS) throw error;
+        }
+    }
+};
+
+// Latest run of every credit of a project
+assessmentSchema.statics.latestForProject = function (project) {
+    return this.aggregate([
+        { $match: { project: new mongoose.Types.ObjectId(String(project)) } },
+        { $sort: { creditId: 1, run: -1 } },
+        { $group: { _id: '$creditId', assessment: { $first: '$$ROOT' } } },
+        { $replaceRoot: { newRoot: '$assessment' } },
+        { $sort: { creditId: 1 } }
+    ]);
+};
+
+module.exports = mongoose.model('Assessment', assessmentSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const pageSchema = new mongoose.Schema({
+    number: { type: Number, required: true },
+    // Sheet name for spreadsheets
+    label: String,
+    text: { type: String, default: '' },
+    // Each table is a list of rows, each row a list of cell texts
+    tables: { type: [[[String]]], default: [] }
+}, { _id: false });
+
+// Text and tables extracted from a project file, page by page
+const extractedDocumentSchema = new mongoose.Schema({
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true, index: true },
+    file: { type: mongoose.Schema.Types.ObjectId, ref: 'ProjectFile', required: true, unique: true },
+    name: { type: String, required: true },
+    format: String,
+    status: { type: String, enum: ['extracted', 'unsupported', 'failed'], required: true },
+    error: String,
+    pageCount: { type: Number, default: 0 },
+    pages: { type: [pageSchema], default: [] }
+}, { timestamps: true });
+
+module.exports = mongoose.model('ExtractedDocument', extractedDocumentSchema);
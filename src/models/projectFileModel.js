@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// File uploaded to blob storage for a project
+const projectFileSchema = new mongoose.Schema({
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+    folder: { type: String, required: true },
+    name: { type: String, required: true },
+    key: { type: String, required: true },
+    size: Number,
+    type: String,
+    lastModified: Date,
+    // Hex SHA-256 of the contents; the same contents are stored once per project
+    sha256: String
+}, { timestamps: true, id: false, toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+// Authenticated download route of the file; links for use outside the API are signed on request
+projectFileSchema.virtual('downloadUrl').get(function () {
+    return `/projects/${this.project?._id || this.project}/files/${this._id}/download`;
+});
+
+// Records from before hashing have no sha256 and are left out of the uniqueness check
+projectFileSchema.index({ project: 1, sha256: 1 }, { unique: true, partialFilterExpression: { sha256: { $type: 'string' } } });
+
+module.exports = mongoose.model('ProjectFile', projectFileSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Current parameter values entered for one credit of a project
+const projectInputSchema = new mongoose.Schema({
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+    creditId: { type: String, required: true },
+    parameters: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // Where each value came from, by parameter: { suppliedBy, file, fileName, document, page, snippet, provider, recordedAt }
+    evidence: { type: mongoose.Schema.Types.Mixed, default: {} }
+}, { timestamps: true, minimize: false });
+
+projectInputSchema.index({ project: 1, creditId: 1 }, { unique: true });
+
+module.exports = mongoose.model('ProjectInput', projectInputSchema);
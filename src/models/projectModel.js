@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../utils/permissions');
+
+const memberSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: ROLES, required: true },
+    addedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const projectSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    buildingType: { type: String, trim: true },
+    ratingSystem: { type: String, default: 'LEED v4 BD+C' },
+    unitSystem: { type: String, enum: ['IP', 'SI'], default: 'IP' },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Everyone else working on the project, with their role (see utils/permissions.js)
+    members: { type: [memberSchema], default: [] }
+}, { timestamps: true });
+
+projectSchema.index({ 'members.user': 1 });
+
+module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// One refresh token of a sign-in session. Each refresh replaces the token with a new one in the
+// same session; only the SHA-256 hash of a token is stored.
+const refreshTokenSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    session: { type: String, required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    // Why the token stopped being valid: rotated, logout, logout_all or reuse
+    revokedReason: String,
+    userAgent: String,
+    ip: String
+}, { timestamps: true });
+
+// Expired tokens are removed by MongoDB
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// A reviewer's decision on one assessment run of a credit
+const signoffSchema = new mongoose.Schema({
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+    creditId: { type: String, required: true },
+    run: { type: Number, required: true, min: 1 },
+    reviewer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    decision: { type: String, enum: ['approved', 'rejected'], required: true },
+    comment: { type: String, trim: true }
+}, { timestamps: true });
+
+signoffSchema.index({ project: 1, creditId: 1, run: -1 });
+
+module.exports = mongoose.model('Signoff', signoffSchema);
@@ -4,7 +4,10 @@ const bcrypt = require('bcryptjs');
 const userSchema = new mongoose.Schema({
     name: { type: String, required: true },
     email: { type: String, required: true, unique: true, lowercase: true },
-    password: { type: String, required: true }
+    password: { type: String, required: true },
+    // Set once the user opens the link sent to their address
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: Date
 });
 
 // Password hashing
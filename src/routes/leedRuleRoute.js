@@ -1,6 +1,13 @@
 const express = require("express");
-const router=express.Router();
-const {LeedScoreController}=require("../controller/LeedScoreController.js")
+const router = express.Router();
+const { LeedScoreController } = require("../controllers/LeedScoreController");
+const refrigerantController = require("../controllers/refrigerantController");
+const validate = require("../middlewares/validate");
+const assessmentSchemas = require("../validators/assessmentSchemas");
 
 
-router.get("/leedScore",  LeedScoreController);
+router.post("/assess", validate(assessmentSchemas.assess), LeedScoreController);
+router.get("/refrigerants", refrigerantController.listRefrigerants);
+router.get("/refrigerants/:name", refrigerantController.getRefrigerant);
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const projectController = require('../controllers/projectController');
+const assessmentController = require('../controllers/assessmentController');
+const documentController = require('../controllers/documentController');
+const extractionController = require('../controllers/extractionController');
+const reportController = require('../controllers/reportController');
+const templateController = require('../controllers/templateController');
+const memberController = require('../controllers/memberController');
+const fileController = require('../controllers/fileController');
+const { FileUpload } = require('../controllers/fileUploadController');
+const loadProject = require('../middlewares/loadProject');
+const authorize = require('../middlewares/authorize');
+const requireVerified = require('../middlewares/requireVerified');
+const validate = require('../middlewares/validate');
+const uploadFiles = require('../middlewares/uploadFiles');
+const projectSchemas = require('../validators/projectSchemas');
+const assessmentSchemas = require('../validators/assessmentSchemas');
+const uploadSchemas = require('../validators/uploadSchemas');
+
+router.use(requireVerified);
+
+router.post('/', validate(projectSchemas.create), projectController.createProject);
+router.get('/', projectController.listProjects);
+router.get('/:projectId', loadProject, authorize('project:view'), projectController.getProject);
+router.patch('/:projectId', loadProject, authorize('project:update'), validate(projectSchemas.update), projectController.updateProject);
+router.delete('/:projectId', loadProject, authorize('project:delete'), projectController.deleteProject);
+
+router.get('/:projectId/members', loadProject, authorize('project:view'), memberController.listMembers);
+router.post('/:projectId/members', loadProject, authorize('members:manage'), validate(projectSchemas.addMember), memberController.addMember);
+router.patch('/:projectId/members/:userId', loadProject, authorize('members:manage'), validate(projectSchemas.updateMember), memberController.updateMember);
+router.delete('/:projectId/members/:userId', loadProject, authorize('members:manage'), validate(projectSchemas.removeMember), memberController.removeMember);
+
+router.get('/:projectId/inputs', loadProject, authorize('project:view'), assessmentController.listInputs);
+router.put('/:projectId/inputs/:creditId', loadProject, authorize('inputs:edit'), validate(assessmentSchemas.saveInputs), assessmentController.saveInputs);
+router.get('/:projectId/inputs/:creditId/export', loadProject, authorize('project:view'), validate(assessmentSchemas.spreadsheet), templateController.exportInputs);
+router.get('/:projectId/templates/:creditId', loadProject, authorize('project:view'), validate(assessmentSchemas.spreadsheet), templateController.getTemplate);
+router.post('/:projectId/templates/:creditId', loadProject, authorize('inputs:edit'), validate(assessmentSchemas.importTemplate), uploadFiles({ folder: 'templates', field: 'file' }), templateController.importTemplate);
+
+router.post('/:projectId/assessments', loadProject, authorize('assessment:run'), validate(assessmentSchemas.runAssessment), assessmentController.runAssessment);
+router.get('/:projectId/assessments', loadProject, authorize('project:view'), assessmentController.listAssessments);
+router.get('/:projectId/scorecard', loadProject, authorize('project:view'), assessmentController.getScorecard);
+router.get('/:projectId/report', loadProject, authorize('project:view'), validate(assessmentSchemas.report), reportController.getReport);
+router.get('/:projectId/assessments/:creditId', loadProject, authorize('project:view'), validate(assessmentSchemas.credit), assessmentController.getAssessment);
+router.get('/:projectId/assessments/:creditId/history', loadProject, authorize('project:view'), validate(assessmentSchemas.credit), assessmentController.getAssessmentHistory);
+router.get('/:projectId/assessments/:creditId/diff', loadProject, authorize('project:view'), validate(assessmentSchemas.diff), assessmentController.diffAssessmentRuns);
+router.get('/:projectId/assessments/:creditId/runs/:run', loadProject, authorize('project:view'), validate(assessmentSchemas.getRun), assessmentController.getAssessmentRun);
+router.get('/:projectId/assessments/:creditId/signoffs', loadProject, authorize('project:view'), validate(assessmentSchemas.credit), assessmentController.listSignoffs);
+router.post('/:projectId/assessments/:creditId/signoffs', loadProject, authorize('credit:signoff'), validate(assessmentSchemas.signOff), assessmentController.signOffAssessment);
+
+router.get('/:projectId/files', loadProject, authorize('project:view'), validate(projectSchemas.listFiles), projectController.listFiles);
+router.post('/:projectId/files/:foldername', loadProject, authorize('files:upload'), uploadFiles(), validate(uploadSchemas.projectUpload), FileUpload);
+router.get('/:projectId/files/:fileId', loadProject, authorize('project:view'), validate(projectSchemas.file), fileController.getFile);
+router.get('/:projectId/files/:fileId/download', loadProject, authorize('project:view'), validate(projectSchemas.file), fileController.downloadFile);
+router.get('/:projectId/files/:fileId/link', loadProject, authorize('project:view'), validate(projectSchemas.fileLink), fileController.getFileLink);
+router.delete('/:projectId/files/:fileId', loadProject, authorize('files:delete'), validate(projectSchemas.file), fileController.deleteFile);
+
+router.get('/:projectId/documents', loadProject, authorize('project:view'), validate(projectSchemas.listDocuments), documentController.listDocuments);
+router.get('/:projectId/documents/:documentId', loadProject, authorize('project:view'), validate(projectSchemas.getDocument), documentController.getDocument);
+router.post('/:projectId/extractions', loadProject, authorize('extraction:run'), validate(assessmentSchemas.runExtraction), extractionController.runExtraction);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const storageController = require('../controllers/storageController');
+
+// Signed links carry their own authorization
+router.get('/*', storageController.getSignedFile);
+
+module.exports = router;
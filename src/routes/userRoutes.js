@@ -1,10 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const authenticate = require('../middlewares/authenticate');
+const validate = require('../middlewares/validate');
+const userSchemas = require('../validators/userSchemas');
 
 
-router.post('/register', userController.register);
-router.post('/login', userController.login);
+router.post('/register', validate(userSchemas.register), userController.register);
+router.post('/login', validate(userSchemas.login), userController.login);
+router.post('/refresh', validate(userSchemas.refreshToken), userController.refresh);
+router.post('/logout', validate(userSchemas.refreshToken), userController.logout);
+router.post('/verify-email', validate(userSchemas.verifyEmail), userController.verifyEmail);
+router.post('/forgot-password', validate(userSchemas.forgotPassword), userController.forgotPassword);
+router.post('/reset-password', validate(userSchemas.resetPassword), userController.resetPassword);
+
+// Routes below require a signed-in user
+router.use(authenticate);
+router.get('/me', userController.me);
+router.post('/logout-all', userController.logoutAll);
+router.post('/verify-email/resend', userController.resendVerification);
 
 
 module.exports = router;
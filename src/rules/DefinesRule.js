@@ -1,118 +1,324 @@
 // src/rules/ruleDefinitions.js
+//
+// Declarative credit catalog executed by LEEDRuleEngine (utils/LEEDRules.js).
+// Every credit names its "category", one of LEED_CATEGORIES.
+// Entries with "type": "prerequisite" score no points (maxPoints 0); they pass or fail,
+// and a project cannot be certified while one fails.
+//
+// "rules" is either a single block or a set of "optionN" / "partN" blocks joined by "combine":
+//   first - the first compliant option scores (options are tried in order)
+//   best  - the highest-scoring option scores
+//   sum   - points from every option add up, capped at maxPoints
+//   all   - every part must be compliant to score maxPoints
+//
+// A block has a "description", a list of "requirements" and optional "points" (defaults to maxPoints).
+// Requirements check one "parameter" or several "parameters" with a "condition":
+//   present, allPresent, documented, markup       - values must be supplied
+//   equals, lessThan, lessThanOrEqual,
+//   greaterThan, greaterThanOrEqual ("value"),
+//   range ("min", "max")                           - numeric comparisons
+//   oneOf, notOneOf ("values")                     - text values, compared case-insensitively; with
+//                                                    "reference": { "source", "property" } each value is
+//                                                    looked up in the reference data and its property compared
+//   thresholds ("thresholds": { "30%": 1 })        - points by the highest threshold met
+// A requirement with "calculation" runs the named CalculationModule plugin once the block has no gaps,
+// and compares the plugin's "output" field instead of a parameter value.
+// "value" and "thresholds" may be keyed by unit system ({ "IP": 100, "SI": 13 }), and with
+// "by": { "parameter": ..., "default": ... } by the value of another parameter (e.g. Building Type).
+// "when" makes a requirement conditional on another parameter ({ "parameter": ..., "contains": ... }).
+// "tables" declares parameters whose value is a list of rows ({ "Equipment Schedule": [column, ...] }).
+// A requirement with "table" is checked against every row (its "when" per row). When a table is not
+// supplied, its columns given as flat parameters are read as a single row.
+// "dimensions" declares what parameters and table columns measure ({ "Air Speed": "velocity" }, see
+// DIMENSIONS in utils/quantity.js). Their values may carry units ('0.15 m/s', '68-76°F') and are
+// converted to the project's unit system before evaluation; values without a unit are read as
+// already being in it.
+// "types" declares the kind of value a parameter or table column holds: boolean, number, percentage,
+// range, text or document (see VALUE_TYPES in utils/values.js). Values are normalized before evaluation:
+// 'N/A' or blank is missing, 0 is a number, 'Yes - ...' is true and 'No' is false, which does not
+// satisfy a presence condition. Parameters without a declared type have it inferred from the value.
+// "references" fill missing values from bundled reference data and warn when supplied values contradict it:
+//   { "source": "refrigerants", "table": ..., "key": "Refrigerant Used", "fill": { "GWP": "gwp" } }
+// "derive" runs CalculationModule plugins before evaluation; the values they return fill parameters
+// that were not supplied, and their warnings are reported (e.g. a declared PMV that disagrees):
+//   { "calculation": "thermal_comfort", "fill": { "PMV": "pmv", "PPD": "ppd" } }
+// Requirements with "points", or the thresholds condition, score individually instead of the block's "points".
 const RULE_DEFINITIONS = {
   "EACr6": {
     "name": "Enhanced Refrigerant Management",
+    "category": "EA",
     "maxPoints": 1,
     "parameters": [
       "Refrigerant Used", "ODP", "GWP", "Confirmation Statement",
-      "Equipment Type", "Refrigerant charge", "Leakage Rate",
+      "Equipment Type", "Refrigerant Charge", "Leakage Rate",
       "Equipment Life", "Equipment Cooling Capacity", "Equipment Quantity",
-      "Leakage Test Results", "Greenchill Certification Status"
+      "Leakage Test Results", "Greenchill Certification Status", "Equipment Schedule"
+    ],
+    "tables": {
+      "Equipment Schedule": [
+        "Equipment Type", "Refrigerant Used", "ODP", "GWP", "Refrigerant Charge",
+        "Leakage Rate", "Equipment Life", "Equipment Cooling Capacity", "Equipment Quantity",
+        "Leakage Test Results", "Greenchill Certification Status"
+      ]
+    },
+    "types": {
+      "ODP": "number",
+      "GWP": "number",
+      "Confirmation Statement": "boolean",
+      "Equipment Quantity": "number",
+      "Leakage Test Results": "document",
+      "Greenchill Certification Status": "text"
+    },
+    "dimensions": {
+      "Refrigerant Charge": "mass",
+      "Equipment Cooling Capacity": "coolingCapacity",
+      "Leakage Rate": "percentage",
+      "Equipment Life": "duration"
+    },
+    "references": [
+      { "source": "refrigerants", "table": "Equipment Schedule", "key": "Refrigerant Used", "fill": { "ODP": "odp", "GWP": "gwp" } }
     ],
     "prompt": "Find the values associated with each of the parameters given above. In case of presence mark the parameter as Yes for numerical values insert it corresponding to it",
     "options": ["Option 1", "Option 2"],
     "rules": {
+      "combine": "first",
       "option1": {
         "description": "No Refrigerants or Low-Impact Refrigerants",
         "requirements": [
-          { "parameter": "Refrigerant Used", "condition": "present", "action": "proceed" },
-          { "parameter": "ODP", "condition": "equals", "value": 0, "action": "proceed" },
-          { "parameter": "GWP", "condition": "lessThan", "value": 50, "action": "proceed" },
-          { "parameter": "Confirmation Statement", "condition": "present", "action": "proceed" }
+          { "table": "Equipment Schedule", "parameter": "Refrigerant Used", "condition": "present" },
+          { "table": "Equipment Schedule", "parameter": "ODP", "condition": "equals", "value": 0 },
+          { "table": "Equipment Schedule", "parameter": "GWP", "condition": "lessThan", "value": 50 },
+          { "parameter": "Confirmation Statement", "condition": "present" }
         ]
       },
       "option2": {
         "description": "Calculation of Refrigerant Impact",
         "requirements": [
-          { "parameters": ["GWP", "Refrigerant Charge", "Leakage Rate", "Equipment Life", "Equipment Cooling Capacity", "Equipment Quantity", "Leakage Test Results", "Greenchill Certification Status"], "condition": "allPresent", "action": "calculate" }
-        ],
-        "calculation": {
-          "type": "refrigerant_impact",
-          "threshold": { "IP": 100, "SI": 13 }
-        }
+          { "table": "Equipment Schedule", "parameters": ["GWP", "Refrigerant Charge", "Leakage Rate", "Equipment Life", "Equipment Cooling Capacity", "Equipment Quantity"], "condition": "allPresent" },
+          { "table": "Equipment Schedule", "parameters": ["Leakage Test Results", "Greenchill Certification Status"], "condition": "allPresent", "when": { "parameter": "Equipment Type", "contains": "refrigeration" } },
+          { "calculation": "refrigerant_impact", "output": "weightedAverage", "label": "Weighted average", "condition": "lessThanOrEqual", "value": { "IP": 100, "SI": 13 } }
+        ]
       }
     }
   },
 
   "IEQCr5": {
-    "name": "Indoor Environmental Quality",
+    "name": "Thermal Comfort",
+    "category": "IEQ",
     "maxPoints": 1,
     "parameters": [
       "Compliance Path", "PMV", "PPD", "Operative Temperature Range",
       "Relative Humidity Range", "Air Speed", "Clothing Insulation",
       "Metabolic Rate", "Weather Data Source", "Total Individual Spaces",
-      "Controlled Spaces", "Group Controls", "Thermostat Locations"
+      "Controlled Spaces", "Group Controls", "Thermostat Locations", "Design Conditions"
+    ],
+    "tables": {
+      "Design Conditions": [
+        "Design Condition", "Operative Temperature", "Relative Humidity", "Air Speed",
+        "Clothing Insulation", "Metabolic Rate", "PMV", "PPD"
+      ]
+    },
+    "types": {
+      "Compliance Path": "text",
+      "PMV": "number",
+      "PPD": "percentage",
+      "Operative Temperature Range": "range",
+      "Relative Humidity Range": "range",
+      "Air Speed": "number",
+      "Clothing Insulation": "number",
+      "Metabolic Rate": "number",
+      "Weather Data Source": "text",
+      "Total Individual Spaces": "number",
+      "Controlled Spaces": "number",
+      "Group Controls": "boolean",
+      "Thermostat Locations": "document",
+      "Design Condition": "text",
+      "Operative Temperature": "number",
+      "Relative Humidity": "percentage"
+    },
+    "dimensions": {
+      "PPD": "percentage",
+      "Operative Temperature Range": "temperature",
+      "Relative Humidity Range": "percentage",
+      "Operative Temperature": "temperature",
+      "Relative Humidity": "percentage",
+      "Air Speed": "velocity",
+      "Clothing Insulation": "clothing",
+      "Metabolic Rate": "metabolicRate"
+    },
+    "derive": [
+      { "calculation": "thermal_comfort", "fill": { "PMV": "pmv", "PPD": "ppd" } }
     ],
     "prompt": "Find the values associated with each of the parameters given above. In case of presence mark the parameter as Yes for numerical values insert it corresponding to it",
     "rules": {
+      "combine": "all",
       "part1": {
         "description": "Thermal Comfort Requirements",
         "requirements": [
-          { "parameter": "Compliance Path", "condition": "present", "action": "proceed" },
-          { "parameter": "PMV", "condition": "range", "min": -0.5, "max": 0.5, "action": "proceed" },
-          { "parameter": "PPD", "condition": "lessThan", "value": 10, "unit": "%", "action": "proceed" },
-          { "parameters": ["Operative Temperature Range", "Relative Humidity Range", "Air Speed", "Clothing Insulation", "Metabolic Rate", "Weather Data Source"], "condition": "allPresent", "action": "proceed" }
+          { "parameter": "Compliance Path", "condition": "present" },
+          { "parameter": "PMV", "condition": "range", "min": -0.5, "max": 0.5 },
+          { "parameter": "PPD", "condition": "lessThan", "value": 10, "unit": "%" },
+          { "parameters": ["Operative Temperature Range", "Relative Humidity Range", "Air Speed", "Clothing Insulation", "Metabolic Rate", "Weather Data Source"], "condition": "allPresent" }
         ]
       },
       "part2": {
         "description": "Individual Thermal Controls",
         "requirements": [
-          { "parameters": ["Total Individual Spaces", "Controlled Spaces"], "condition": "calculate", "calculation": "thermal_control_percentage" },
-          { "parameters": ["Group Controls", "Thermostat Locations"], "condition": "markup", "action": "proceed" }
+          { "parameters": ["Total Individual Spaces", "Controlled Spaces"], "calculation": "thermal_control_percentage", "output": "thermalControlPercentage", "label": "Controlled spaces percentage", "condition": "greaterThanOrEqual", "value": 50, "unit": "%" },
+          { "parameters": ["Group Controls", "Thermostat Locations"], "condition": "markup" }
         ]
       }
     }
   },
 
+  // Prerequisites
+  "EApr2": {
+    "name": "Minimum Energy Performance",
+    "category": "EA",
+    "type": "prerequisite",
+    "maxPoints": 0,
+    "parameters": [
+      "Baseline Energy Use", "Design Energy Use", "Building Type",
+      "Mandatory Provisions Compliance"
+    ],
+    "types": { "Mandatory Provisions Compliance": "boolean" },
+    "dimensions": { "Baseline Energy Use": "energy", "Design Energy Use": "energy" },
+    "rules": {
+      "requirements": [
+        { "parameter": "Mandatory Provisions Compliance", "condition": "documented" },
+        {
+          "parameters": ["Baseline Energy Use", "Design Energy Use"],
+          "calculation": "energy_performance_improvement",
+          "output": "energyImprovement",
+          "label": "Energy improvement",
+          "condition": "greaterThanOrEqual",
+          "unit": "%",
+          "by": { "parameter": "Building Type", "default": "new_buildings" },
+          "value": { "new_buildings": 5, "existing_buildings": 3 }
+        }
+      ]
+    }
+  },
+
+  "WEpr2": {
+    "name": "Indoor Water Use Reduction",
+    "category": "WE",
+    "type": "prerequisite",
+    "maxPoints": 0,
+    "parameters": [
+      "Baseline Indoor Water Use", "Design Indoor Water Use", "Fixture Schedule"
+    ],
+    "types": { "Fixture Schedule": "document" },
+    "dimensions": { "Baseline Indoor Water Use": "volume", "Design Indoor Water Use": "volume" },
+    "rules": {
+      "requirements": [
+        { "parameter": "Fixture Schedule", "condition": "documented" },
+        {
+          "parameters": ["Baseline Indoor Water Use", "Design Indoor Water Use"],
+          "calculation": "reduction_percentage",
+          "output": "reductionPercentage",
+          "label": "Indoor water use reduction",
+          "condition": "greaterThanOrEqual",
+          "value": 20,
+          "unit": "%"
+        }
+      ]
+    }
+  },
+
+  "EApr3": {
+    "name": "Fundamental Refrigerant Management",
+    "category": "EA",
+    "type": "prerequisite",
+    "maxPoints": 0,
+    "parameters": ["Refrigerant Used", "Equipment Schedule"],
+    "tables": {
+      "Equipment Schedule": [
+        "Equipment Type", "Refrigerant Used", "ODP", "GWP", "Refrigerant Charge",
+        "Leakage Rate", "Equipment Life", "Equipment Cooling Capacity", "Equipment Quantity",
+        "Leakage Test Results", "Greenchill Certification Status"
+      ]
+    },
+    "rules": {
+      "requirements": [
+        {
+          // Names and aliases ('CFC-12', 'R12', 'Freon 12') are resolved to their refrigerant type
+          "table": "Equipment Schedule",
+          "parameter": "Refrigerant Used",
+          "condition": "notOneOf",
+          "reference": { "source": "refrigerants", "property": "type" },
+          "values": ["CFC", "CFC blend"]
+        }
+      ]
+    }
+  },
+
   // Additional LEED Credits
   "WECr1": {
     "name": "Water Efficiency - Outdoor Water Use Reduction",
+    "category": "WE",
     "maxPoints": 2,
     "parameters": [
       "Baseline Water Use", "Design Water Use", "Reduction Percentage",
       "Irrigation System Type", "Plant Selection", "Weather Data"
     ],
+    "dimensions": { "Baseline Water Use": "volume", "Design Water Use": "volume", "Reduction Percentage": "percentage" },
     "rules": {
-      "calculation": {
-        "type": "water_reduction_percentage",
-        "thresholds": {
-          "1_point": 30,
-          "2_points": 50
+      "requirements": [
+        {
+          "parameters": ["Baseline Water Use", "Design Water Use"],
+          "calculation": "water_reduction_percentage",
+          "output": "waterReduction",
+          "label": "Water reduction",
+          "condition": "thresholds",
+          "unit": "%",
+          "thresholds": { "30%": 1, "50%": 2 }
         }
-      }
+      ]
     }
   },
 
   "EACr1": {
     "name": "Energy Performance - Optimize Energy Performance",
+    "category": "EA",
     "maxPoints": 18,
     "parameters": [
       "Baseline Energy Use", "Design Energy Use", "Energy Model",
-      "HVAC Systems", "Lighting Systems", "Building Envelope"
+      "HVAC Systems", "Lighting Systems", "Building Envelope", "Building Type"
     ],
+    "dimensions": { "Baseline Energy Use": "energy", "Design Energy Use": "energy" },
     "rules": {
-      "calculation": {
-        "type": "energy_performance_improvement",
-        "thresholds": {
-          "new_buildings": {
-            "6%": 1, "8%": 2, "10%": 3, "12%": 4, "14%": 5,
-            "16%": 6, "18%": 7, "20%": 8, "22%": 9, "24%": 10,
-            "26%": 11, "28%": 12, "30%": 13, "32%": 14, "34%": 15,
-            "36%": 16, "38%": 17, "40%": 18
-          },
-          "existing_buildings": {
-            "3%": 1, "6%": 2, "9%": 3, "12%": 4, "15%": 5,
-            "18%": 6, "21%": 7, "24%": 8, "27%": 9, "30%": 10,
-            "33%": 11, "36%": 12, "39%": 13, "42%": 14, "45%": 15,
-            "48%": 16, "51%": 17, "54%": 18
+      "requirements": [
+        {
+          "parameters": ["Baseline Energy Use", "Design Energy Use"],
+          "calculation": "energy_performance_improvement",
+          "output": "energyImprovement",
+          "label": "Energy improvement",
+          "condition": "thresholds",
+          "unit": "%",
+          "by": { "parameter": "Building Type", "default": "new_buildings" },
+          "thresholds": {
+            "new_buildings": {
+              "6%": 1, "8%": 2, "10%": 3, "12%": 4, "14%": 5,
+              "16%": 6, "18%": 7, "20%": 8, "22%": 9, "24%": 10,
+              "26%": 11, "28%": 12, "30%": 13, "32%": 14, "34%": 15,
+              "36%": 16, "38%": 17, "40%": 18
+            },
+            "existing_buildings": {
+              "3%": 1, "6%": 2, "9%": 3, "12%": 4, "15%": 5,
+              "18%": 6, "21%": 7, "24%": 8, "27%": 9, "30%": 10,
+              "33%": 11, "36%": 12, "39%": 13, "42%": 14, "45%": 15,
+              "48%": 16, "51%": 17, "54%": 18
+            }
           }
         }
-      }
+      ]
     }
   },
 
   "SSCr1": {
     "name": "Sustainable Sites - Site Assessment",
+    "category": "SS",
     "maxPoints": 1,
     "parameters": [
       "Site Survey", "Environmental Features", "Previous Use",
@@ -120,510 +326,96 @@ const RULE_DEFINITIONS = {
     ],
     "rules": {
       "requirements": [
-        { "parameter": "Site Survey", "condition": "present", "action": "proceed" },
-        { "parameters": ["Environmental Features", "Previous Use", "Surrounding Development", "Transportation Options"], "condition": "documented", "action": "proceed" }
+        { "parameter": "Site Survey", "condition": "present" },
+        { "parameters": ["Environmental Features", "Previous Use", "Surrounding Development", "Transportation Options"], "condition": "documented" }
       ]
     }
   },
 
   "MRCr1": {
     "name": "Materials and Resources - Building Life-Cycle Impact Reduction",
+    "category": "MR",
     "maxPoints": 5,
     "parameters": [
       "Building Reuse Percentage", "Structural Elements", "Enclosure Materials",
       "Life Cycle Assessment", "Material Selection"
     ],
     "rules": {
-      "options": {
-        "option1": {
-          "description": "Historic Building Reuse",
-          "requirement": { "parameter": "Building Reuse Percentage", "condition": "greaterThan", "value": 50 },
-          "points": 2
-        },
-        "option2": {
-          "description": "Renovation of Existing Building",
-          "requirements": [
-            { "parameter": "Structural Elements", "condition": "reuse", "percentage": 50, "points": 2 },
-            { "parameter": "Enclosure Materials", "condition": "reuse", "percentage": 50, "points": 1 }
-          ]
-        },
-        "option3": {
-          "description": "Whole Building Life-Cycle Assessment",
-          "requirement": { "parameter": "Life Cycle Assessment", "condition": "improvement", "value": 10 },
-          "points": 3
-        }
+      "combine": "best",
+      "option1": {
+        "description": "Historic Building Reuse",
+        "requirements": [
+          { "parameter": "Building Reuse Percentage", "condition": "greaterThan", "value": 50, "unit": "%" }
+        ],
+        "points": 2
+      },
+      "option2": {
+        "description": "Renovation of Existing Building",
+        "requirements": [
+          { "parameter": "Structural Elements", "condition": "greaterThanOrEqual", "value": 50, "unit": "%", "points": 2 },
+          { "parameter": "Enclosure Materials", "condition": "greaterThanOrEqual", "value": 50, "unit": "%", "points": 1 }
+        ]
+      },
+      "option3": {
+        "description": "Whole Building Life-Cycle Assessment",
+        "requirements": [
+          { "parameter": "Life Cycle Assessment", "condition": "greaterThanOrEqual", "value": 10, "unit": "%" }
+        ],
+        "points": 3
       }
     }
   },
 
   "IEQCr1": {
     "name": "Indoor Environmental Quality - Enhanced Indoor Air Quality Strategies",
+    "category": "IEQ",
     "maxPoints": 2,
     "parameters": [
       "Outdoor Air Delivery Monitoring", "Increased Ventilation",
       "Air Filtration", "IAQ Management Plan"
     ],
     "rules": {
+      "combine": "sum",
       "option1": {
         "description": "Enhanced IAQ Strategies",
         "requirements": [
           { "parameter": "Outdoor Air Delivery Monitoring", "condition": "present", "points": 1 },
-          { "parameter": "Increased Ventilation", "condition": "30_percent_above_standard", "points": 1 }
+          { "parameter": "Increased Ventilation", "condition": "greaterThanOrEqual", "value": 30, "unit": "%", "points": 1 }
         ]
       },
       "option2": {
         "description": "Enhanced Air Filtration",
-        "requirement": { "parameter": "Air Filtration", "condition": "MERV_13_or_higher", "points": 1 }
+        "requirements": [
+          { "parameter": "Air Filtration", "label": "Air Filtration MERV rating", "condition": "greaterThanOrEqual", "value": 13, "points": 1 }
+        ]
       }
     }
   }
 };
 
-// src/rules/ruleEngine.js
-class RuleEngine {
-  constructor() {
-    this.rules = RULE_DEFINITIONS;
-  }
-
-  async evaluateCredit(creditId, extractedData, unitSystem = 'IP') {
-    const rule = this.rules[creditId];
-    if (!rule) {
-      throw new Error(`Rule not found for credit: ${creditId}`);
-    }
-
-    const result = {
-      creditId,
-      creditName: rule.name,
-      maxPoints: rule.maxPoints,
-      awardedPoints: 0,
-      status: 'pending',
-      gaps: [],
-      nonCompliant: [],
-      calculations: {},
-      details: []
-    };
-
-    try {
-      switch (creditId) {
-        case 'EACr6':
-          return await this.evaluateEACr6(extractedData, unitSystem, result);
-        case 'IEQCr5':
-          return await this.evaluateIEQCr5(extractedData, result);
-        case 'WECr1':
-          return await this.evaluateWECr1(extractedData, result);
-        case 'EACr1':
-          return await this.evaluateEACr1(extractedData, result);
-        case 'SSCr1':
-          return await this.evaluateSSCr1(extractedData, result);
-        case 'MRCr1':
-          return await this.evaluateMRCr1(extractedData, result);
-        case 'IEQCr1':
-          return await this.evaluateIEQCr1(extractedData, result);
-        default:
-          throw new Error(`Evaluation not implemented for credit: ${creditId}`);
-      }
-    } catch (error) {
-      result.status = 'error';
-      result.error = error.message;
-      return result;
-    }
-  }
-
-  async evaluateEACr6(data, unitSystem, result) {
-    // Option 1: No Refrigerants or Low-Impact Refrigerants
-    const option1Result = this.checkEACr6Option1(data);
-    
-    if (option1Result.compliant) {
-      result.awardedPoints = 1;
-      result.status = 'compliant';
-      result.details.push('Option 1: No Refrigerants or Low-Impact Refrigerants');
-      return result;
-    }
-
-    result.gaps = [...result.gaps, ...option1Result.gaps];
-
-    // Option 2: Calculation of Refrigerant Impact
-    const option2Result = await this.checkEACr6Option2(data, unitSystem);
-    
-    if (option2Result.compliant) {
-      result.awardedPoints = 1;
-      result.status = 'compliant';
-      result.details.push('Option 2: Calculation of Refrigerant Impact');
-      result.calculations = option2Result.calculations;
-    } else {
-      result.status = 'non_compliant';
-      result.nonCompliant = [...result.nonCompliant, ...option2Result.nonCompliant];
-      result.gaps = [...result.gaps, ...option2Result.gaps];
-    }
-
-    return result;
-  }
-
-  checkEACr6Option1(data) {
-    const gaps = [];
-    let compliant = true;
-
-    // Check Refrigerant Used
-    if (!data['Refrigerant Used']) {
-      gaps.push('Refrigerant Used');
-      compliant = false;
-    }
-
-    // Check ODP = 0
-    if (data['ODP'] !== 0 && data['ODP'] !== '0') {
-      compliant = false;
-    }
-
-    // Check GWP < 50
-    if (!data['GWP'] || parseFloat(data['GWP']) >= 50) {
-      compliant = false;
-    }
-
-    // Check Confirmation Statement
-    if (!data['Confirmation Statement']) {
-      gaps.push('Confirmation Statement');
-      compliant = false;
-    }
-
-    return { compliant, gaps };
-  }
-
-  async checkEACr6Option2(data, unitSystem) {
-    const requiredParams = [
-      'GWP', 'Refrigerant Charge', 'Leakage Rate', 'Equipment Life',
-      'Equipment Cooling Capacity', 'Equipment Quantity'
-    ];
-
-    const gaps = [];
-    const nonCompliant = [];
-
-    // Check for missing parameters
-    requiredParams.forEach(param => {
-      if (!data[param]) {
-        gaps.push(param);
-      }
-    });
-
-    if (gaps.length > 0) {
-      return { compliant: false, gaps, nonCompliant, calculations: {} };
-    }
-
-    // Calculate LCODP and LCGWP
-    const calculations = this.calculateRefrigerantImpact(data, unitSystem);
-    const threshold = unitSystem === 'SI' ? 13 : 100;
-    const weightedAverage = calculations.weightedAverage;
-
-    if (weightedAverage <= threshold) {
-      return { compliant: true, gaps: [], nonCompliant: [], calculations };
-    } else {
-      nonCompliant.push(`Weighted average (${weightedAverage.toFixed(2)}) exceeds threshold (${threshold})`);
-      return { compliant: false, gaps: [], nonCompliant, calculations };
-    }
-  }
-
-  async evaluateIEQCr5(data, result) {
-    // Part 1: Thermal Comfort Requirements
-    const part1Result = this.checkIEQCr5Part1(data);
-    
-    // Part 2: Individual Thermal Controls
-    const part2Result = this.checkIEQCr5Part2(data);
-
-    if (part1Result.compliant && part2Result.compliant) {
-      result.awardedPoints = 1;
-      result.status = 'compliant';
-    } else {
-      result.status = 'non_compliant';
-      result.gaps = [...part1Result.gaps, ...part2Result.gaps];
-      result.nonCompliant = [...part1Result.nonCompliant, ...part2Result.nonCompliant];
-    }
-
-    result.calculations = { ...part1Result.calculations, ...part2Result.calculations };
-    return result;
-  }
-
-  checkIEQCr5Part1(data) {
-    const gaps = [];
-    const nonCompliant = [];
-    let compliant = true;
-
-    // Check Compliance Path
-    if (!data['Compliance Path']) {
-      gaps.push('Compliance Path');
-      compliant = false;
-    }
-
-    // Check PMV range (-0.5 to 0.5)
-    const pmv = parseFloat(data['PMV']);
-    if (!pmv || pmv < -0.5 || pmv > 0.5) {
-      nonCompliant.push('PMV must be between -0.5 and 0.5');
-      compliant = false;
-    }
-
-    // Check PPD < 10%
-    const ppd = parseFloat(data['PPD']);
-    if (!ppd || ppd >= 10) {
-      nonCompliant.push('PPD must be less than 10%');
-      compliant = false;
-    }
-
-    // Check required documentation
-    const requiredDocs = [
-      'Operative Temperature Range', 'Relative Humidity Range',
-      'Air Speed', 'Clothing Insulation', 'Metabolic Rate', 'Weather Data Source'
-    ];
-
-    requiredDocs.forEach(param => {
-      if (!data[param]) {
-        gaps.push(param);
-        compliant = false;
-      }
-    });
-
-    return { compliant, gaps, nonCompliant, calculations: {} };
-  }
-
-  checkIEQCr5Part2(data) {
-    const gaps = [];
-    const nonCompliant = [];
-    let compliant = true;
-    const calculations = {};
-
-    // Calculate thermal control percentage
-    const totalSpaces = parseInt(data['Total Individual Spaces']);
-    const controlledSpaces = parseInt(data['Controlled Spaces']);
-
-    if (!totalSpaces || !controlledSpaces) {
-      gaps.push('Total Individual Spaces and Controlled Spaces required');
-      compliant = false;
-    } else {
-      const percentage = (controlledSpaces / totalSpaces) * 100;
-      calculations.thermalControlPercentage = percentage;
-
-      if (percentage < 50) {
-        nonCompliant.push('Thermal control percentage must be ≥ 50%');
-        compliant = false;
-      }
-    }
-
-    // Check markup requirements
-    if (!data['Group Controls']) {
-      gaps.push('Group Controls markup');
-      compliant = false;
-    }
-
-    if (!data['Thermostat Locations']) {
-      gaps.push('Thermostat Locations markup');
-      compliant = false;
-    }
-
-    return { compliant, gaps, nonCompliant, calculations };
-  }
-
-  // Additional credit evaluation methods
-  async evaluateWECr1(data, result) {
-    const baselineWater = parseFloat(data['Baseline Water Use']);
-    const designWater = parseFloat(data['Design Water Use']);
-
-    if (!baselineWater || !designWater) {
-      result.status = 'gaps';
-      result.gaps.push('Baseline Water Use and Design Water Use required');
-      return result;
-    }
-
-    const reduction = ((baselineWater - designWater) / baselineWater) * 100;
-    result.calculations.waterReduction = reduction;
-
-    if (reduction >= 50) {
-      result.awardedPoints = 2;
-      result.status = 'compliant';
-    } else if (reduction >= 30) {
-      result.awardedPoints = 1;
-      result.status = 'compliant';
-    } else {
-      result.status = 'non_compliant';
-      result.nonCompliant.push(`Water reduction (${reduction.toFixed(1)}%) insufficient`);
-    }
-
-    return result;
-  }
-
-  async evaluateEACr1(data, result) {
-    const baselineEnergy = parseFloat(data['Baseline Energy Use']);
-    const designEnergy = parseFloat(data['Design Energy Use']);
-    const buildingType = data['Building Type'] || 'new_buildings';
-
-    if (!baselineEnergy || !designEnergy) {
-      result.status = 'gaps';
-      result.gaps.push('Baseline Energy Use and Design Energy Use required');
-      return result;
-    }
-
-    const improvement = ((baselineEnergy - designEnergy) / baselineEnergy) * 100;
-    result.calculations.energyImprovement = improvement;
-
-    const thresholds = this.rules.EACr1.rules.calculation.thresholds[buildingType];
-    let points = 0;
-
-    for (const [threshold, pointValue] of Object.entries(thresholds)) {
-      const thresholdNum = parseFloat(threshold.replace('%', ''));
-      if (improvement >= thresholdNum) {
-        points = pointValue;
-      }
-    }
-
-    result.awardedPoints = points;
-    result.status = points > 0 ? 'compliant' : 'non_compliant';
-
-    return result;
-  }
-
-  async evaluateSSCr1(data, result) {
-    const requiredDocs = ['Site Survey', 'Environmental Features', 'Previous Use', 'Surrounding Development', 'Transportation Options'];
-    const gaps = [];
-
-    requiredDocs.forEach(param => {
-      if (!data[param]) {
-        gaps.push(param);
-      }
-    });
-
-    if (gaps.length === 0) {
-      result.awardedPoints = 1;
-      result.status = 'compliant';
-    } else {
-      result.status = 'gaps';
-      result.gaps = gaps;
-    }
-
-    return result;
-  }
-
-  async evaluateMRCr1(data, result) {
-    // Check different options
-    const buildingReusePercentage = parseFloat(data['Building Reuse Percentage']);
-    const structuralReuse = parseFloat(data['Structural Elements Reuse']);
-    const enclosureReuse = parseFloat(data['Enclosure Materials Reuse']);
-    const lcaImprovement = parseFloat(data['Life Cycle Assessment Improvement']);
-
-    let points = 0;
-
-    // Option 1: Historic Building Reuse
-    if (buildingReusePercentage >= 50) {
-      points = Math.max(points, 2);
-    }
-
-    // Option 2: Renovation
-    if (structuralReuse >= 50) {
-      points = Math.max(points, 2);
-    }
-    if (enclosureReuse >= 50) {
-      points = Math.max(points, points + 1);
-    }
-
-    // Option 3: LCA
-    if (lcaImprovement >= 10) {
-      points = Math.max(points, 3);
-    }
-
-    result.awardedPoints = Math.min(points, 5);
-    result.status = points > 0 ? 'compliant' : 'non_compliant';
-
-    return result;
-  }
-
-  async evaluateIEQCr1(data, result) {
-    let points = 0;
-
-    if (data['Outdoor Air Delivery Monitoring']) {
-      points += 1;
-    }
-
-    if (data['Increased Ventilation'] === '30_percent_above_standard') {
-      points += 1;
-    }
-
-    if (data['Air Filtration'] === 'MERV_13_or_higher') {
-      points += 1;
-    }
-
-    result.awardedPoints = Math.min(points, 2);
-    result.status = points > 0 ? 'compliant' : 'non_compliant';
-
-    return result;
-  }
-
-  calculateRefrigerantImpact(data, unitSystem) {
-    const gwp = parseFloat(data['GWP']);
-    const odp = parseFloat(data['ODP']) || 0;
-    const charge = parseFloat(data['Refrigerant Charge']);
-    const leakageRate = parseFloat(data['Leakage Rate']) / 100; // Convert to decimal
-    const life = parseFloat(data['Equipment Life']);
-    const coolingCapacity = parseFloat(data['Equipment Cooling Capacity']);
-    const quantity = parseFloat(data['Equipment Quantity']);
-
-    const mr = 1; // End-of-life loss factor (typically 1)
-
-    // Calculate LCODP and LCGWP
-    const lcodp = (odp * (leakageRate * life + mr) * charge) / life;
-    const lcgwp = (gwp * (leakageRate * life + mr) * charge) / life;
-
-    // Calculate weighted average
-    const impact = lcgwp + (lcodp * Math.pow(10, 5));
-    const totalCoolingCapacity = coolingCapacity * quantity;
-    const weightedAverage = (impact * totalCoolingCapacity) / totalCoolingCapacity;
-
-    return {
-      lcodp,
-      lcgwp,
-      impact,
-      weightedAverage,
-      totalCoolingCapacity,
-      unitSystem
-    };
-  }
-
-  // Utility methods
-  checkParameterPresence(data, parameter) {
-    return data[parameter] !== undefined && data[parameter] !== null && data[parameter] !== '';
-  }
-
-  checkNumericRange(value, min, max) {
-    const num = parseFloat(value);
-    return !isNaN(num) && num >= min && num <= max;
-  }
-
-  calculatePercentage(numerator, denominator) {
-    if (!denominator || denominator === 0) return 0;
-    return (numerator / denominator) * 100;
-  }
-}
-
-// src/rules/calculationEngine.js
-class CalculationEngine {
-  static calculateRefrigerantImpact(data, unitSystem = 'IP') {
-    // Implementation already included in RuleEngine
-    const engine = new RuleEngine();
-    return engine.calculateRefrigerantImpact(data, unitSystem);
-  }
-
-  static calculateEnergyPerformance(baseline, design, buildingType = 'new') {
-    if (!baseline || !design) return null;
-    return ((baseline - design) / baseline) * 100;
-  }
-
-  static calculateWaterReduction(baseline, design) {
-    if (!baseline || !design) return null;
-    return ((baseline - design) / baseline) * 100;
-  }
+// LEED v4 BD+C credit categories and the points available in each (110 in total)
+const LEED_CATEGORIES = {
+  "IP": { "name": "Integrative Process", "maxPoints": 1 },
+  "LT": { "name": "Location and Transportation", "maxPoints": 16 },
+  "SS": { "name": "Sustainable Sites", "maxPoints": 10 },
+  "WE": { "name": "Water Efficiency", "maxPoints": 11 },
+  "EA": { "name": "Energy and Atmosphere", "maxPoints": 33 },
+  "MR": { "name": "Materials and Resources", "maxPoints": 13 },
+  "IEQ": { "name": "Indoor Environmental Quality", "maxPoints": 16 },
+  "IN": { "name": "Innovation", "maxPoints": 6 },
+  "RP": { "name": "Regional Priority", "maxPoints": 4 }
+};
 
-  static calculateThermalControlPercentage(totalSpaces, controlledSpaces) {
-    if (!totalSpaces || !controlledSpaces) return null;
-    return (controlledSpaces / totalSpaces) * 100;
-  }
-}
+// Certification levels by minimum total points, lowest first
+const CERTIFICATION_LEVELS = [
+  { "name": "Certified", "minPoints": 40 },
+  { "name": "Silver", "minPoints": 50 },
+  { "name": "Gold", "minPoints": 60 },
+  { "name": "Platinum", "minPoints": 80 }
+];
 
 module.exports = {
-  RuleEngine,
-  CalculationEngine,
-  RULE_DEFINITIONS
+  RULE_DEFINITIONS,
+  LEED_CATEGORIES,
+  CERTIFICATION_LEVELS
 };
\ No newline at end of file
@@ -0,0 +1,125 @@
+// src/rules/refrigerants.js
+//
+// Reference properties of common refrigerants used to fill in and cross-check
+// ODP/GWP values. ODP values follow the Montreal Protocol, GWP values are
+// 100-year values from the IPCC Fourth Assessment Report (AR4), matching the
+// values used in LEED v4 refrigerant calculations.
+const REFRIGERANTS = [
+  // CFCs
+  { "name": "R-11", "type": "CFC", "odp": 1, "gwp": 4750, "aliases": ["CFC-11", "Freon 11"] },
+  { "name": "R-12", "type": "CFC", "odp": 1, "gwp": 10900, "aliases": ["CFC-12", "Freon 12"] },
+  { "name": "R-13", "type": "CFC", "odp": 1, "gwp": 14400, "aliases": ["CFC-13"] },
+  { "name": "R-113", "type": "CFC", "odp": 0.8, "gwp": 6130, "aliases": ["CFC-113"] },
+  { "name": "R-114", "type": "CFC", "odp": 1, "gwp": 10000, "aliases": ["CFC-114"] },
+  { "name": "R-115", "type": "CFC", "odp": 0.6, "gwp": 7370, "aliases": ["CFC-115"] },
+  { "name": "R-500", "type": "CFC blend", "odp": 0.738, "gwp": 8077, "aliases": [] },
+  { "name": "R-502", "type": "CFC blend", "odp": 0.334, "gwp": 4657, "aliases": [] },
+  { "name": "R-503", "type": "CFC blend", "odp": 0.599, "gwp": 14560, "aliases": [] },
+
+  // HCFCs
+  { "name": "R-22", "type": "HCFC", "odp": 0.055, "gwp": 1810, "aliases": ["HCFC-22", "Freon 22"] },
+  { "name": "R-123", "type": "HCFC", "odp": 0.02, "gwp": 77, "aliases": ["HCFC-123"] },
+  { "name": "R-124", "type": "HCFC", "odp": 0.022, "gwp": 609, "aliases": ["HCFC-124"] },
+  { "name": "R-141b", "type": "HCFC", "odp": 0.11, "gwp": 725, "aliases": ["HCFC-141b"] },
+  { "name": "R-142b", "type": "HCFC", "odp": 0.065, "gwp": 2310, "aliases": ["HCFC-142b"] },
+
+  // HFCs
+  { "name": "R-23", "type": "HFC", "odp": 0, "gwp": 14800, "aliases": ["HFC-23"] },
+  { "name": "R-32", "type": "HFC", "odp": 0, "gwp": 675, "aliases": ["HFC-32"] },
+  { "name": "R-125", "type": "HFC", "odp": 0, "gwp": 3500, "aliases": ["HFC-125"] },
+  { "name": "R-134a", "type": "HFC", "odp": 0, "gwp": 1430, "aliases": ["HFC-134a"] },
+  { "name": "R-143a", "type": "HFC", "odp": 0, "gwp": 4470, "aliases": ["HFC-143a"] },
+  { "name": "R-152a", "type": "HFC", "odp": 0, "gwp": 124, "aliases": ["HFC-152a"] },
+  { "name": "R-227ea", "type": "HFC", "odp": 0, "gwp": 3220, "aliases": ["HFC-227ea"] },
+  { "name": "R-245fa", "type": "HFC", "odp": 0, "gwp": 1030, "aliases": ["HFC-245fa"] },
+
+  // HFC blends
+  { "name": "R-404A", "type": "HFC blend", "odp": 0, "gwp": 3922, "aliases": [] },
+  { "name": "R-407A", "type": "HFC blend", "odp": 0, "gwp": 2107, "aliases": [] },
+  { "name": "R-407C", "type": "HFC blend", "odp": 0, "gwp": 1774, "aliases": [] },
+  { "name": "R-407F", "type": "HFC blend", "odp": 0, "gwp": 1825, "aliases": [] },
+  { "name": "R-410A", "type": "HFC blend", "odp": 0, "gwp": 2088, "aliases": ["Puron", "AZ-20"] },
+  { "name": "R-417A", "type": "HFC blend", "odp": 0, "gwp": 2346, "aliases": [] },
+  { "name": "R-422D", "type": "HFC blend", "odp": 0, "gwp": 2729, "aliases": [] },
+  { "name": "R-427A", "type": "HFC blend", "odp": 0, "gwp": 2138, "aliases": [] },
+  { "name": "R-438A", "type": "HFC blend", "odp": 0, "gwp": 2265, "aliases": ["MO99"] },
+  { "name": "R-507A", "type": "HFC blend", "odp": 0, "gwp": 3985, "aliases": ["R-507"] },
+
+  // HFO and HFC/HFO blends
+  { "name": "R-1234yf", "type": "HFO", "odp": 0, "gwp": 4, "aliases": ["HFO-1234yf"] },
+  { "name": "R-1234ze(E)", "type": "HFO", "odp": 0, "gwp": 7, "aliases": ["HFO-1234ze(E)", "R-1234ze", "HFO-1234ze", "Solstice ze"] },
+  { "name": "R-1233zd(E)", "type": "HCFO", "odp": 0.00034, "gwp": 1, "aliases": ["HCFO-1233zd(E)", "R-1233zd", "Solstice zd"] },
+  { "name": "R-1336mzz(Z)", "type": "HFO", "odp": 0, "gwp": 2, "aliases": ["HFO-1336mzz(Z)", "Opteon MZ"] },
+  { "name": "R-448A", "type": "HFC/HFO blend", "odp": 0, "gwp": 1387, "aliases": ["Solstice N40"] },
+  { "name": "R-449A", "type": "HFC/HFO blend", "odp": 0, "gwp": 1397, "aliases": ["Opteon XP40"] },
+  { "name": "R-452A", "type": "HFC/HFO blend", "odp": 0, "gwp": 2140, "aliases": ["Opteon XP44"] },
+  { "name": "R-452B", "type": "HFC/HFO blend", "odp": 0, "gwp": 698, "aliases": ["Opteon XL55"] },
+  { "name": "R-454B", "type": "HFC/HFO blend", "odp": 0, "gwp": 466, "aliases": ["Opteon XL41"] },
+  { "name": "R-454C", "type": "HFC/HFO blend", "odp": 0, "gwp": 148, "aliases": ["Opteon XL20"] },
+  { "name": "R-455A", "type": "HFC/HFO blend", "odp": 0, "gwp": 148, "aliases": ["Solstice L40X"] },
+  { "name": "R-513A", "type": "HFC/HFO blend", "odp": 0, "gwp": 631, "aliases": ["Opteon XP10"] },
+  { "name": "R-514A", "type": "HFO blend", "odp": 0, "gwp": 2, "aliases": ["Opteon XP30"] },
+  { "name": "R-515B", "type": "HFC/HFO blend", "odp": 0, "gwp": 293, "aliases": ["Solstice N15"] },
+
+  // Natural refrigerants
+  { "name": "R-290", "type": "Natural (HC)", "odp": 0, "gwp": 3, "aliases": ["Propane", "HC-290"] },
+  { "name": "R-600a", "type": "Natural (HC)", "odp": 0, "gwp": 3, "aliases": ["Isobutane", "HC-600a"] },
+  { "name": "R-1270", "type": "Natural (HC)", "odp": 0, "gwp": 2, "aliases": ["Propylene", "Propene", "HC-1270"] },
+  { "name": "R-717", "type": "Natural", "odp": 0, "gwp": 0, "aliases": ["Ammonia", "NH3"] },
+  { "name": "R-718", "type": "Natural", "odp": 0, "gwp": 0, "aliases": ["Water", "H2O"] },
+  { "name": "R-744", "type": "Natural", "odp": 0, "gwp": 1, "aliases": ["Carbon Dioxide", "CO2"] }
+];
+
+// How far a supplied value may differ from the reference before it is flagged
+const TOLERANCE = {
+  "odp": { "relative": 0.1, "absolute": 0.001 },
+  "gwp": { "relative": 0.1, "absolute": 1 }
+};
+
+/**
+ * Reduce a refrigerant name to a lookup key: 'HFC-134a' and 'R 134A' both become 'R134A'
+ * @param {string} name - Refrigerant name or alias
+ * @returns {string} Lookup key
+ */
+function toKey(name) {
+  return String(name)
+    .toUpperCase()
+    .replace(/[\s\-_]/g, '')
+    .replace(/^(HCFO|HCFC|HFO|HFC|CFC|HC)(?=\d)/, 'R');
+}
+
+const INDEX = REFRIGERANTS.reduce((index, refrigerant) => {
+  [refrigerant.name, ...refrigerant.aliases].forEach(name => {
+    index[toKey(name)] = refrigerant;
+  });
+  return index;
+}, {});
+
+/**
+ * Find a refrigerant by name or alias
+ * @param {string} name - Refrigerant name as entered (e.g. 'R410A', 'Puron')
+ * @returns {Object|null} Reference record
+ */
+function lookupRefrigerant(name) {
+  if (name === undefined || name === null || name === '') return null;
+  return INDEX[toKey(name)] || null;
+}
+
+/**
+ * Whether a supplied property value agrees with the reference value
+ * @param {string} property - 'odp' or 'gwp'
+ * @param {number} supplied - Value entered by the user
+ * @param {number} reference - Reference value
+ * @returns {boolean} True when within tolerance
+ */
+function matchesReference(property, supplied, reference) {
+  const tolerance = TOLERANCE[property] || { relative: 0, absolute: 0 };
+  const allowed = Math.max(Math.abs(reference) * tolerance.relative, tolerance.absolute);
+  return Math.abs(supplied - reference) <= allowed;
+}
+
+module.exports = {
+  REFRIGERANTS,
+  lookupRefrigerant,
+  matchesReference
+};
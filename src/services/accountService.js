@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const AccountToken = require('../models/accountTokenModel');
+const { sendMail } = require('./mailService');
+
+const EXPIRES_MINUTES = {
+    verify_email: Number(process.env.EMAIL_VERIFICATION_EXPIRES_MINUTES) || 24 * 60,
+    reset_password: Number(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60
+};
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Link to the page of the web app that completes the flow
+function appLink(page, token) {
+    const base = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+    return `${base}/${page}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Create a single-use token; earlier unused tokens of the user for the same purpose stop working
+ * @param {Object} user - User document
+ * @param {string} purpose - 'verify_email' or 'reset_password'
+ * @returns {Promise<string>} Token to send to the user
+ */
+async function createAccountToken(user, purpose) {
+    await AccountToken.updateMany({ user: user._id, purpose, usedAt: null }, { usedAt: new Date() });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await AccountToken.create({
+        user: user._id,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + EXPIRES_MINUTES[purpose] * 60 * 1000)
+    });
+    return token;
+}
+
+/**
+ * Use a token once
+ * @param {string} token - Token from the email
+ * @param {string} purpose - 'verify_email' or 'reset_password'
+ * @returns {Promise<Object>} { user } or { error }
+ */
+async function consumeAccountToken(token, purpose) {
+    // Marking the token used in the same step keeps it single-use under concurrent requests
+    const stored = await AccountToken.findOneAndUpdate(
+        { tokenHash: hashToken(String(token)), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+        { usedAt: new Date() },
+        { new: true }
+    ).populate('user');
+
+    if (!stored || !stored.user) return { error: 'Invalid or expired token' };
+    return { user: stored.user };
+}
+
+/**
+ * Email a link to verify the user's address
+ * @param {Object} user - User document
+ */
+async function sendVerificationEmail(user) {
+    const token = await createAccountToken(user, 'verify_email');
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your email address',
+        text: `Hello ${user.name},\n\nConfirm your email address by opening this link:\n${appLink('verify-email', token)}\n\n`
+            + `The link expires in ${EXPIRES_MINUTES.verify_email / 60} hours.`
+    });
+}
+
+/**
+ * Email a link to choose a new password
+ * @param {Object} user - User document
+ */
+async function sendPasswordResetEmail(user) {
+    const token = await createAccountToken(user, 'reset_password');
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hello ${user.name},\n\nChoose a new password by opening this link:\n${appLink('reset-password', token)}\n\n`
+            + `The link expires in ${EXPIRES_MINUTES.reset_password} minutes. If you did not ask for it, ignore this email.`
+    });
+}
+
+module.exports = {
+    createAccountToken,
+    consumeAccountToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+};
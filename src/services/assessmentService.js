@@ -0,0 +1,102 @@
+const { LEEDRuleEngine } = require('../utils/LEEDRules');
+
+const UNIT_SYSTEMS = ['IP', 'SI'];
+
+const ruleEngine = new LEEDRuleEngine();
+
+/**
+ * Credits in the list that the rule engine does not know
+ * @param {Array<string>} credits - Credit ids
+ * @returns {Array<string>} Unknown credit ids
+ */
+function findUnknownCredits(credits) {
+    const available = ruleEngine.getAvailableCredits();
+    return credits.filter(creditId => !available.includes(creditId));
+}
+
+/**
+ * Run every credit through the rule engine and total the points
+ * @param {Array<string>} credits - Credit ids
+ * @param {Object} parameters - Parameter values keyed by credit id
+ * @param {string} unitSystem - 'IP' or 'SI'
+ * @param {Object} [evidence] - Evidence of the parameter values keyed by credit id
+ * @returns {Object} { results, summary }
+ */
+function assessCredits(credits, parameters, unitSystem, evidence = {}) {
+    const results = {};
+    const summary = {
+        totalCreditsAssessed: 0,
+        totalPointsEarned: 0,
+        totalPossiblePoints: 0
+    };
+
+    credits.forEach(creditId => {
+        const result = ruleEngine.assessCredit(creditId, parameters[creditId] || {}, unitSystem, evidence[creditId]);
+        results[creditId] = result;
+        summary.totalCreditsAssessed++;
+        summary.totalPointsEarned += result.points;
+        summary.totalPossiblePoints += result.maxPoints;
+    });
+
+    return { results, summary };
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function listChanges(from = [], to = []) {
+    return {
+        removed: from.filter(item => !to.includes(item)),
+        added: to.filter(item => !from.includes(item))
+    };
+}
+
+/**
+ * Compare two runs of the same credit
+ * @param {Object} from - Earlier assessment run
+ * @param {Object} to - Later assessment run
+ * @returns {Object} Parameter, gap, issue and point changes between the runs
+ */
+function diffAssessments(from, to) {
+    const fromInputs = from.inputs || {};
+    const toInputs = to.inputs || {};
+    const parameterNames = [...new Set([...Object.keys(fromInputs), ...Object.keys(toInputs)])];
+
+    const parameters = { added: [], removed: [], changed: [] };
+    parameterNames.forEach(parameter => {
+        if (!(parameter in fromInputs)) {
+            parameters.added.push({ parameter, value: toInputs[parameter] });
+        } else if (!(parameter in toInputs)) {
+            parameters.removed.push({ parameter, value: fromInputs[parameter] });
+        } else if (!sameValue(fromInputs[parameter], toInputs[parameter])) {
+            parameters.changed.push({ parameter, from: fromInputs[parameter], to: toInputs[parameter] });
+        }
+    });
+
+    const gaps = listChanges(from.result.gaps, to.result.gaps);
+    const issues = listChanges(from.result.nonCompliant, to.result.nonCompliant);
+
+    return {
+        creditId: to.creditId,
+        from: { run: from.run, createdAt: from.createdAt },
+        to: { run: to.run, createdAt: to.createdAt },
+        points: {
+            from: from.result.points,
+            to: to.result.points,
+            change: to.result.points - from.result.points
+        },
+        status: { from: from.result.status, to: to.result.status },
+        unitSystem: { from: from.unitSystem, to: to.unitSystem },
+        parameters,
+        gaps: { closed: gaps.removed, opened: gaps.added },
+        nonCompliant: { resolved: issues.removed, introduced: issues.added }
+    };
+}
+
+module.exports = {
+    UNIT_SYSTEMS,
+    findUnknownCredits,
+    assessCredits,
+    diffAssessments,
+};
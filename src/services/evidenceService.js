@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const ProjectFile = require('../models/projectFileModel');
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function fileReference(file) {
+    return file ? { file: file._id, fileName: file.name } : {};
+}
+
+/**
+ * Check evidence sent with manually entered values and resolve the files it cites
+ * @param {Object} project - Project document
+ * @param {Object} evidence - { <parameter>: { file?, page?, snippet? } }
+ * @returns {Promise<Object>} { evidence, errors }; evidence holds the resolved entries by parameter
+ */
+async function resolveManualEvidence(project, evidence = {}) {
+    const errors = [];
+    const entries = Object.entries(evidence);
+
+    entries.forEach(([parameter, entry]) => {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors.push({ parameter, message: 'evidence must be an object of { file, page, snippet }' });
+        } else if (entry.file !== undefined && !mongoose.isValidObjectId(entry.file)) {
+            errors.push({ parameter, message: 'file must be a project file id' });
+        } else if (entry.page !== undefined && !(Number.isInteger(entry.page) && entry.page > 0)) {
+            errors.push({ parameter, message: 'page must be a page number' });
+        }
+    });
+    if (errors.length > 0) return { evidence: {}, errors };
+
+    const fileIds = entries.map(([, entry]) => entry.file).filter(Boolean);
+    const files = await ProjectFile.find({ _id: { $in: fileIds }, project: project._id });
+
+    const resolved = {};
+    entries.forEach(([parameter, entry]) => {
+        const file = entry.file && files.find(candidate => candidate._id.equals(entry.file));
+        if (entry.file && !file) {
+            errors.push({ parameter, message: `File ${entry.file} not found in project` });
+            return;
+        }
+        resolved[parameter] = {
+            suppliedBy: 'manual',
+            ...fileReference(file),
+            page: entry.page || null,
+            snippet: entry.snippet || null
+        };
+    });
+
+    return { evidence: resolved, errors };
+}
+
+/**
+ * Save entered values as a credit's inputs. Values that did not change keep their evidence;
+ * new or changed values are recorded as manual entries.
+ * @param {Object} input - ProjectInput document
+ * @param {Object} parameters - Parameter values
+ * @param {Object} [evidence] - Resolved evidence for some of the values, by parameter
+ */
+function applyManualInputs(input, parameters, evidence = {}) {
+    const previous = input.evidence || {};
+    const recordedAt = new Date();
+
+    input.evidence = Object.keys(parameters).reduce((all, parameter) => {
+        if (evidence[parameter]) {
+            all[parameter] = { ...evidence[parameter], recordedAt };
+        } else if (previous[parameter] && sameValue(input.parameters[parameter], parameters[parameter])) {
+            all[parameter] = previous[parameter];
+        } else {
+            all[parameter] = { suppliedBy: 'manual', recordedAt };
+        }
+        return all;
+    }, {});
+    input.parameters = parameters;
+    input.markModified('parameters');
+    input.markModified('evidence');
+}
+
+/**
+ * Save extracted values as a credit's inputs, citing the document each was read from
+ * @param {Object} input - ProjectInput document
+ * @param {Object} extraction - Result of extractParameters: { provider, parameters, sources }
+ * @param {Array<string>} parameters - Parameters to save
+ * @param {Array<Object>} documents - ExtractedDocument documents the values were read from
+ */
+function applyExtractedInputs(input, { provider, parameters: values, sources }, parameters, documents) {
+    const recordedAt = new Date();
+    input.evidence = input.evidence || {};
+
+    parameters.forEach(parameter => {
+        const source = sources[parameter] || {};
+        const document = documents.find(candidate => candidate.name === source.document);
+
+        input.parameters[parameter] = values[parameter];
+        input.evidence[parameter] = {
+            suppliedBy: 'extraction',
+            provider,
+            ...(document ? { file: document.file, fileName: document.name, document: document._id } : {}),
+            page: source.page === undefined ? null : source.page,
+            snippet: source.snippet || null,
+            recordedAt
+        };
+    });
+    input.markModified('parameters');
+    input.markModified('evidence');
+}
+
+/**
+ * Evidence of every saved input, by credit, with file names and download routes filled in
+ * @param {Array<Object>} inputs - ProjectInput documents
+ * @returns {Promise<Object>} { <creditId>: { <parameter>: evidence } }
+ */
+async function evidenceByCredit(inputs) {
+    const fileIds = inputs.flatMap(input => Object.values(input.evidence || {}).map(entry => entry.file).filter(Boolean));
+    const files = await ProjectFile.find({ _id: { $in: fileIds } }).select('project name');
+
+    return inputs.reduce((byCredit, input) => {
+        byCredit[input.creditId] = Object.entries(input.evidence || {}).reduce((all, [parameter, entry]) => {
+            const file = entry.file && files.find(candidate => candidate._id.equals(entry.file));
+            all[parameter] = file ? { ...entry, ...fileReference(file), downloadUrl: file.downloadUrl } : { ...entry };
+            return all;
+        }, {});
+        return byCredit;
+    }, {});
+}
+
+module.exports = {
+    resolveManualEvidence,
+    applyManualInputs,
+    applyExtractedInputs,
+    evidenceByCredit,
+};
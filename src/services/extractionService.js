@@ -0,0 +1,306 @@
+const fs = require('fs/promises');
+const path = require('path');
+const pdf = require('pdf-parse');
+const mammoth = require('mammoth');
+const ExcelJS = require('exceljs');
+const ExtractedDocument = require('../models/extractedDocumentModel');
+
+// Formats extracted locally, by file extension and MIME type
+const FORMATS = {
+    pdf: { extensions: ['.pdf'], mimetypes: ['application/pdf'] },
+    docx: { extensions: ['.docx'], mimetypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'] },
+    xlsx: { extensions: ['.xlsx'], mimetypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'] },
+    csv: { extensions: ['.csv'], mimetypes: ['text/csv', 'application/csv'] },
+    text: { extensions: ['.txt', '.md'], mimetypes: ['text/plain', 'text/markdown'] }
+};
+
+// Horizontal gap (PDF units) between two pieces of text on a line that separates table cells
+const CELL_GAP = 10;
+
+const PAGE_BREAK = '\f';
+
+/**
+ * Format of a file, by extension first and MIME type second
+ * @param {string} name - File name
+ * @param {string} [mimetype] - MIME type reported by the upload
+ * @returns {string|null} One of the FORMATS keys, null when unsupported
+ */
+function detectFormat(name, mimetype) {
+    const extension = path.extname(name || '').toLowerCase();
+    const byExtension = Object.keys(FORMATS).find(format => FORMATS[format].extensions.includes(extension));
+    if (byExtension) return byExtension;
+
+    return Object.keys(FORMATS).find(format => FORMATS[format].mimetypes.includes(mimetype)) || null;
+}
+
+/**
+ * Runs of at least two consecutive lines that have at least two cells become a table
+ * @param {Array<Array<string>>} lines - Lines split into cells
+ * @returns {Array<Array<Array<string>>>} Tables
+ */
+function findTables(lines) {
+    const tables = [];
+    let current = [];
+
+    lines.concat([[]]).forEach(cells => {
+        if (cells.length >= 2) {
+            current.push(cells);
+            return;
+        }
+        if (current.length >= 2) tables.push(current);
+        current = [];
+    });
+
+    return tables;
+}
+
+async function extractPdf(buffer) {
+    const pages = [];
+
+    // Lines are rebuilt from the position of each piece of text; wide gaps separate cells
+    const pagerender = async pageData => {
+        const content = await pageData.getTextContent({ normalizeWhitespace: true });
+        const lines = [];
+        let line = null;
+
+        content.items.forEach(item => {
+            const [, , , , x, y] = item.transform;
+            if (!line || Math.abs(line.y - y) > 1) {
+                line = { y, cells: [item.str], end: x + item.width };
+                lines.push(line);
+                return;
+            }
+
+            const gap = x - line.end;
+            if (gap > CELL_GAP) {
+                line.cells.push(item.str);
+            } else {
+                line.cells[line.cells.length - 1] += (gap > 1 ? ' ' : '') + item.str;
+            }
+            line.end = x + item.width;
+        });
+
+        const cells = lines.map(current => current.cells.map(cell => cell.trim()).filter(Boolean));
+        pages.push({
+            number: pageData.pageIndex + 1,
+            text: cells.map(current => current.join('\t')).join('\n'),
+            tables: findTables(cells)
+        });
+        return '';
+    };
+
+    // pdf.js reads the whole underlying ArrayBuffer, which for small or sliced Buffers is shared
+    await pdf(new Uint8Array(buffer), { pagerender });
+    return pages.sort((a, b) => a.number - b.number);
+}
+
+function htmlToText(html) {
+    return html
+        .replace(/<\/(p|h\d|li|tr)>/g, '\n')
+        .replace(/<\/t[dh]>/g, '\t')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .split('\n')
+        .map(line => line.replace(/\t$/, '').trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+async function extractDocx(buffer) {
+    // Word documents have no fixed pages; explicit page breaks separate them
+    const transformDocument = mammoth.transforms.run(run => ({
+        ...run,
+        children: run.children.map(child => (child.type === 'break' && child.breakType === 'page'
+            ? { type: 'text', value: PAGE_BREAK }
+            : child))
+    }));
+    const { value: html } = await mammoth.convertToHtml({ buffer }, { transformDocument });
+
+    return html.split(PAGE_BREAK).map((pageHtml, index) => {
+        const tables = (pageHtml.match(/<table>[\s\S]*?<\/table>/g) || []).map(table =>
+            (table.match(/<tr>[\s\S]*?<\/tr>/g) || []).map(row =>
+                (row.match(/<t[dh][^>]*>[\s\S]*?<\/t[dh]>/g) || []).map(cell => htmlToText(cell))));
+
+        return { number: index + 1, text: htmlToText(pageHtml), tables };
+    });
+}
+
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return String(value.text);
+        if (value.result !== undefined) return cellText(value.result);
+        if (value.error) return '';
+    }
+    return String(value);
+}
+
+async function extractXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    // Every worksheet is a page holding one table
+    return workbook.worksheets.map((worksheet, index) => {
+        const rows = [];
+        worksheet.eachRow(row => {
+            const cells = [];
+            for (let column = 1; column <= row.cellCount; column++) {
+                cells.push(cellText(row.getCell(column).value).trim());
+            }
+            rows.push(cells);
+        });
+
+        return {
+            number: index + 1,
+            label: worksheet.name,
+            text: rows.map(cells => cells.join('\t')).join('\n'),
+            tables: rows.length > 0 ? [rows] : []
+        };
+    });
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, line breaks in quotes)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+async function extractCsv(buffer) {
+    const rows = parseCsv(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    return [{
+        number: 1,
+        text: rows.map(cells => cells.join('\t')).join('\n'),
+        tables: rows.length > 0 ? [rows] : []
+    }];
+}
+
+async function extractText(buffer) {
+    return buffer.toString('utf8').replace(/^\uFEFF/, '').split(PAGE_BREAK).map((text, index) => ({
+        number: index + 1,
+        text: text.trim(),
+        tables: []
+    }));
+}
+
+const EXTRACTORS = {
+    pdf: extractPdf,
+    docx: extractDocx,
+    xlsx: extractXlsx,
+    csv: extractCsv,
+    text: extractText
+};
+
+/**
+ * Extract page-indexed text and tables from a file
+ * @param {Buffer} buffer - File contents
+ * @param {Object} file - { name, type } with the MIME type
+ * @returns {Promise<Object>} { format, status, pages, error }
+ */
+async function extractDocument(buffer, { name, type }) {
+    const format = detectFormat(name, type);
+    if (!format) {
+        return { format: null, status: 'unsupported', pages: [] };
+    }
+
+    try {
+        const pages = await EXTRACTORS[format](buffer);
+        return { format, status: 'extracted', pages };
+    } catch (error) {
+        return { format, status: 'failed', error: error.message, pages: [] };
+    }
+}
+
+function saveExtraction(project, file, { format, status, error, pages }) {
+    return ExtractedDocument.findOneAndUpdate(
+        { file: file._id },
+        { project: project._id, file: file._id, name: file.name, format, status, error: error || null, pages, pageCount: pages.length },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+}
+
+/**
+ * Extract every uploaded project file and store the result against the project.
+ * A file that cannot be read, or whose pages cannot be saved (e.g. past the database's document
+ * size limit), is recorded as failed; it never fails the upload.
+ * @param {Object} project - Project document
+ * @param {Array<Object>} files - ProjectFile documents
+ * @param {Array<Buffer|string>} contents - Contents of each file, or the path of a file holding them, in the same order
+ * @returns {Promise<Array<Object>>} ExtractedDocument documents
+ */
+async function extractProjectFiles(project, files, contents) {
+    const documents = [];
+
+    // One file at a time keeps memory use to a single parsed document
+    for (let index = 0; index < files.length; index++) {
+        const file = files[index];
+        const buffer = Buffer.isBuffer(contents[index]) ? contents[index] : await fs.readFile(contents[index]);
+        const extraction = await extractDocument(buffer, file);
+
+        try {
+            documents.push(await saveExtraction(project, file, extraction));
+        } catch (error) {
+            console.error(`Saving the extraction of ${file.name} failed:`, error);
+            documents.push(await saveExtraction(project, file, {
+                format: extraction.format,
+                status: 'failed',
+                error: `Extracted pages could not be saved: ${error.message}`,
+                pages: []
+            }));
+        }
+    }
+
+    return documents;
+}
+
+module.exports = {
+    FORMATS,
+    detectFormat,
+    parseCsv,
+    extractDocument,
+    extractProjectFiles,
+};
@@ -0,0 +1,60 @@
+const ProjectFile = require('../models/projectFileModel');
+const ExtractedDocument = require('../models/extractedDocumentModel');
+const { getStorage } = require('./storageService');
+
+// Lifetime of a signed file link, in seconds, when the request does not give one
+const LINK_EXPIRES_IN = Number(process.env.FILE_LINK_EXPIRES_SECONDS) || 15 * 60;
+
+/**
+ * Expiring read link to a project file, usable without signing in or storage credentials
+ * @param {Object} file - ProjectFile document
+ * @param {number} [expiresIn] - Lifetime in seconds
+ * @returns {Promise<Object>} { url, expiresAt }
+ */
+async function createFileLink(file, expiresIn = LINK_EXPIRES_IN) {
+    const url = await getStorage().signedUrl(file.key, { expiresIn });
+    return { url, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+}
+
+/**
+ * Freshly signed links to the project files cited as evidence, for documents read outside the API
+ * @param {Object} project - Project document
+ * @param {Array<string>} fileIds - ProjectFile ids; files no longer in the project get no link
+ * @param {number} [expiresIn] - Lifetime in seconds
+ * @returns {Promise<Object>} { <file id>: url }
+ */
+async function signFileLinks(project, fileIds, expiresIn = LINK_EXPIRES_IN) {
+    const files = await ProjectFile.find({ _id: { $in: fileIds }, project: project._id }).select('key');
+    const links = {};
+    for (const file of files) {
+        links[String(file._id)] = (await createFileLink(file, expiresIn)).url;
+    }
+    return links;
+}
+
+/**
+ * Delete project files from storage along with their records and extracted documents.
+ * Files already missing from storage are still removed from the project.
+ * @param {Array<Object>} files - ProjectFile documents
+ * @returns {Promise<number>} Number of files deleted
+ */
+async function deleteProjectFiles(files) {
+    const storage = getStorage();
+    for (const file of files) {
+        await storage.delete(file.key);
+    }
+
+    const ids = files.map(file => file._id);
+    await Promise.all([
+        ProjectFile.deleteMany({ _id: { $in: ids } }),
+        ExtractedDocument.deleteMany({ file: { $in: ids } })
+    ]);
+    return files.length;
+}
+
+module.exports = {
+    LINK_EXPIRES_IN,
+    createFileLink,
+    signFileLinks,
+    deleteProjectFiles,
+};
@@ -0,0 +1,45 @@
+const ConsoleTransport = require('./transports/consoleTransport');
+const FileTransport = require('./transports/fileTransport');
+
+const transports = {
+    console: () => new ConsoleTransport(),
+    file: () => new FileTransport()
+};
+
+/**
+ * Register a mail transport
+ * @param {string} name - Name selected with MAIL_TRANSPORT
+ * @param {Function} factory - () => transport with an async send({ from, to, subject, text })
+ */
+function registerTransport(name, factory) {
+    transports[name] = factory;
+}
+
+/**
+ * Transport selected by name, or by MAIL_TRANSPORT (default 'console')
+ * @param {string} [name] - Transport name
+ * @returns {Object} Transport instance
+ */
+function getTransport(name = process.env.MAIL_TRANSPORT || 'console') {
+    if (!transports[name]) {
+        throw new Error(`Mail transport ${name} is not registered`);
+    }
+    return transports[name]();
+}
+
+/**
+ * Send a plain-text email from MAIL_FROM
+ * @param {Object} message - { to, subject, text }
+ * @param {Object} [transport] - Transport instance (default from getTransport)
+ * @returns {Promise<Object>} What the transport returned
+ */
+async function sendMail({ to, subject, text }, transport = getTransport()) {
+    const from = process.env.MAIL_FROM || 'Green AI <no-reply@localhost>';
+    return transport.send({ from, to, subject, text });
+}
+
+module.exports = {
+    registerTransport,
+    getTransport,
+    sendMail,
+};
@@ -0,0 +1,173 @@
+const { RULE_DEFINITIONS } = require('../rules/DefinesRule');
+const { LEEDUtils } = require('../utils/LEEDRules');
+const StubProvider = require('./providers/stubProvider');
+const OpenAIProvider = require('./providers/openAIProvider');
+
+// Used for credits whose definition has no "prompt"
+const DEFAULT_PROMPT = 'Find the values of the parameters listed above in the project documents.';
+
+const INSTRUCTIONS = [
+    'You extract LEED credit parameters from building project documents.',
+    'Answer with a JSON object only: { "parameters": { "<parameter name>": { "value": ..., "document": "<document name>", "page": <page number>, "snippet": "<quoted text the value was read from>" } } }.',
+    'Use the parameter names exactly as listed. Give numbers with their units as written in the document.',
+    'For a table parameter, "value" is an array of rows, each an object keyed by the listed column names.',
+    'Leave out any parameter the documents do not state; never guess.'
+].join('\n');
+
+// Upper bound on the document text sent with one request
+const MAX_DOCUMENT_CHARS = Number(process.env.EXTRACTION_MAX_CHARS) || 100000;
+
+const providers = {
+    stub: () => new StubProvider(),
+    openai: () => new OpenAIProvider()
+};
+
+/**
+ * Register an extraction provider
+ * @param {string} name - Name selected with EXTRACTION_PROVIDER
+ * @param {Function} factory - () => provider with an async extract(request) returning the answer text
+ */
+function registerProvider(name, factory) {
+    providers[name] = factory;
+}
+
+/**
+ * Provider selected by name, or by EXTRACTION_PROVIDER (default 'stub')
+ * @param {string} [name] - Provider name
+ * @returns {Object} Provider instance
+ */
+function getProvider(name = process.env.EXTRACTION_PROVIDER || 'stub') {
+    if (!providers[name]) {
+        throw new Error(`Extraction provider ${name} is not registered`);
+    }
+    return providers[name]();
+}
+
+function documentText(documents) {
+    let text = '';
+    for (const document of documents) {
+        for (const page of document.pages) {
+            const section = `\n[Document: ${document.name}, page ${page.number}${page.label ? ` (${page.label})` : ''}]\n${page.text}\n`;
+            if (text.length + section.length > MAX_DOCUMENT_CHARS) {
+                return `${text}\n[Remaining pages omitted]`;
+            }
+            text += section;
+        }
+    }
+    return text;
+}
+
+/**
+ * Everything a provider needs to extract one credit's parameters
+ * @param {string} creditId - Credit id
+ * @param {Array<Object>} documents - Extracted documents: { name, pages: [{ number, label, text, tables }] }
+ * @returns {Object} { creditId, instructions, prompt, parameters, tables, documents }
+ */
+function buildRequest(creditId, documents) {
+    const definition = RULE_DEFINITIONS[creditId];
+    if (!definition) {
+        throw new Error(`Credit ${creditId} not found in rule engine`);
+    }
+
+    const tables = definition.tables || {};
+    const parameterList = (definition.parameters || []).map(parameter => (tables[parameter]
+        ? `- ${parameter} (table with columns: ${tables[parameter].join(', ')})`
+        : `- ${parameter}`));
+
+    const prompt = [
+        `Credit: ${creditId} - ${definition.name}`,
+        'Parameters:',
+        ...parameterList,
+        '',
+        definition.prompt || DEFAULT_PROMPT,
+        '',
+        'Documents:',
+        documentText(documents)
+    ].join('\n');
+
+    return {
+        creditId,
+        instructions: INSTRUCTIONS,
+        prompt,
+        parameters: definition.parameters || [],
+        tables,
+        documents
+    };
+}
+
+/**
+ * Read a provider's answer into the engine's input shape
+ * @param {string} answer - Answer text, JSON possibly wrapped in a code fence
+ * @param {Array<string>} parameterNames - The credit's parameters
+ * @param {Object} [tables] - The credit's table parameters and their columns
+ * @returns {Object} { parameters, sources, missing }; sources hold { document, page, snippet } per parameter
+ */
+function parseAnswer(answer, parameterNames, tables = {}) {
+    const start = answer.indexOf('{');
+    const end = answer.lastIndexOf('}');
+    let parsed;
+    try {
+        parsed = JSON.parse(answer.slice(start, end + 1));
+    } catch (error) {
+        throw new Error(`Extraction answer is not valid JSON: ${error.message}`);
+    }
+
+    const entries = LEEDUtils.normalizeKeys(parsed.parameters || parsed, parameterNames);
+    const parameters = {};
+    const sources = {};
+
+    Object.entries(entries).forEach(([parameter, entry]) => {
+        // Parameters the credit does not declare are dropped
+        if (!parameterNames.includes(parameter)) return;
+
+        const detailed = entry !== null && typeof entry === 'object' && !Array.isArray(entry) && 'value' in entry;
+        const value = detailed ? entry.value : entry;
+        if (value === undefined || value === null || value === '') return;
+
+        parameters[parameter] = value;
+        if (detailed && entry.document) {
+            sources[parameter] = {
+                document: entry.document,
+                page: entry.page !== undefined ? Number(entry.page) : null,
+                snippet: entry.snippet || null
+            };
+        }
+    });
+
+    // Columns of a table that was found are given per row
+    const covered = Object.keys(tables)
+        .filter(table => Array.isArray(parameters[table]))
+        .reduce((columns, table) => columns.concat(tables[table]), []);
+
+    return {
+        parameters,
+        sources,
+        missing: parameterNames.filter(parameter => parameters[parameter] === undefined && !covered.includes(parameter))
+    };
+}
+
+/**
+ * Extract a credit's parameters from documents with a provider
+ * @param {string} creditId - Credit id
+ * @param {Array<Object>} documents - Extracted documents
+ * @param {Object} [provider] - Provider instance (default from getProvider)
+ * @returns {Promise<Object>} { creditId, provider, parameters, sources, missing }
+ */
+async function extractParameters(creditId, documents, provider = getProvider()) {
+    const request = buildRequest(creditId, documents);
+    const answer = await provider.extract(request);
+
+    return {
+        creditId,
+        provider: provider.name,
+        ...parseAnswer(answer, request.parameters, request.tables)
+    };
+}
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    buildRequest,
+    parseAnswer,
+    extractParameters,
+};
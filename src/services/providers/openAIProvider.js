@@ -0,0 +1,57 @@
+/**
+ * Extraction provider for any OpenAI-compatible chat completions API.
+ *
+ * Environment: EXTRACTION_API_KEY, EXTRACTION_MODEL (default gpt-4o-mini),
+ * EXTRACTION_API_URL (default https://api.openai.com/v1), EXTRACTION_TIMEOUT_MS (default 60000)
+ */
+class OpenAIProvider {
+    constructor({
+        apiKey = process.env.EXTRACTION_API_KEY,
+        model = process.env.EXTRACTION_MODEL || 'gpt-4o-mini',
+        baseUrl = process.env.EXTRACTION_API_URL || 'https://api.openai.com/v1',
+        timeout = Number(process.env.EXTRACTION_TIMEOUT_MS) || 60000
+    } = {}) {
+        if (!apiKey) {
+            throw new Error('EXTRACTION_API_KEY is required for the openai extraction provider');
+        }
+
+        this.name = 'openai';
+        this.apiKey = apiKey;
+        this.model = model;
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.timeout = timeout;
+    }
+
+    /**
+     * @param {Object} request - See parameterExtractionService.buildRequest
+     * @returns {Promise<string>} The model's answer
+     */
+    async extract({ instructions, prompt }) {
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${this.apiKey}`
+            },
+            body: JSON.stringify({
+                model: this.model,
+                temperature: 0,
+                response_format: { type: 'json_object' },
+                messages: [
+                    { role: 'system', content: instructions },
+                    { role: 'user', content: prompt }
+                ]
+            }),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Extraction provider responded with ${response.status}: ${await response.text()}`);
+        }
+
+        const body = await response.json();
+        return body.choices[0].message.content;
+    }
+}
+
+module.exports = OpenAIProvider;
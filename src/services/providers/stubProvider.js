@@ -0,0 +1,82 @@
+/**
+ * Deterministic extraction provider that runs offline. Instead of a model it reads
+ * "Parameter: value" lines, two-column key/value tables and tables whose header row
+ * names the credit's table columns. It answers in the same JSON format a model is asked for.
+ */
+
+const LABEL_VALUE = /^\s*([^:=]+?)\s*[:=]\s*(.+?)\s*$/;
+
+const toKey = text => String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+
+class StubProvider {
+    constructor() {
+        this.name = 'stub';
+    }
+
+    /**
+     * @param {Object} request - See parameterExtractionService.buildRequest
+     * @returns {Promise<string>} JSON answer
+     */
+    async extract({ parameters, tables, documents }) {
+        const wanted = parameters.reduce((index, parameter) => {
+            index[toKey(parameter)] = parameter;
+            return index;
+        }, {});
+        const answer = {};
+
+        const found = (parameter, value, source) => {
+            if (answer[parameter] !== undefined || value === '') return;
+            answer[parameter] = { value, ...source };
+        };
+
+        documents.forEach(document => {
+            document.pages.forEach(page => {
+                const source = { document: document.name, page: page.number };
+
+                page.text.split('\n').forEach(line => {
+                    const match = line.match(LABEL_VALUE);
+                    if (match && wanted[toKey(match[1])]) {
+                        found(wanted[toKey(match[1])], match[2], { ...source, snippet: line.trim() });
+                    }
+                });
+
+                (page.tables || []).forEach(table => {
+                    this.readTable(table, tables, wanted, source, found);
+                });
+            });
+        });
+
+        return JSON.stringify({ parameters: answer });
+    }
+
+    readTable(table, tables, wanted, source, found) {
+        const [header = [], ...rows] = table;
+
+        // A table whose header names at least two columns of a credit table
+        for (const [name, columns] of Object.entries(tables)) {
+            const columnIndex = columns.reduce((index, column) => {
+                index[toKey(column)] = column;
+                return index;
+            }, {});
+            const matched = header.map(cell => columnIndex[toKey(cell)]);
+            if (matched.filter(Boolean).length < 2) continue;
+
+            const value = rows.map(cells => matched.reduce((row, column, index) => {
+                if (column && cells[index] !== undefined && cells[index] !== '') row[column] = cells[index];
+                return row;
+            }, {})).filter(row => Object.keys(row).length > 0);
+
+            found(name, value, { ...source, snippet: header.join(' | ') });
+            return;
+        }
+
+        // Otherwise rows of [parameter, value]
+        table.forEach(cells => {
+            if (cells.length === 2 && wanted[toKey(cells[0])]) {
+                found(wanted[toKey(cells[0])], cells[1], { ...source, snippet: cells.join(' | ') });
+            }
+        });
+    }
+}
+
+module.exports = StubProvider;
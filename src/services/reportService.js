@@ -0,0 +1,317 @@
+const PDFDocument = require('pdfkit');
+const { buildScorecard } = require('./scorecardService');
+const { formatValue } = require('../utils/values');
+const { csvCell } = require('../utils/csv');
+
+const FORMATS = {
+    html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+    pdf: { extension: 'pdf', contentType: 'application/pdf' },
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' }
+};
+
+const STATUS_LABELS = {
+    compliant: 'Compliant',
+    non_compliant: 'Non-compliant',
+    gaps: 'Information missing',
+    error: 'Error',
+    not_assessed: 'Not assessed'
+};
+
+const CONDITION_LABELS = {
+    equals: '=',
+    lessThan: '<',
+    lessThanOrEqual: '<=',
+    greaterThan: '>',
+    greaterThanOrEqual: '>=',
+    range: 'within',
+    oneOf: 'one of',
+    notOneOf: 'not one of',
+    thresholds: 'thresholds'
+};
+
+// weightedAverage -> Weighted average, pmv -> PMV
+function labelFor(key) {
+    if (/^[a-z]{1,3}$/.test(key)) return key.toUpperCase();
+    const words = key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function display(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'number') return String(Number.isInteger(value) ? value : Number(value.toFixed(2)));
+    if (Array.isArray(value)) {
+        // Table parameters
+        if (value.some(item => item && typeof item === 'object')) return `${value.length} row${value.length === 1 ? '' : 's'}`;
+        return value.map(display).join(', ');
+    }
+    if (typeof value === 'object' && value.min === undefined) return JSON.stringify(value);
+    return formatValue(value);
+}
+
+function describeCheck(check) {
+    const condition = CONDITION_LABELS[check.condition] || check.condition;
+    const expected = check.condition === 'thresholds' ? '' : ` ${display(check.expected)}`;
+    const where = check.table ? ` (${check.table} row ${check.row})` : '';
+    return `${check.label}${where}: ${display(check.actual)} ${condition}${expected}`;
+}
+
+function creditReport(assessment, links) {
+    const result = assessment.result;
+    const sections = [
+        ...(result.options || []).map(option => ({ section: `Option ${option.id}`, breakdown: option })),
+        ...(result.parts || []).map(part => ({ section: `Part ${part.id}`, breakdown: part }))
+    ];
+
+    // Scalar calculations are reported; per-item detail stays in the assessment run
+    const calculations = [result.calculations || {}, ...sections.map(({ breakdown }) => breakdown.calculations || {})]
+        .reduce((all, calculations) => ({ ...all, ...calculations }), {});
+
+    return {
+        creditId: result.creditId,
+        creditName: result.creditName,
+        category: result.category,
+        type: result.type,
+        run: assessment.run,
+        assessedAt: assessment.createdAt,
+        unitSystem: assessment.unitSystem,
+        points: result.points,
+        maxPoints: result.maxPoints,
+        status: result.status,
+        option: result.option || null,
+        error: result.error || null,
+        gaps: result.gaps || [],
+        nonCompliant: result.nonCompliant || [],
+        warnings: result.warnings || [],
+        calculations: Object.entries(calculations)
+            .filter(([, value]) => ['number', 'string', 'boolean'].includes(typeof value))
+            .map(([name, value]) => ({ name: labelFor(name), value: display(value) })),
+        checks: sections.flatMap(({ section, breakdown }) => (breakdown.checks || []).map(check => ({
+            section: breakdown.description ? `${section}: ${breakdown.description}` : section,
+            check: describeCheck(check),
+            passed: check.passed
+        }))),
+        evidence: Object.entries(result.evidence || {}).map(([parameter, entry]) => ({
+            parameter,
+            value: display(entry.value),
+            suppliedBy: entry.suppliedBy,
+            fileName: entry.fileName || null,
+            url: (entry.file && links[String(entry.file)]) || null,
+            page: entry.page || null,
+            snippet: entry.snippet || null,
+            reference: entry.reference || null
+        }))
+    };
+}
+
+/**
+ * Project report from the latest run of every assessed credit
+ * @param {Object} project - Project document
+ * @param {Array<Object>} assessments - Latest assessment runs
+ * @param {Object} [links] - Signed links to evidence files, { <file id>: url }
+ * @returns {Object} { project, generatedAt, scorecard, credits }
+ */
+function buildReport(project, assessments, links = {}) {
+    return {
+        project: {
+            _id: project._id,
+            name: project.name,
+            buildingType: project.buildingType || null,
+            ratingSystem: project.ratingSystem,
+            unitSystem: project.unitSystem
+        },
+        generatedAt: new Date(),
+        scorecard: buildScorecard(assessments.map(assessment => assessment.result)),
+        credits: assessments.map(assessment => creditReport(assessment, links))
+    };
+}
+
+function evidenceSource(entry) {
+    if (entry.fileName) return `${entry.fileName}${entry.page ? `, p. ${entry.page}` : ''}`;
+    if (entry.reference) return `${entry.suppliedBy}: ${entry.reference}`;
+    return entry.suppliedBy;
+}
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function htmlList(title, items) {
+    if (items.length === 0) return '';
+    return `<h4>${escapeHtml(title)}</h4><ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+}
+
+function htmlCredit(credit) {
+    const calculations = credit.calculations.length === 0 ? '' : `<h4>Calculations</h4><table>${credit.calculations
+        .map(calculation => `<tr><th>${escapeHtml(calculation.name)}</th><td>${escapeHtml(calculation.value)}</td></tr>`)
+        .join('')}</table>`;
+    const checks = credit.checks.length === 0 ? '' : `<h4>Checks</h4><table>${credit.checks
+        .map(check => `<tr class="${check.passed ? 'passed' : 'failed'}"><td>${escapeHtml(check.section)}</td><td>${escapeHtml(check.check)}</td><td>${check.passed ? 'Passed' : 'Failed'}</td></tr>`)
+        .join('')}</table>`;
+    const evidence = credit.evidence.length === 0 ? '' : `<h4>Evidence</h4><table><tr><th>Parameter</th><th>Value</th><th>Source</th><th>Snippet</th></tr>${credit.evidence
+        .map(entry => {
+            const source = entry.url
+                ? `<a href="${escapeHtml(entry.url)}">${escapeHtml(evidenceSource(entry))}</a>`
+                : escapeHtml(evidenceSource(entry));
+            return `<tr><td>${escapeHtml(entry.parameter)}</td><td>${escapeHtml(entry.value)}</td><td>${source}</td><td>${escapeHtml(entry.snippet)}</td></tr>`;
+        })
+        .join('')}</table>`;
+
+    return `<section class="credit">
+<h3>${escapeHtml(credit.creditId)} ${escapeHtml(credit.creditName)}</h3>
+<p class="status ${escapeHtml(credit.status)}">${escapeHtml(STATUS_LABELS[credit.status] || credit.status)} · ${credit.type === 'prerequisite' ? 'Prerequisite' : `${credit.points}/${credit.maxPoints} points`}${credit.option ? ` · Option ${escapeHtml(credit.option)}` : ''} · Run ${credit.run}</p>
+${credit.error ? `<p class="error">${escapeHtml(credit.error)}</p>` : ''}
+${htmlList('Gaps', credit.gaps)}${htmlList('Non-compliance', credit.nonCompliant)}${htmlList('Warnings', credit.warnings)}
+${calculations}${checks}${evidence}
+</section>`;
+}
+
+/**
+ * Render a report as a standalone HTML page
+ * @param {Object} report - Result of buildReport
+ * @returns {string} HTML
+ */
+function renderHtml(report) {
+    const { project, scorecard } = report;
+    const categories = scorecard.categories
+        .map(category => `<tr><td>${escapeHtml(category.name)}</td><td>${category.points}/${category.maxPoints}</td></tr>`)
+        .join('');
+    const prerequisites = scorecard.prerequisites
+        .map(prerequisite => `<tr><td>${escapeHtml(prerequisite.creditId)} ${escapeHtml(prerequisite.creditName)}</td><td>${escapeHtml(STATUS_LABELS[prerequisite.status] || prerequisite.status)}</td></tr>`)
+        .join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(project.name)} - LEED assessment report</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 960px; margin: 2em auto; padding: 0 1em; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 1em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+.credit { border-top: 2px solid #2e7d32; margin-top: 2em; }
+.compliant { color: #2e7d32; } .non_compliant, .error, .failed td:last-child { color: #c62828; } .gaps { color: #ef6c00; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(project.name)}</h1>
+<p>${escapeHtml(project.ratingSystem)} · ${escapeHtml(project.unitSystem)} units · Generated ${escapeHtml(report.generatedAt.toISOString())}</p>
+<h2>Scorecard</h2>
+<p><strong>${scorecard.totalPoints}</strong> of ${scorecard.possiblePoints} points · Level: ${escapeHtml(scorecard.level || 'Not certified')}${scorecard.nextLevel ? ` · ${scorecard.nextLevel.pointsNeeded} points to ${escapeHtml(scorecard.nextLevel.name)}` : ''}</p>
+${scorecard.eligible ? '' : `<p class="error">Not eligible for certification: prerequisites ${escapeHtml(scorecard.blockingPrerequisites.join(', '))} not met</p>`}
+<table><tr><th>Category</th><th>Points</th></tr>${categories}</table>
+<h3>Prerequisites</h3>
+<table><tr><th>Prerequisite</th><th>Status</th></tr>${prerequisites}</table>
+<h2>Credits</h2>
+${report.credits.map(htmlCredit).join('\n')}
+</body>
+</html>
+`;
+}
+
+const CSV_COLUMNS = ['Credit', 'Credit Name', 'Category', 'Status', 'Points', 'Max Points', 'Run', 'Type', 'Item', 'Detail', 'Source', 'Page', 'Link'];
+
+/**
+ * Render a report as CSV: a summary row per credit followed by its gaps,
+ * non-compliance reasons, warnings, calculations, checks and evidence
+ * @param {Object} report - Result of buildReport
+ * @returns {string} CSV text
+ */
+function renderCsv(report) {
+    const rows = [CSV_COLUMNS];
+
+    report.credits.forEach(credit => {
+        const row = (type, item, detail = '', source = '', page = '', link = '') => rows.push([
+            credit.creditId, credit.creditName, credit.category, STATUS_LABELS[credit.status] || credit.status,
+            credit.points, credit.maxPoints, credit.run, type, item, detail, source, page, link
+        ]);
+
+        row('Summary', credit.option ? `Option ${credit.option}` : '', credit.error || '');
+        credit.gaps.forEach(gap => row('Gap', gap));
+        credit.nonCompliant.forEach(issue => row('Non-compliance', issue));
+        credit.warnings.forEach(warning => row('Warning', warning));
+        credit.calculations.forEach(calculation => row('Calculation', calculation.name, calculation.value));
+        credit.checks.forEach(check => row('Check', check.check, `${check.section}: ${check.passed ? 'Passed' : 'Failed'}`));
+        credit.evidence.forEach(entry => row('Evidence', entry.parameter, entry.value,
+            entry.fileName || entry.reference || entry.suppliedBy, entry.page, entry.url));
+    });
+
+    return `${rows.map(cells => cells.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Render a report as a PDF document
+ * @param {Object} report - Result of buildReport
+ * @returns {Promise<Buffer>} PDF contents
+ */
+function renderPdf(report) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `${report.project.name} - LEED assessment report` } });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const { project, scorecard } = report;
+        const heading = (text, size) => doc.moveDown(0.5).font('Helvetica-Bold').fontSize(size).text(text).font('Helvetica').fontSize(10);
+        const list = (title, items) => {
+            if (items.length === 0) return;
+            doc.font('Helvetica-Bold').text(title).font('Helvetica');
+            items.forEach(item => doc.text(`• ${item}`, { indent: 10 }));
+        };
+
+        heading(project.name, 20);
+        doc.text(`${project.ratingSystem} · ${project.unitSystem} units · Generated ${report.generatedAt.toISOString()}`);
+
+        heading('Scorecard', 14);
+        doc.text(`${scorecard.totalPoints} of ${scorecard.possiblePoints} points · Level: ${scorecard.level || 'Not certified'}`
+            + (scorecard.nextLevel ? ` · ${scorecard.nextLevel.pointsNeeded} points to ${scorecard.nextLevel.name}` : ''));
+        if (!scorecard.eligible) {
+            doc.fillColor('#c62828').text(`Not eligible for certification: prerequisites ${scorecard.blockingPrerequisites.join(', ')} not met`).fillColor('black');
+        }
+        scorecard.categories.forEach(category => doc.text(`${category.name}: ${category.points}/${category.maxPoints}`, { indent: 10 }));
+        list('Prerequisites', scorecard.prerequisites.map(prerequisite =>
+            `${prerequisite.creditId} ${prerequisite.creditName}: ${STATUS_LABELS[prerequisite.status] || prerequisite.status}`));
+
+        report.credits.forEach(credit => {
+            heading(`${credit.creditId} ${credit.creditName}`, 13);
+            doc.text(`${STATUS_LABELS[credit.status] || credit.status} · ${credit.type === 'prerequisite' ? 'Prerequisite' : `${credit.points}/${credit.maxPoints} points`}`
+                + `${credit.option ? ` · Option ${credit.option}` : ''} · Run ${credit.run}`);
+            if (credit.error) doc.text(credit.error);
+
+            list('Gaps', credit.gaps);
+            list('Non-compliance', credit.nonCompliant);
+            list('Warnings', credit.warnings);
+            list('Calculations', credit.calculations.map(calculation => `${calculation.name}: ${calculation.value}`));
+            list('Checks', credit.checks.map(check => `${check.check} - ${check.passed ? 'Passed' : 'Failed'}`));
+
+            if (credit.evidence.length > 0) {
+                doc.font('Helvetica-Bold').text('Evidence').font('Helvetica');
+                credit.evidence.forEach(entry => {
+                    doc.text(`• ${entry.parameter}: ${entry.value} (`, { indent: 10, continued: true });
+                    if (entry.url) {
+                        doc.fillColor('#1565c0').text(evidenceSource(entry), { link: entry.url, underline: true, continued: true }).fillColor('black');
+                    } else {
+                        doc.text(evidenceSource(entry), { continued: true });
+                    }
+                    doc.text(')', { link: null, underline: false });
+                    if (entry.snippet) doc.fillColor('#555').text(`"${entry.snippet}"`, { indent: 20 }).fillColor('black');
+                });
+            }
+        });
+
+        doc.end();
+    });
+}
+
+module.exports = {
+    FORMATS,
+    buildReport,
+    renderHtml,
+    renderCsv,
+    renderPdf,
+};
@@ -0,0 +1,54 @@
+const NoopScanner = require('./scanners/noopScanner');
+
+const scanners = {
+    none: () => new NoopScanner()
+};
+
+/**
+ * Register a malware scanner
+ * @param {string} name - Name selected with UPLOAD_SCANNER
+ * @param {Function} factory - () => scanner with an async scan(file) returning { clean, threat? }
+ */
+function registerScanner(name, factory) {
+    scanners[name] = factory;
+}
+
+/**
+ * Scanner selected by name, or by UPLOAD_SCANNER (default 'none')
+ * @param {string} [name] - Scanner name
+ * @returns {Object} Scanner instance
+ */
+function getScanner(name = process.env.UPLOAD_SCANNER || 'none') {
+    if (!scanners[name]) {
+        throw new Error(`Malware scanner ${name} is not registered`);
+    }
+    return scanners[name]();
+}
+
+/**
+ * Scan uploaded files
+ * @param {Array<Object>} files - Uploaded files, as read by the uploadFiles middleware
+ * @param {Object} [scanner] - Scanner instance (default from getScanner)
+ * @returns {Promise<Array<Object>>} { file, threat } of every file that is not clean
+ */
+async function findInfectedFiles(files, scanner = getScanner()) {
+    const infected = [];
+    for (const file of files) {
+        const result = await scanner.scan({
+            name: file.originalname,
+            size: file.size,
+            sha256: file.sha256,
+            type: file.fileType,
+            path: file.path,
+            buffer: file.buffer
+        });
+        if (!result.clean) infected.push({ file, threat: result.threat || null });
+    }
+    return infected;
+}
+
+module.exports = {
+    registerScanner,
+    getScanner,
+    findInfectedFiles,
+};
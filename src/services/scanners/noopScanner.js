@@ -0,0 +1,18 @@
+/**
+ * Malware scanner for development and tests: reports every file as clean without scanning it.
+ */
+class NoopScanner {
+    constructor() {
+        this.name = 'none';
+    }
+
+    /**
+     * @param {Object} file - { name, size, sha256, type, path?, buffer? }; path when the upload was written to disk
+     * @returns {Promise<Object>} { clean, threat? }
+     */
+    async scan() {
+        return { clean: true };
+    }
+}
+
+module.exports = NoopScanner;
@@ -0,0 +1,116 @@
+const { RULE_DEFINITIONS, LEED_CATEGORIES, CERTIFICATION_LEVELS } = require('../rules/DefinesRule');
+
+const TOTAL_POINTS = Object.values(LEED_CATEGORIES).reduce((total, category) => total + category.maxPoints, 0);
+
+const PREREQUISITES = Object.keys(RULE_DEFINITIONS).filter(creditId => RULE_DEFINITIONS[creditId].type === 'prerequisite');
+
+/**
+ * Certification level reached with a points total, and the gap to the next one
+ * @param {number} points - Total points
+ * @returns {Object} { level, nextLevel }
+ */
+function certificationFor(points) {
+    const reached = CERTIFICATION_LEVELS.filter(level => points >= level.minPoints);
+    const next = CERTIFICATION_LEVELS.find(level => points < level.minPoints);
+
+    return {
+        level: reached.length > 0 ? reached[reached.length - 1].name : null,
+        nextLevel: next ? { name: next.name, minPoints: next.minPoints, pointsNeeded: next.minPoints - points } : null
+    };
+}
+
+/**
+ * Status of every prerequisite in the catalog. A prerequisite that was not
+ * assessed counts as not met.
+ * @param {Array<Object>} results - Prerequisite results from the rule engine
+ * @returns {Array<Object>} One entry per prerequisite
+ */
+function prerequisiteStatus(results) {
+    return PREREQUISITES.map(creditId => {
+        const result = results.find(item => item.creditId === creditId);
+
+        return {
+            creditId,
+            creditName: RULE_DEFINITIONS[creditId].name,
+            assessed: Boolean(result),
+            passed: Boolean(result && result.passed),
+            status: result ? result.status : 'not_assessed',
+            gaps: result ? result.gaps : [],
+            nonCompliant: result ? result.nonCompliant : []
+        };
+    });
+}
+
+/**
+ * Aggregate credit results into a project scorecard
+ * @param {Array<Object>} results - Credit and prerequisite results from the rule engine
+ * @returns {Object} Category subtotals, total against the rating system, prerequisite status
+ * and certification level
+ */
+function buildScorecard(results) {
+    const isPrerequisite = result => result.type === 'prerequisite' || PREREQUISITES.includes(result.creditId);
+    const credits = results.filter(result => !isPrerequisite(result));
+    const prerequisites = prerequisiteStatus(results.filter(isPrerequisite));
+    const categories = {};
+
+    credits.forEach(result => {
+        const definition = RULE_DEFINITIONS[result.creditId];
+        const categoryId = result.category || (definition && definition.category) || 'Other';
+        const known = LEED_CATEGORIES[categoryId];
+
+        if (!categories[categoryId]) {
+            categories[categoryId] = {
+                category: categoryId,
+                name: known ? known.name : categoryId,
+                maxPoints: known ? known.maxPoints : 0,
+                points: 0,
+                credits: []
+            };
+        }
+
+        const category = categories[categoryId];
+        if (!known) category.maxPoints += result.maxPoints;
+        category.credits.push({
+            creditId: result.creditId,
+            creditName: result.creditName,
+            points: result.points,
+            maxPoints: result.maxPoints,
+            status: result.status
+        });
+    });
+
+    // A category can never contribute more than its own maximum
+    Object.values(categories).forEach(category => {
+        const earned = category.credits.reduce((total, credit) => total + credit.points, 0);
+        category.points = Math.min(earned, category.maxPoints);
+    });
+
+    const totalPoints = Object.values(categories).reduce((total, category) => total + category.points, 0);
+    const { level, nextLevel } = certificationFor(totalPoints);
+
+    // No certification level while any prerequisite is unmet
+    const eligible = prerequisites.every(prerequisite => prerequisite.passed);
+
+    return {
+        totalPoints,
+        possiblePoints: TOTAL_POINTS,
+        creditsAssessed: credits.length,
+        eligible,
+        level: eligible ? level : null,
+        levelByPoints: level,
+        nextLevel,
+        blockingPrerequisites: prerequisites.filter(prerequisite => !prerequisite.passed).map(prerequisite => prerequisite.creditId),
+        prerequisites,
+        categories: Object.keys(LEED_CATEGORIES)
+            .filter(categoryId => categories[categoryId])
+            .concat(Object.keys(categories).filter(categoryId => !LEED_CATEGORIES[categoryId]))
+            .map(categoryId => categories[categoryId])
+    };
+}
+
+module.exports = {
+    TOTAL_POINTS,
+    PREREQUISITES,
+    certificationFor,
+    buildScorecard,
+};
@@ -0,0 +1,105 @@
+/**
+ * Storage driver for Azure Blob Storage. Files are blobs of one container.
+ *
+ * Environment: AZURE_CONTAINER, and either AZURE_STORAGE_CONNECTION_STRING or AZURE_ACCOUNT_NAME with
+ * AZURE_ACCOUNT_KEY or AZURE_SAS_TOKEN. Signed URLs need the account key (directly or in the connection string).
+ */
+
+const { BlobServiceClient, StorageSharedKeyCredential, BlobSASPermissions } = require('@azure/storage-blob');
+
+function serviceClient({ connectionString, accountName, accountKey, sasToken }) {
+    if (connectionString) return BlobServiceClient.fromConnectionString(connectionString);
+    if (!accountName) {
+        throw new Error('Azure storage needs AZURE_STORAGE_CONNECTION_STRING or AZURE_ACCOUNT_NAME');
+    }
+
+    const url = `https://${accountName}.blob.core.windows.net`;
+    if (accountKey) return new BlobServiceClient(url, new StorageSharedKeyCredential(accountName, accountKey));
+    if (sasToken) return new BlobServiceClient(`${url}?${sasToken.replace(/^\?/, '')}`);
+    throw new Error('Azure storage needs AZURE_ACCOUNT_KEY or AZURE_SAS_TOKEN');
+}
+
+class AzureDriver {
+    constructor({
+        connectionString = process.env.AZURE_STORAGE_CONNECTION_STRING,
+        accountName = process.env.AZURE_ACCOUNT_NAME,
+        accountKey = process.env.AZURE_ACCOUNT_KEY,
+        sasToken = process.env.AZURE_SAS_TOKEN,
+        container = process.env.AZURE_CONTAINER
+    } = {}) {
+        if (!container) {
+            throw new Error('Azure storage needs AZURE_CONTAINER');
+        }
+        this.name = 'azure';
+        this.container = serviceClient({ connectionString, accountName, accountKey, sasToken }).getContainerClient(container);
+    }
+
+    blob(key) {
+        return this.container.getBlockBlobClient(key);
+    }
+
+    /**
+     * @param {string} key - Storage key
+     * @param {Buffer|Readable} body - File contents
+     * @param {Object} [options] - { contentType, size } with the size of a stream, when known
+     * @returns {Promise<Object>} { key, size, lastModified }
+     */
+    async put(key, body, { contentType, size } = {}) {
+        const options = { blobHTTPHeaders: contentType ? { blobContentType: contentType } : undefined };
+        const response = Buffer.isBuffer(body)
+            ? await this.blob(key).uploadData(body, options)
+            : await this.blob(key).uploadStream(body, undefined, undefined, options);
+        return { key, size: Buffer.isBuffer(body) ? body.length : size, lastModified: response.lastModified };
+    }
+
+    async get(key) {
+        return this.blob(key).downloadToBuffer();
+    }
+
+    /**
+     * @param {string} key - Storage key
+     * @returns {Promise<Object>} { stream, size, contentType }
+     */
+    async stream(key) {
+        const response = await this.blob(key).download();
+        return { stream: response.readableStreamBody, size: response.contentLength, contentType: response.contentType };
+    }
+
+    /**
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} Whether the blob existed
+     */
+    async delete(key) {
+        const response = await this.blob(key).deleteIfExists();
+        return response.succeeded;
+    }
+
+    /**
+     * @param {string} [prefix] - Key prefix, e.g. a folder name followed by /
+     * @returns {Promise<Array<Object>>} { key, size, lastModified } of every blob under the prefix
+     */
+    async list(prefix = '') {
+        const files = [];
+        for await (const blob of this.container.listBlobsFlat({ prefix })) {
+            files.push({ key: blob.name, size: blob.properties.contentLength, lastModified: blob.properties.lastModified });
+        }
+        return files;
+    }
+
+    /**
+     * @param {string} key - Storage key
+     * @param {Object} [options] - { expiresIn } in seconds
+     * @returns {Promise<string>} Read-only SAS URL of the blob
+     */
+    async signedUrl(key, { expiresIn = 900 } = {}) {
+        if (!(this.container.credential instanceof StorageSharedKeyCredential)) {
+            throw new Error('Signed URLs need AZURE_ACCOUNT_KEY or AZURE_STORAGE_CONNECTION_STRING');
+        }
+        return this.blob(key).generateSasUrl({
+            permissions: BlobSASPermissions.parse('r'),
+            expiresOn: new Date(Date.now() + expiresIn * 1000)
+        });
+    }
+}
+
+module.exports = AzureDriver;
@@ -0,0 +1,143 @@
+/**
+ * Storage driver for development and offline tests: keeps files on the local disk.
+ * Signed URLs point at GET /storage/<key> and carry an HMAC of the key and expiry.
+ *
+ * Environment: STORAGE_DIR (default ./tmp/storage), STORAGE_PUBLIC_URL (default http://localhost:<PORT>),
+ * STORAGE_SIGNING_SECRET (default JWT_SECRET)
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+class LocalDriver {
+    constructor({
+        directory = process.env.STORAGE_DIR || path.join(process.cwd(), 'tmp', 'storage'),
+        publicUrl = process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`,
+        secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET
+    } = {}) {
+        this.name = 'local';
+        this.directory = path.resolve(directory);
+        this.publicUrl = publicUrl.replace(/\/$/, '');
+        this.secret = secret;
+    }
+
+    // Keys are relative paths below the storage directory; anything leaving it is refused
+    pathOf(key) {
+        const file = path.resolve(this.directory, key);
+        if (!key || !file.startsWith(this.directory + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return file;
+    }
+
+    urlOf(key) {
+        return `${this.publicUrl}/storage/${key.split('/').map(encodeURIComponent).join('/')}`;
+    }
+
+    signature(key, expires) {
+        if (!this.secret) {
+            throw new Error('Signed URLs need STORAGE_SIGNING_SECRET or JWT_SECRET');
+        }
+        return crypto.createHmac('sha256', this.secret).update(`${key}\n${expires}`).digest('hex');
+    }
+
+    /**
+     * @param {string} key - Storage key
+     * @param {Buffer|Readable} body - File contents
+     * @returns {Promise<Object>} { key, size, lastModified }
+     */
+    async put(key, body) {
+        const file = this.pathOf(key);
+        await fsp.mkdir(path.dirname(file), { recursive: true });
+        if (Buffer.isBuffer(body)) {
+            await fsp.writeFile(file, body);
+        } else {
+            await pipeline(body, fs.createWriteStream(file));
+        }
+
+        const stats = await fsp.stat(file);
+        return { key, size: stats.size, lastModified: stats.mtime };
+    }
+
+    async get(key) {
+        return fsp.readFile(this.pathOf(key));
+    }
+
+    /**
+     * @param {string} key - Storage key
+     * @returns {Promise<Object>} { stream, size }
+     */
+    async stream(key) {
+        const file = this.pathOf(key);
+        const stats = await fsp.stat(file);
+        return { stream: fs.createReadStream(file), size: stats.size };
+    }
+
+    /**
+     * @param {string} key - Storage key
+     * @returns {Promise<boolean>} Whether the file existed
+     */
+    async delete(key) {
+        try {
+            await fsp.unlink(this.pathOf(key));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    /**
+     * @param {string} [prefix] - Key prefix, e.g. a folder name followed by /
+     * @returns {Promise<Array<Object>>} { key, size, lastModified } of every file under the prefix
+     */
+    async list(prefix = '') {
+        let names;
+        try {
+            names = await fsp.readdir(this.directory, { recursive: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const files = [];
+        for (const name of names) {
+            const key = name.split(path.sep).join('/');
+            if (!key.startsWith(prefix)) continue;
+
+            const stats = await fsp.stat(path.join(this.directory, name));
+            if (stats.isFile()) files.push({ key, size: stats.size, lastModified: stats.mtime });
+        }
+        return files.sort((a, b) => a.key.localeCompare(b.key));
+    }
+
+    /**
+     * @param {string} key - Storage key
+     * @param {Object} [options] - { expiresIn } in seconds
+     * @returns {Promise<string>} URL that serves the file until it expires
+     */
+    async signedUrl(key, { expiresIn = 900 } = {}) {
+        this.pathOf(key);
+        const expires = Math.floor(Date.now() / 1000) + expiresIn;
+        return `${this.urlOf(key)}?expires=${expires}&signature=${this.signature(key, expires)}`;
+    }
+
+    /**
+     * Check a signed URL's expiry and signature
+     * @param {string} key - Storage key
+     * @param {Object} query - { expires, signature }
+     * @returns {boolean}
+     */
+    verifySignedUrl(key, { expires, signature } = {}) {
+        if (!/^\d+$/.test(expires || '') || Number(expires) < Date.now() / 1000) return false;
+
+        const expected = Buffer.from(this.signature(key, expires));
+        const given = Buffer.from(String(signature || ''));
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+}
+
+module.exports = LocalDriver;
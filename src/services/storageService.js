@@ -0,0 +1,53 @@
+const { v4: uuid } = require('uuid');
+const LocalDriver = require('./storage/localDriver');
+const AzureDriver = require('./storage/azureDriver');
+
+const drivers = {
+    local: () => new LocalDriver(),
+    azure: () => new AzureDriver()
+};
+
+// Drivers hold their client, so one instance per name is reused
+const instances = {};
+
+/**
+ * Register a storage driver
+ * @param {string} name - Name selected with STORAGE_DRIVER
+ * @param {Function} factory - () => driver with async put(key, body, { contentType, size }), get(key),
+ * stream(key), delete(key), list(prefix) and signedUrl(key, { expiresIn })
+ */
+function registerDriver(name, factory) {
+    drivers[name] = factory;
+    delete instances[name];
+}
+
+/**
+ * Storage driver selected by name, or by STORAGE_DRIVER (default 'local')
+ * @param {string} [name] - Driver name
+ * @returns {Object} Driver instance
+ */
+function getStorage(name = process.env.STORAGE_DRIVER || 'local') {
+    if (!drivers[name]) {
+        throw new Error(`Storage driver ${name} is not registered`);
+    }
+    if (!instances[name]) instances[name] = drivers[name]();
+    return instances[name];
+}
+
+/**
+ * Storage key of an uploaded file: <project>/<folder>/<upload time>_<random id>_<name>. The random id
+ * keeps files of the same name uploaded in the same second from replacing each other.
+ * @param {string} project - Project id
+ * @param {string} folder - Folder name
+ * @param {string} name - File name
+ * @returns {string} Key
+ */
+function fileKey(project, folder, name) {
+    return `${project}/${folder}/${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}_${uuid()}_${name}`;
+}
+
+module.exports = {
+    registerDriver,
+    getStorage,
+    fileKey,
+};
@@ -0,0 +1,339 @@
+const ExcelJS = require('exceljs');
+const { RULE_DEFINITIONS } = require('../rules/DefinesRule');
+const { LEEDUtils } = require('../utils/LEEDRules');
+const { parseQuantity, unitFor } = require('../utils/quantity');
+const { isAbsent, formatValue, checkValue } = require('../utils/values');
+const { csvCell, stripFormulaGuard } = require('../utils/csv');
+const { parseCsv } = require('./extractionService');
+
+const FORMATS = {
+    xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' }
+};
+
+const PARAMETERS_SHEET = 'Parameters';
+const PARAMETER_COLUMNS = ['Parameter', 'Value', 'Unit', 'Type', 'Notes'];
+
+// In CSV, a row of 'Table' and the table name starts each table section
+const TABLE_MARKER = 'Table';
+
+/**
+ * Layout of a credit's template: its flat parameters and its tables with their columns
+ * @param {string} creditId - Credit id
+ * @param {string} units - 'IP' or 'SI'
+ * @returns {Object} { creditId, name, parameters: [{ name, unit, type, notes }], tables: [{ name, columns: [{ name, unit }] }] }
+ */
+function templateLayout(creditId, units) {
+    const definition = RULE_DEFINITIONS[creditId];
+    if (!definition) {
+        throw new Error(`Credit ${creditId} not found in rule engine`);
+    }
+
+    const tables = definition.tables || {};
+    const dimensions = definition.dimensions || {};
+    const types = definition.types || {};
+    const unitOf = name => (dimensions[name] ? unitFor(dimensions[name], units) : null);
+
+    return {
+        creditId,
+        name: definition.name,
+        parameters: (definition.parameters || [])
+            .filter(name => !tables[name])
+            .map(name => {
+                const inTables = Object.keys(tables).filter(table => tables[table].includes(name));
+                return {
+                    name,
+                    unit: unitOf(name),
+                    type: types[name] || null,
+                    notes: inTables.length > 0 ? `Or per row in ${inTables.join(', ')}` : null
+                };
+            }),
+        tables: Object.keys(tables).map(name => ({
+            name,
+            columns: tables[name].map(column => ({ name: column, unit: unitOf(column) }))
+        }))
+    };
+}
+
+const columnHeader = column => (column.unit ? `${column.name} (${column.unit})` : column.name);
+
+// Spreadsheet cells hold numbers and text; everything else is written as it is displayed
+function cellValue(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'number' || typeof value === 'string') return value;
+    return formatValue(value);
+}
+
+/**
+ * Rows of a template, filled with the credit's current values when given
+ * @returns {Object} { parameters: [[...]], tables: [{ name, rows: [[...]] }] }
+ */
+function templateRows(layout, values = {}) {
+    const data = LEEDUtils.normalizeKeys(values, [
+        ...layout.parameters.map(parameter => parameter.name),
+        ...layout.tables.map(table => table.name)
+    ]);
+
+    return {
+        parameters: [
+            PARAMETER_COLUMNS,
+            ...layout.parameters.map(parameter => [
+                parameter.name, cellValue(data[parameter.name]), parameter.unit, parameter.type, parameter.notes
+            ])
+        ],
+        tables: layout.tables.map(table => {
+            const rows = Array.isArray(data[table.name]) ? data[table.name] : [];
+            const columnNames = table.columns.map(column => column.name);
+            return {
+                name: table.name,
+                rows: [
+                    table.columns.map(columnHeader),
+                    ...rows.map(row => {
+                        const cells = LEEDUtils.normalizeKeys(row || {}, columnNames);
+                        return columnNames.map(column => cellValue(cells[column]));
+                    })
+                ]
+            };
+        })
+    };
+}
+
+/**
+ * Write a credit's template as an XLSX workbook: a Parameters sheet and one sheet per table
+ * @param {string} creditId - Credit id
+ * @param {string} units - 'IP' or 'SI'
+ * @param {Object} [values] - Current parameter values, to export them in the template layout
+ * @returns {Promise<Buffer>} Workbook contents
+ */
+async function renderXlsx(creditId, units, values) {
+    const layout = templateLayout(creditId, units);
+    const rows = templateRows(layout, values);
+    const workbook = new ExcelJS.Workbook();
+    workbook.title = `${creditId} ${layout.name}`;
+
+    const addSheet = (name, sheetRows) => {
+        const worksheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+        worksheet.addRows(sheetRows);
+        worksheet.getRow(1).font = { bold: true };
+        worksheet.columns.forEach(column => {
+            column.width = Math.min(Math.max(...column.values.filter(Boolean).map(value => String(value).length), 10) + 2, 50);
+        });
+        return worksheet;
+    };
+
+    const parameters = addSheet(PARAMETERS_SHEET, rows.parameters);
+    layout.parameters.forEach((parameter, index) => {
+        if (parameter.type === 'boolean') {
+            parameters.getCell(index + 2, 2).dataValidation = { type: 'list', allowBlank: true, formulae: ['"Yes,No"'] };
+        }
+    });
+    rows.tables.forEach(table => addSheet(table.name, table.rows));
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Write a credit's template as CSV: the parameter rows, then each table after a 'Table,<name>' row
+ * @param {string} creditId - Credit id
+ * @param {string} units - 'IP' or 'SI'
+ * @param {Object} [values] - Current parameter values, to export them in the template layout
+ * @returns {string} CSV text
+ */
+function renderCsv(creditId, units, values) {
+    const rows = templateRows(templateLayout(creditId, units), values);
+    const lines = [
+        ...rows.parameters,
+        ...rows.tables.flatMap(table => [[], [TABLE_MARKER, table.name], ...table.rows])
+    ];
+
+    return `${lines.map(cells => cells.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+function readCell(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map(part => part.text).join('').trim();
+        if (value.text !== undefined) return String(value.text).trim();
+        if (value.result !== undefined) return readCell(value.result);
+        return null;
+    }
+    return typeof value === 'string' ? value.trim() : value;
+}
+
+async function readXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    return workbook.worksheets.map(worksheet => {
+        const rows = [];
+        worksheet.eachRow({ includeEmpty: true }, (row, number) => {
+            const cells = [];
+            for (let column = 1; column <= row.cellCount; column++) {
+                cells.push(readCell(row.getCell(column).value));
+            }
+            rows[number - 1] = cells;
+        });
+        return { name: worksheet.name, rows: Array.from(rows, cells => cells || []) };
+    });
+}
+
+function readCsv(buffer) {
+    const sheets = [{ name: PARAMETERS_SHEET, rows: [] }];
+    parseCsv(buffer.toString('utf8').replace(/^\uFEFF/, '')).forEach(cells => {
+        // Plain numbers are read as numbers, as they are from a workbook
+        const trimmed = cells.map(cell => stripFormulaGuard(cell.trim())).map(cell => (/^-?\d+(\.\d+)?$/.test(cell) ? Number(cell) : cell));
+        if (trimmed[0] === TABLE_MARKER && trimmed.slice(2).every(cell => cell === '')) {
+            sheets.push({ name: String(trimmed[1]), rows: [] });
+            return;
+        }
+        sheets[sheets.length - 1].rows.push(trimmed);
+    });
+    return sheets;
+}
+
+// 'Refrigerant Charge (lb)' -> { name: 'Refrigerant Charge', unit: 'lb' }
+function readHeader(text) {
+    const match = String(text || '').match(/^(.*?)\s*\(([^)]*)\)\s*$/);
+    return match ? { name: match[1], unit: match[2] } : { name: String(text || '').trim(), unit: null };
+}
+
+const findName = (names, text) => names.find(name => name.toLowerCase() === String(text || '').trim().toLowerCase());
+
+/**
+ * Check a value against the type and dimension the credit declares for it. A bare number
+ * under a unit other than the project's (a template from the other unit system) takes that unit.
+ * @returns {Object} { value } or { error }
+ */
+function readValue(raw, name, unit, definition, units) {
+    const dimension = (definition.dimensions || {})[name];
+    let value = raw;
+
+    if (dimension && unit) {
+        const quantity = parseQuantity(value);
+        const labelled = parseQuantity(`1 ${unit}`);
+        if (quantity && !quantity.unit && !quantity.unknownUnit && labelled && labelled.dimension === dimension
+            && labelled.unit !== unitFor(dimension, units)) {
+            value = `${value} ${labelled.unit}`;
+        }
+    }
+
+    const error = checkValue(value, { type: (definition.types || {})[name], dimension }, units);
+    return error ? { error: `${name} (${value}): ${error}` } : { value };
+}
+
+/**
+ * Validate a filled template and map it to the credit's engine inputs
+ * @param {string} creditId - Credit id
+ * @param {Buffer} buffer - Uploaded file
+ * @param {Object} file - { name, type }
+ * @param {string} units - Project unit system
+ * @returns {Promise<Object>} { parameters, sources, errors, warnings }; sources give the sheet (and row)
+ * each value was read from, errors and warnings carry sheet and row
+ */
+async function importTemplate(creditId, buffer, { name, type }, units) {
+    const definition = RULE_DEFINITIONS[creditId];
+    const layout = templateLayout(creditId, units);
+    const format = /\.csv$/i.test(name || '') || /csv/.test(type || '') ? 'csv' : 'xlsx';
+    const parameters = {};
+    const sources = {};
+    const errors = [];
+    const warnings = [];
+
+    let sheets;
+    try {
+        sheets = format === 'csv' ? readCsv(buffer) : await readXlsx(buffer);
+    } catch (error) {
+        return { parameters, sources, errors: [{ message: `File is not a readable ${format.toUpperCase()} template: ${error.message}` }], warnings };
+    }
+
+    const parameterNames = layout.parameters.map(parameter => parameter.name);
+    const tableNames = layout.tables.map(table => table.name);
+
+    sheets.forEach(sheet => {
+        const [header = [], ...rows] = sheet.rows;
+        const isParameters = sheet.name.toLowerCase() === PARAMETERS_SHEET.toLowerCase();
+        const table = findName(tableNames, sheet.name);
+
+        if (!isParameters && !table) {
+            warnings.push({ sheet: sheet.name, message: `Sheet ${sheet.name} is not part of the ${creditId} template and was ignored` });
+            return;
+        }
+
+        if (isParameters) {
+            const column = label => header.findIndex(cell => String(cell || '').toLowerCase() === label.toLowerCase());
+            const [nameColumn, valueColumn, unitColumn] = ['Parameter', 'Value', 'Unit'].map(column);
+            if (nameColumn === -1 || valueColumn === -1) {
+                errors.push({ sheet: sheet.name, row: 1, message: 'The Parameters sheet needs Parameter and Value columns' });
+                return;
+            }
+
+            rows.forEach((cells, index) => {
+                const row = index + 2;
+                const label = cells[nameColumn];
+                const raw = cells[valueColumn];
+                if (isAbsent(label) && isAbsent(raw)) return;
+
+                const parameter = findName(parameterNames, label);
+                if (!parameter) {
+                    errors.push({ sheet: sheet.name, row, message: `Unknown parameter: ${label}` });
+                    return;
+                }
+                if (isAbsent(raw)) return;
+
+                const read = readValue(raw, parameter, unitColumn === -1 ? null : cells[unitColumn], definition, units);
+                if (read.error) {
+                    errors.push({ sheet: sheet.name, row, parameter, message: read.error });
+                } else {
+                    parameters[parameter] = read.value;
+                    sources[parameter] = { sheet: sheet.name, row };
+                }
+            });
+            return;
+        }
+
+        const columnNames = layout.tables.find(candidate => candidate.name === table).columns.map(column => column.name);
+        const headers = header.map(readHeader).map(cell => ({ ...cell, column: findName(columnNames, cell.name) }));
+        headers.forEach((cell, index) => {
+            if (cell.name && !cell.column) {
+                errors.push({ sheet: sheet.name, row: 1, message: `Unknown column ${cell.name} in ${table}`, column: index + 1 });
+            }
+        });
+
+        const tableRows = [];
+        rows.forEach((cells, index) => {
+            const row = index + 2;
+            const values = {};
+            headers.forEach((cell, position) => {
+                const raw = cells[position];
+                if (!cell.column || isAbsent(raw)) return;
+
+                const read = readValue(raw, cell.column, cell.unit, definition, units);
+                if (read.error) {
+                    errors.push({ sheet: sheet.name, row, parameter: cell.column, message: read.error });
+                } else {
+                    values[cell.column] = read.value;
+                }
+            });
+            if (Object.keys(values).length > 0) tableRows.push(values);
+        });
+        if (tableRows.length > 0) {
+            parameters[table] = tableRows;
+            sources[table] = { sheet: sheet.name };
+        }
+    });
+
+    if (errors.length === 0 && Object.keys(parameters).length === 0) {
+        errors.push({ message: `No ${creditId} values found: fill in the template downloaded for this credit` });
+    }
+
+    return { parameters, sources, errors, warnings };
+}
+
+module.exports = {
+    FORMATS,
+    templateLayout,
+    renderXlsx,
+    renderCsv,
+    importTemplate,
+};
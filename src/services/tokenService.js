@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuid } = require('uuid');
+const RefreshToken = require('../models/refreshTokenModel');
+
+// Access tokens are short-lived; sessions last as long as their refresh tokens keep being used
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function createRefreshToken(user, session, client = {}) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    await RefreshToken.create({
+        user: user._id,
+        session,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000),
+        userAgent: client.userAgent,
+        ip: client.ip
+    });
+    return token;
+}
+
+async function revokeSessions(filter, reason) {
+    const { modifiedCount } = await RefreshToken.updateMany(
+        { ...filter, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+    return modifiedCount;
+}
+
+/**
+ * Start a session: an access token and the session's first refresh token
+ * @param {Object} user - User document
+ * @param {Object} [client] - { userAgent, ip } recorded with the session
+ * @param {string} [session] - Session to continue, a new one by default
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn }
+ */
+async function issueTokens(user, client, session = uuid()) {
+    const token = jwt.sign({ id: user._id, email: user.email, session }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+    const refreshToken = await createRefreshToken(user, session, client);
+    return { token, refreshToken, expiresIn: ACCESS_TOKEN_EXPIRES_IN };
+}
+
+/**
+ * Exchange a refresh token for new tokens. The refresh token can be used once: presenting it
+ * again means it was copied, and the whole session is signed out.
+ * @param {string} refreshToken - Refresh token
+ * @param {Object} [client] - { userAgent, ip }
+ * @returns {Promise<Object>} { user, tokens } or { error }
+ */
+async function rotateRefreshToken(refreshToken, client) {
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(String(refreshToken)) }).populate('user');
+    if (!stored || !stored.user) return { error: 'Invalid refresh token' };
+
+    if (stored.revokedAt) {
+        if (stored.revokedReason === 'rotated') {
+            await revokeSessions({ session: stored.session }, 'reuse');
+            return { error: 'Refresh token was already used; the session has been signed out' };
+        }
+        return { error: 'Session has been signed out' };
+    }
+    if (stored.expiresAt <= new Date()) return { error: 'Refresh token expired' };
+
+    // Only one of two simultaneous refreshes wins; the other counts as reuse
+    const { modifiedCount } = await RefreshToken.updateOne(
+        { _id: stored._id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'rotated' }
+    );
+    if (modifiedCount === 0) {
+        await revokeSessions({ session: stored.session }, 'reuse');
+        return { error: 'Refresh token was already used; the session has been signed out' };
+    }
+
+    return { user: stored.user, tokens: await issueTokens(stored.user, client, stored.session) };
+}
+
+/**
+ * Sign out the session a refresh token belongs to
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<boolean>} False when the token is unknown
+ */
+async function revokeSession(refreshToken) {
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(String(refreshToken)) });
+    if (!stored) return false;
+
+    await revokeSessions({ session: stored.session }, 'logout');
+    return true;
+}
+
+/**
+ * Sign out every session of a user
+ * @param {Object} user - User document or id
+ * @returns {Promise<number>} Number of refresh tokens revoked
+ */
+async function revokeAllSessions(user) {
+    return revokeSessions({ user: user._id || user }, 'logout_all');
+}
+
+/**
+ * Whether a session is still signed in: it has a refresh token that is neither revoked nor expired
+ * @param {string} session - Session id from the access token
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(session) {
+    return Boolean(await RefreshToken.exists({ session, revokedAt: null, expiresAt: { $gt: new Date() } }));
+}
+
+module.exports = {
+    issueTokens,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    isSessionActive,
+};
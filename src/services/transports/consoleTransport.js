@@ -0,0 +1,19 @@
+/**
+ * Mail transport for development: prints every message to the console instead of sending it.
+ */
+class ConsoleTransport {
+    constructor() {
+        this.name = 'console';
+    }
+
+    /**
+     * @param {Object} message - { from, to, subject, text }
+     * @returns {Promise<Object>} { id }
+     */
+    async send({ from, to, subject, text }) {
+        console.log(`[mail] From: ${from}\n[mail] To: ${to}\n[mail] Subject: ${subject}\n\n${text}\n`);
+        return { id: null };
+    }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,31 @@
+/**
+ * Mail transport for development and tests: writes every message as a JSON file.
+ *
+ * Environment: MAIL_DIR (default ./tmp/mail)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuid } = require('uuid');
+
+class FileTransport {
+    constructor({ directory = process.env.MAIL_DIR || path.join(process.cwd(), 'tmp', 'mail') } = {}) {
+        this.name = 'file';
+        this.directory = directory;
+    }
+
+    /**
+     * @param {Object} message - { from, to, subject, text }
+     * @returns {Promise<Object>} { id, file }
+     */
+    async send(message) {
+        const id = uuid();
+        const file = path.join(this.directory, `${Date.now()}-${id}.json`);
+
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(file, JSON.stringify({ id, ...message, sentAt: new Date() }, null, 2));
+        return { id, file };
+    }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const ProjectFile = require('../models/projectFileModel');
+const ExtractedDocument = require('../models/extractedDocumentModel');
+const { getStorage, fileKey } = require('./storageService');
+const { extractProjectFiles } = require('./extractionService');
+const { FILE_TYPES } = require('../utils/fileTypes');
+
+// The original extension when it belongs to the detected type, otherwise the type's own
+function extensionOf(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const { extensions } = FILE_TYPES[file.fileType];
+    return extensions.includes(extension) ? extension : extensions[0];
+}
+
+async function putFile(project, folder, file, name) {
+    const body = file.buffer || fs.createReadStream(file.path);
+    const stored = await getStorage().put(fileKey(project._id, folder, `${name || 'upload'}${extensionOf(file)}`), body,
+        { contentType: file.mimetype, size: file.size });
+
+    return {
+        name: file.originalname.replace(/ /g, '_'),
+        key: stored.key,
+        lastModified: stored.lastModified,
+        size: file.size,
+        type: file.mimetype,
+        sha256: file.sha256
+    };
+}
+
+function extractionSummary(document) {
+    return document ? {
+        document: document._id,
+        status: document.status,
+        format: document.format,
+        pageCount: document.pageCount
+    } : null;
+}
+
+// Remove blobs whose records were never saved; a failed cleanup is logged, not raised over the original error
+async function discardStored(records) {
+    const storage = getStorage();
+    await Promise.all(records.map(record => storage.delete(record.key).catch(error => {
+        console.error(`Deleting orphaned ${record.key} failed:`, error);
+    })));
+}
+
+/**
+ * Save a new file record, or return the project's existing record of the same contents when a
+ * concurrent upload saved it first (the { project, sha256 } index is unique)
+ * @param {Object} record - Unsaved ProjectFile document
+ * @returns {Promise<Object>} { record, duplicate }
+ */
+async function saveRecord(record) {
+    try {
+        return { record: await record.save(), duplicate: false };
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        const same = await ProjectFile.findOne({ project: record.project, sha256: record.sha256 });
+        if (!same) throw error;
+        await discardStored([record]);
+        return { record: same, duplicate: true };
+    }
+}
+
+/**
+ * Store files uploaded to a project folder. A project stores each content once: a file whose SHA-256
+ * the project already holds is not stored again and its existing record is returned as a duplicate.
+ * New files are recorded and their text and tables extracted. When a file fails, the files of the
+ * batch already put in storage without a record are deleted again.
+ * @param {Array<Object>} files - Files read by the uploadFiles middleware
+ * @param {Object} options - { project, folder, names: { <field>: file name } }
+ * @returns {Promise<Array<Object>>} File records in upload order, with duplicate and extraction added
+ */
+async function storeUploads(files, { project, folder, names = {} }) {
+    const existing = await ProjectFile.find({ project: project._id, sha256: { $in: files.map(file => file.sha256) } });
+    const stored = [];
+    const entries = [];
+
+    try {
+        for (const file of files) {
+            const same = existing.concat(stored.map(item => item.record)).find(record => record.sha256 === file.sha256);
+            if (same) {
+                entries.push({ record: same, duplicate: true });
+                continue;
+            }
+
+            const record = new ProjectFile({ ...(await putFile(project, folder, file, names[file.fieldname])), project: project._id, folder });
+            stored.push({ record, file });
+            entries.push({ record, duplicate: false });
+        }
+    } catch (error) {
+        await discardStored(stored.map(item => item.record));
+        throw error;
+    }
+
+    const created = [];
+    for (const [index, item] of stored.entries()) {
+        let saved;
+        try {
+            saved = await saveRecord(item.record);
+        } catch (error) {
+            await discardStored(stored.slice(index).map(pending => pending.record));
+            throw error;
+        }
+
+        // Later entries of the batch with the same contents point at the record kept
+        entries.forEach(entry => {
+            if (entry.record !== item.record) return;
+            entry.record = saved.record;
+            entry.duplicate = entry.duplicate || saved.duplicate;
+        });
+        if (!saved.duplicate) created.push(item);
+    }
+
+    const documents = await extractProjectFiles(project, created.map(item => item.record),
+        created.map(item => item.file.buffer || item.file.path));
+    const reused = entries.filter(entry => entry.duplicate).map(entry => entry.record._id);
+    const previous = await ExtractedDocument.find({ file: { $in: reused } }).select('-pages');
+
+    return entries.map(({ record, duplicate }) => {
+        const document = documents.concat(previous).find(candidate => candidate.file.equals(record._id));
+        return { ...record.toObject(), duplicate, extraction: extractionSummary(document) };
+    });
+}
+
+module.exports = {
+    storeUploads,
+};
@@ -4,13 +4,134 @@
  * Comprehensive system for evaluating LEED credits with extensible rule sets
  */
 
+const { RULE_DEFINITIONS } = require('../rules/DefinesRule');
+const { lookupRefrigerant, matchesReference } = require('../rules/refrigerants');
+const { normalizeQuantity, unitFor } = require('./quantity');
+const { isAbsent, normalizeValue, formatValue } = require('./values');
+const { ThermalComfortModule } = require('./thermalComfort');
+
+/**
+ * Result returned for every credit assessed by the engine.
+ *
+ * @typedef {Object} CreditResult
+ * @property {string} creditId - Credit identifier (e.g., 'EACr6')
+ * @property {string} creditName - Credit name from RULE_DEFINITIONS
+ * @property {string} category - Credit category (e.g., 'EA'), see LEED_CATEGORIES
+ * @property {string} type - 'credit' or 'prerequisite'
+ * @property {number} maxPoints - Maximum points available for the credit
+ * @property {number} points - Points awarded
+ * @property {boolean} awarded - True when at least one point is awarded
+ * @property {boolean} [passed] - Prerequisites only: whether the prerequisite is met
+ * @property {string} status - 'compliant' | 'non_compliant' | 'gaps' | 'error'
+ * @property {Array<string>} gaps - Parameters missing from the input data
+ * @property {Array<string>} nonCompliant - Requirements that were evaluated and failed
+ * @property {Object} calculations - Calculated values keyed by name
+ * @property {Array<string>} warnings - Supplied values that contradict reference data, or could not be checked
+ * @property {Array<Object>} autoFilled - Values filled from reference data or calculations: { parameter, table, row, value, suppliedBy, reference }
+ * @property {Array<Object>} conversions - Values converted to the unit system: { parameter, table, row, from, to }
+ * @property {Object<string, Evidence>} evidence - Where every supplied or filled parameter value came from
+ * @property {number|null} option - Option number that produced the result, if the credit has options
+ * @property {Array<Breakdown>} options - Per-option breakdown
+ * @property {Array<Breakdown>} parts - Per-part breakdown, if the credit has parts
+ * @property {string} [error] - Error message when status is 'error'
+ */
+
+/**
+ * @typedef {Object} Breakdown
+ * @property {number|null} id - Option or part number
+ * @property {string|null} description - Option or part description
+ * @property {boolean} compliant - Whether the option or part is satisfied
+ * @property {number} points - Points the option or part contributes
+ * @property {Array<string>} gaps
+ * @property {Array<string>} nonCompliant
+ * @property {Object} calculations
+ * @property {Array<Object>} checks - Every comparison made: { label, parameters, condition, expected, actual, passed }
+ */
+
+/**
+ * Provenance of a parameter value
+ *
+ * @typedef {Object} Evidence
+ * @property {*} value - Value as supplied (or filled)
+ * @property {string} suppliedBy - 'manual', 'import', 'extraction', 'reference' or 'calculation'
+ * @property {string} [file] - ProjectFile id of the source document
+ * @property {string} [fileName] - Source document name
+ * @property {number} [page] - Page of the source document
+ * @property {string} [snippet] - Quoted text the value was read from
+ * @property {string} [provider] - Extraction provider
+ * @property {string} [reference] - Reference record or calculation that filled the value
+ */
+
+const STATUS = {
+  COMPLIANT: 'compliant',
+  NON_COMPLIANT: 'non_compliant',
+  GAPS: 'gaps',
+  ERROR: 'error'
+};
+
+const PRESENCE_CONDITIONS = ['present', 'allPresent', 'documented', 'markup'];
+
+// Conditions on text values; a value may list several entries ('R-410A, R-134a')
+const TEXT_CONDITIONS = {
+  oneOf: {
+    test: (values, expected) => values.every(value => expected.includes(value)),
+    describe: (expected, property) => (property
+      ? `must have ${property} ${expected.join(' or ')}`
+      : `must be one of ${expected.join(', ')}`)
+  },
+  notOneOf: {
+    test: (values, expected) => !values.some(value => expected.includes(value)),
+    describe: (expected, property) => (property
+      ? `must not have ${property} ${expected.join(' or ')}`
+      : `must not include ${expected.join(', ')}`)
+  }
+};
+
+const COMPARISONS = {
+  equals: {
+    test: (actual, expected) => actual === expected,
+    describe: (expected, unit) => `equal to ${expected}${unit}`
+  },
+  lessThan: {
+    test: (actual, expected) => actual < expected,
+    describe: (expected, unit) => `less than ${expected}${unit}`
+  },
+  lessThanOrEqual: {
+    test: (actual, expected) => actual <= expected,
+    describe: (expected, unit) => `less than or equal to ${expected}${unit}`
+  },
+  greaterThan: {
+    test: (actual, expected) => actual > expected,
+    describe: (expected, unit) => `greater than ${expected}${unit}`
+  },
+  greaterThanOrEqual: {
+    test: (actual, expected) => actual >= expected,
+    describe: (expected, unit) => `at least ${expected}${unit}`
+  },
+  range: {
+    test: (actual, expected) => actual >= expected.min && actual <= expected.max,
+    describe: (expected, unit) => `between ${expected.min}${unit} and ${expected.max}${unit}`
+  }
+};
+
+const BLOCK_KEY = /^(option|part)(\d+)$/;
+
+// Reference data a definition's "references" can fill values from
+const REFERENCE_SOURCES = {
+  refrigerants: { lookup: lookupRefrigerant, matches: matchesReference }
+};
+
 class LEEDRuleEngine {
-  constructor() {
-    this.credits = {
-      EACr6: new EACr6RuleSet(),
-      IEQCr5: new IEQCr5RuleSet()
-    };
+  /**
+   * @param {Object} definitions - Credit catalog, defaults to RULE_DEFINITIONS
+   */
+  constructor(definitions = RULE_DEFINITIONS) {
+    this.credits = {};
     this.calculationModule = new CalculationModule();
+
+    Object.entries(definitions).forEach(([creditId, definition]) => {
+      this.addCredit(creditId, definition);
+    });
   }
 
   /**
@@ -18,23 +139,41 @@ class LEEDRuleEngine {
    * @param {string} creditId - Credit identifier (e.g., 'EACr6', 'IEQCr5')
    * @param {Object} data - Input data for assessment
    * @param {string} units - 'IP' for Imperial or 'SI' for Metric
-   * @returns {Object} Assessment result
+   * @param {Object} [evidence] - Provenance of the input values keyed by parameter; values
+   * without it are taken to be entered manually
+   * @returns {CreditResult} Assessment result
    */
-  assessCredit(creditId, data, units = 'IP') {
-    if (!this.credits[creditId]) {
+  assessCredit(creditId, data, units = 'IP', evidence = {}) {
+    const ruleSet = this.credits[creditId];
+    if (!ruleSet) {
       throw new Error(`Credit ${creditId} not found in rule engine`);
     }
 
-    return this.credits[creditId].assess(data, units, this.calculationModule);
+    const normalized = LEEDUtils.normalizeKeys(data || {}, ruleSet.parameters);
+    let result;
+
+    try {
+      result = ruleSet.assess(normalized, units, this.calculationModule);
+    } catch (error) {
+      result = createResult(creditId, ruleSet.definition || { name: creditId, maxPoints: 0 });
+      result.status = STATUS.ERROR;
+      result.error = error.message;
+    }
+
+    result.evidence = collectEvidence(normalized, LEEDUtils.normalizeKeys(evidence || {}, ruleSet.parameters), result.autoFilled || []);
+    return result;
   }
 
   /**
-   * Add a new credit rule set
+   * Add a new credit, either as a definition in the RULE_DEFINITIONS format
+   * or as a rule set implementation exposing assess() and parameters
    * @param {string} creditId - Credit identifier
-   * @param {Object} ruleSet - Rule set implementation
+   * @param {Object} ruleSet - Credit definition or rule set implementation
    */
   addCredit(creditId, ruleSet) {
-    this.credits[creditId] = ruleSet;
+    this.credits[creditId] = typeof ruleSet.assess === 'function'
+      ? ruleSet
+      : new DefinitionRuleSet(creditId, ruleSet);
   }
 
   /**
@@ -47,396 +186,694 @@ class LEEDRuleEngine {
 }
 
 /**
- * Enhanced Refrigerant Management Credit (EACr6) Rule Set
+ * Rule set that evaluates a credit purely from its RULE_DEFINITIONS entry
  */
-class EACr6RuleSet {
-  constructor() {
-    this.parameters = [
-      'Refrigerant Used', 'ODP', 'GWP', 'Confirmation Statement',
-      'Equipment Type', 'Refrigerant charge', 'Leakage Rate', 
-      'Equipment Life', 'Equipment Cooling Capacity', 'Equipment Quantity',
-      'Leakage Test Results', 'Greenchill Certification Status'
-    ];
+class DefinitionRuleSet {
+  constructor(creditId, definition) {
+    this.creditId = creditId;
+    this.definition = definition;
+    this.parameters = definition.parameters || [];
   }
 
   assess(data, units, calculationModule) {
-    const result = {
-      creditId: 'EACr6',
-      creditName: 'Enhanced Refrigerant Management',
-      awarded: false,
-      points: 0,
-      maxPoints: 1,
-      gaps: [],
-      nonCompliant: [],
-      option: null,
-      details: {}
+    const result = createResult(this.creditId, this.definition);
+    const rules = this.definition.rules;
+    const tables = LEEDUtils.expandTables(data, this.definition.tables);
+    const context = {
+      data: tables.data,
+      synthesizedTables: tables.synthesized,
+      units,
+      calculationModule,
+      maxPoints: this.definition.maxPoints
     };
 
-    // Determine which option to evaluate
-    const hasBasicRefrigerantData = data['Refrigerant Used'] && 
-                                   data['ODP'] !== undefined && 
-                                   data['GWP'] !== undefined;
-
-    if (hasBasicRefrigerantData) {
-      // Try Option 1 first
-      const option1Result = this.assessOption1(data);
-      if (option1Result.compliant) {
-        result.awarded = true;
-        result.points = 1;
-        result.option = 1;
-        result.details = option1Result;
-        return result;
-      }
+    applyDimensions(this.definition, context, result);
+    applyTypes(this.definition, context);
+    applyReferences(this.definition.references, context, result);
+    applyDerivations(this.definition.derive, context, result);
+
+    const keys = Object.keys(rules).filter(key => BLOCK_KEY.test(key));
+    if (keys.length === 0) {
+      const block = evaluateBlock(rules, context, null);
+      mergeBreakdowns(result, [block]);
+      result.points = block.points;
+      return finalize(result, block.compliant);
     }
 
-    // Try Option 2
-    const option2Result = this.assessOption2(data, units, calculationModule);
-    result.option = 2;
-    result.details = option2Result;
-    result.gaps = option2Result.gaps;
-    result.nonCompliant = option2Result.nonCompliant;
+    const combine = rules.combine || 'all';
+    let compliant;
+    const breakdowns = [];
+    for (const key of keys) {
+      const [, kind, id] = key.match(BLOCK_KEY);
+      const breakdown = evaluateBlock(rules[key], context, Number(id));
+      breakdowns.push(breakdown);
+      result[kind === 'part' ? 'parts' : 'options'].push(breakdown);
 
-    if (option2Result.compliant && option2Result.gaps.length === 0) {
-      result.awarded = true;
-      result.points = 1;
+      if (combine === 'first' && breakdown.compliant) break;
     }
 
-    return result;
-  }
-
-  assessOption1(data) {
-    const result = {
-      option: 1,
-      compliant: false,
-      gaps: [],
-      requirements: {
-        refrigerantUsed: false,
-        odpZero: false,
-        gwpLessThan50: false,
-        confirmationStatement: false
+    switch (combine) {
+      case 'first': {
+        // The first compliant option scores; otherwise the last option tried explains why not
+        const chosen = breakdowns[breakdowns.length - 1];
+        result.option = chosen.id;
+        mergeBreakdowns(result, [chosen]);
+        result.points = chosen.compliant ? chosen.points : 0;
+        compliant = chosen.compliant;
+        break;
       }
-    };
-
-    // Check Refrigerant Used
-    if (!data['Refrigerant Used']) {
-      result.gaps.push('Refrigerant Used');
-    } else {
-      result.requirements.refrigerantUsed = true;
+      case 'best': {
+        const best = breakdowns.reduce((top, option) => (option.points > top.points ? option : top));
+        compliant = best.compliant;
+        if (compliant) {
+          result.option = best.id;
+          mergeBreakdowns(result, [best]);
+          result.points = best.points;
+        } else {
+          mergeBreakdowns(result, breakdowns);
+        }
+        break;
+      }
+      case 'sum':
+        mergeBreakdowns(result, breakdowns);
+        result.points = breakdowns.reduce((total, option) => total + option.points, 0);
+        compliant = breakdowns.some(option => option.compliant);
+        break;
+      case 'all':
+        mergeBreakdowns(result, breakdowns);
+        compliant = breakdowns.every(part => part.compliant);
+        result.points = compliant ? this.definition.maxPoints : 0;
+        break;
+      default:
+        throw new Error(`Unknown combine mode: ${combine}`);
     }
 
-    // Check ODP = 0
-    if (data['ODP'] === undefined || data['ODP'] === null) {
-      result.gaps.push('ODP Value');
-    } else if (data['ODP'] !== 0) {
-      return result; // Exit for Option 2 if ODP is not 0
-    } else {
-      result.requirements.odpZero = true;
-    }
+    return finalize(result, compliant);
+  }
+}
 
-    // Check GWP < 50
-    if (data['GWP'] === undefined || data['GWP'] === null) {
-      result.gaps.push('GWP Value');
-    } else if (data['GWP'] >= 50) {
-      return result; // Exit for Option 2 if GWP >= 50
-    } else {
-      result.requirements.gwpLessThan50 = true;
-    }
+/**
+ * Evidence for every input value, and for values the engine filled on its own
+ * @returns {Object<string, Evidence>}
+ */
+function collectEvidence(data, evidence, autoFilled) {
+  const collected = Object.keys(data).reduce((all, parameter) => {
+    all[parameter] = { value: data[parameter], suppliedBy: 'manual', ...evidence[parameter] };
+    return all;
+  }, {});
+
+  autoFilled
+    .filter(fill => fill.table === null)
+    .forEach(fill => {
+      collected[fill.parameter] = { value: fill.value, suppliedBy: fill.suppliedBy, reference: fill.reference };
+    });
 
-    // Check Confirmation Statement
-    if (!data['Confirmation Statement']) {
-      result.gaps.push('Confirmation Statement');
-    } else {
-      result.requirements.confirmationStatement = true;
-    }
+  return collected;
+}
 
-    // All requirements met and no gaps
-    if (result.gaps.length === 0 && 
-        Object.values(result.requirements).every(req => req)) {
-      result.compliant = true;
-    }
+function createResult(creditId, definition) {
+  const type = definition.type || 'credit';
 
-    return result;
-  }
+  return {
+    creditId,
+    creditName: definition.name,
+    category: definition.category,
+    type,
+    maxPoints: definition.maxPoints,
+    points: 0,
+    awarded: false,
+    ...(type === 'prerequisite' ? { passed: false } : {}),
+    status: STATUS.GAPS,
+    gaps: [],
+    nonCompliant: [],
+    calculations: {},
+    warnings: [],
+    autoFilled: [],
+    conversions: [],
+    option: null,
+    options: [],
+    parts: []
+  };
+}
 
-  assessOption2(data, units, calculationModule) {
-    const result = {
-      option: 2,
-      compliant: false,
-      gaps: [],
-      nonCompliant: [],
-      calculations: null
-    };
+/**
+ * Derive awarded/passed/status from the evaluation, gaps and non-compliant issues.
+ * Prerequisites score no points, so compliance is passed in explicitly.
+ */
+function finalize(result, compliant = result.points > 0) {
+  result.points = Math.min(result.points, result.maxPoints);
+  result.awarded = result.points > 0;
+  if (result.type === 'prerequisite') result.passed = compliant;
+
+  if (compliant) {
+    result.status = STATUS.COMPLIANT;
+  } else if (result.nonCompliant.length > 0) {
+    result.status = STATUS.NON_COMPLIANT;
+  } else {
+    result.status = STATUS.GAPS;
+  }
 
-    const requiredParams = [
-      'GWP', 'Refrigerant charge', 'Leakage Rate', 'Equipment Life',
-      'Equipment Cooling Capacity', 'Equipment Quantity'
-    ];
+  return result;
+}
 
-    // Check for missing parameters
-    requiredParams.forEach(param => {
-      if (data[param] === undefined || data[param] === null || data[param] === '') {
-        result.gaps.push(param);
-      }
+function mergeBreakdowns(result, breakdowns) {
+  breakdowns.forEach(breakdown => {
+    breakdown.gaps.forEach(gap => {
+      if (!result.gaps.includes(gap)) result.gaps.push(gap);
     });
+    result.nonCompliant.push(...breakdown.nonCompliant);
+    Object.assign(result.calculations, breakdown.calculations);
+  });
+}
 
-    // For commercial refrigeration systems, check additional requirements
-    if (data['Equipment Type'] && 
-        data['Equipment Type'].toLowerCase().includes('refrigeration')) {
-      if (!data['Leakage Test Results']) {
-        result.gaps.push('Leakage Test Results');
+/**
+ * Read the values of parameters with a declared dimension as quantities in the project's
+ * unit system ('0.15 m/s' becomes 29.53 in an IP project). Values without a unit are taken
+ * to be in the unit system already; values with a unit of another dimension are dropped.
+ */
+function applyDimensions(definition, context, result) {
+  const dimensions = definition.dimensions || {};
+  const { units } = context;
+
+  forEachRow(definition, context, (row, table, index) => {
+    Object.entries(dimensions).forEach(([parameter, dimension]) => {
+      const raw = row[parameter];
+      if (raw === undefined || raw === null || raw === '') return;
+
+      const normalized = normalizeQuantity(raw, dimension, units);
+      if (!normalized) return;
+
+      const prefix = table ? `${table} row ${index + 1}: ` : '';
+      if (normalized.error) {
+        delete row[parameter];
+        result.warnings.push(`${prefix}${parameter} (${raw}) was ignored: ${normalized.error}`);
+        return;
       }
-      if (!data['Greenchill Certification Status']) {
-        result.gaps.push('Greenchill Certification Status');
+
+      const { quantity } = normalized;
+      row[parameter] = quantity.value !== undefined
+        ? quantity.value
+        : `${LEEDUtils.formatNumber(quantity.min)} to ${LEEDUtils.formatNumber(quantity.max)} ${quantity.unit}`;
+
+      if (normalized.converted) {
+        const to = quantity.value !== undefined
+          ? `${LEEDUtils.formatNumber(quantity.value)} ${quantity.unit}`
+          : row[parameter];
+        result.conversions.push({ parameter, table, row: table ? index + 1 : null, from: raw, to });
       }
-    }
+    });
+  });
+}
 
-    // If no gaps, perform calculations
-    if (result.gaps.length === 0) {
-      try {
-        const calculations = calculationModule.calculateRefrigerantImpact(data, units);
-        result.calculations = calculations;
+/**
+ * Replace raw values with typed values (see utils/values.js) so that requirements see
+ * 0 as a number, 'Yes - ...' as true and 'N/A' as missing. Parameters without a declared
+ * type have it inferred.
+ */
+function applyTypes(definition, context) {
+  const types = definition.types || {};
+
+  forEachRow(definition, context, row => {
+    Object.keys(row).forEach(parameter => {
+      const raw = row[parameter];
+      // Tables, and structured values other than ranges, are left as they are
+      if (Array.isArray(raw) || (raw && typeof raw === 'object' && raw.min === undefined)) return;
+
+      const normalized = normalizeValue(raw, types[parameter]);
+      if (normalized.type === 'absent') {
+        delete row[parameter];
+      } else {
+        row[parameter] = normalized.value;
+      }
+    });
+  });
+}
 
-        const threshold = units === 'IP' ? 100 : 13;
-        if (calculations.weightedAverage <= threshold) {
-          result.compliant = true;
+/**
+ * Visit the flat parameters, then every row of the definition's tables. A table built from
+ * flat parameters takes the values the flat parameters were given.
+ * @param {Function} visit - (row, table, index) => void; table and index are null for the flat parameters
+ */
+function forEachRow(definition, context, visit) {
+  const { data, synthesizedTables } = context;
+
+  visit(data, null, null);
+  Object.keys(definition.tables || {}).forEach(table => {
+    if (!Array.isArray(data[table])) return;
+
+    if (synthesizedTables.includes(table)) {
+      const row = data[table][0];
+      Object.keys(row).forEach(column => {
+        if (column in data) {
+          row[column] = data[column];
         } else {
-          result.nonCompliant.push(`Weighted average (${calculations.weightedAverage.toFixed(2)}) exceeds threshold (${threshold})`);
+          delete row[column];
         }
-      } catch (error) {
-        result.nonCompliant.push(`Calculation error: ${error.message}`);
+      });
+      return;
+    }
+    data[table].forEach((row, index) => visit(row, table, index));
+  });
+}
+
+/**
+ * Fill missing values from reference data and warn about supplied values that contradict it
+ * (e.g. GWP of the refrigerant named in 'Refrigerant Used')
+ */
+function applyReferences(references = [], context, result) {
+  references.forEach(reference => {
+    const source = REFERENCE_SOURCES[reference.source];
+    if (!source) {
+      throw new Error(`Unknown reference source: ${reference.source}`);
+    }
+
+    const rows = reference.table ? context.data[reference.table] : [context.data];
+    if (!Array.isArray(rows)) return;
+
+    const named = reference.table && !context.synthesizedTables.includes(reference.table);
+    rows.forEach((row, index) => {
+      const name = row[reference.key];
+      if (name === undefined || name === null || name === '') return;
+
+      const prefix = named ? `${reference.table} row ${index + 1}: ` : '';
+      const record = source.lookup(name);
+      if (!record) {
+        result.warnings.push(`${prefix}${reference.key} (${name}) was not found in the ${reference.source} reference data`);
+        return;
       }
+
+      Object.entries(reference.fill).forEach(([parameter, property]) => {
+        const expected = record[property];
+        const supplied = row[parameter];
+
+        if (supplied === undefined || supplied === null || supplied === '') {
+          row[parameter] = expected;
+          result.autoFilled.push({
+            parameter,
+            table: reference.table || null,
+            row: reference.table ? index + 1 : null,
+            value: expected,
+            suppliedBy: 'reference',
+            reference: record.name
+          });
+        } else if (!source.matches(property, LEEDUtils.toNumber(supplied), expected)) {
+          result.warnings.push(`${prefix}${parameter} (${supplied}) differs from the reference value for ${record.name} (${expected})`);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Run the definition's "derive" calculations before evaluation: their values fill parameters
+ * that were not supplied, and their warnings (e.g. declared values that disagree) are reported.
+ * A calculation returning null lacks its inputs and is skipped.
+ */
+function applyDerivations(derivations = [], context, result) {
+  const { data, units, calculationModule } = context;
+
+  derivations.forEach(derivation => {
+    let output;
+    try {
+      output = calculationModule.run(derivation.calculation, data, { units, parameters: [] });
+    } catch (error) {
+      result.warnings.push(`Calculation ${derivation.calculation} failed: ${error.message}`);
+      return;
     }
+    if (!output) return;
+
+    const { warnings = [], ...calculations } = output;
+    Object.assign(result.calculations, calculations);
+    result.warnings.push(...warnings);
+
+    Object.entries(derivation.fill || {}).forEach(([parameter, key]) => {
+      if (data[parameter] !== undefined || calculations[key] === undefined) return;
+
+      data[parameter] = calculations[key];
+      result.autoFilled.push({
+        parameter,
+        table: null,
+        row: null,
+        value: calculations[key],
+        suppliedBy: 'calculation',
+        reference: derivation.calculation
+      });
+    });
+  });
+}
 
-    return result;
+/**
+ * Evaluate one option, part or single-block credit
+ * @returns {Breakdown}
+ */
+function evaluateBlock(block, context, id) {
+  const breakdown = {
+    id,
+    description: block.description || null,
+    compliant: false,
+    points: 0,
+    gaps: [],
+    nonCompliant: [],
+    calculations: {},
+    checks: []
+  };
+
+  // "when" on a table requirement is checked per row
+  const requirements = (block.requirements || [])
+    .filter(requirement => requirement.table || !requirement.when || LEEDUtils.matchesCondition(context.data, requirement.when));
+  const scoresPerRequirement = requirements
+    .some(requirement => requirement.points !== undefined || requirement.condition === 'thresholds');
+
+  requirements.forEach(requirement => {
+    breakdown.points += evaluateRequirement(requirement, context, breakdown);
+  });
+
+  if (scoresPerRequirement) {
+    breakdown.compliant = breakdown.points > 0;
+  } else {
+    breakdown.compliant = breakdown.gaps.length === 0 && breakdown.nonCompliant.length === 0;
+    breakdown.points = breakdown.compliant ? (block.points ?? context.maxPoints) : 0;
   }
+
+  return breakdown;
 }
 
 /**
- * Thermal Comfort Credit (IEQCr5) Rule Set
+ * Evaluate a single requirement, recording gaps, issues, calculations and checks on the breakdown
+ * @returns {number} Points the requirement scores on its own
  */
-class IEQCr5RuleSet {
-  constructor() {
-    this.parameters = [
-      'Compliance Path', 'PMV', 'PPD', 'Operative Temperature Range',
-      'Relative Humidity Range', 'Air Speed', 'Clothing Insulation',
-      'Metabolic Rate', 'Weather Data Source', 'Total Individual Spaces',
-      'Controlled Spaces', 'Group Controls', 'Thermostat Locations'
-    ];
+function evaluateRequirement(requirement, context, breakdown) {
+  if (requirement.table) {
+    return evaluateTableRequirement(requirement, context, breakdown);
   }
 
-  assess(data, units, calculationModule) {
-    const result = {
-      creditId: 'IEQCr5',
-      creditName: 'Thermal Comfort',
-      awarded: false,
-      points: 0,
-      maxPoints: 1,
-      gaps: [],
-      nonCompliant: [],
-      parts: {
-        part1: null,
-        part2: null
-      }
-    };
+  const { data, units, calculationModule } = context;
+  const params = requirement.parameters || (requirement.parameter ? [requirement.parameter] : []);
+  const { missing } = LEEDUtils.validateData(data, params);
 
-    // Assess Part 1
-    const part1Result = this.assessPart1(data);
-    result.parts.part1 = part1Result;
+  breakdown.gaps.push(...missing);
+  if (missing.length > 0) return 0;
 
-    // Assess Part 2
-    const part2Result = this.assessPart2(data, calculationModule);
-    result.parts.part2 = part2Result;
+  if (PRESENCE_CONDITIONS.includes(requirement.condition)) {
+    // A 'No' is supplied, but does not satisfy the requirement
+    const declined = params.filter(param => data[param] === false);
+    breakdown.nonCompliant.push(...declined.map(param => `${param} is not confirmed`));
+    return declined.length > 0 ? 0 : (requirement.points || 0);
+  }
 
-    // Combine gaps and non-compliant issues
-    result.gaps = [...part1Result.gaps, ...part2Result.gaps];
-    result.nonCompliant = [...part1Result.nonCompliant, ...part2Result.nonCompliant];
+  if (TEXT_CONDITIONS[requirement.condition]) {
+    return evaluateText(requirement, context, breakdown);
+  }
 
-    // Award credit if both parts are compliant with no gaps
-    if (part1Result.compliant && part2Result.compliant && 
-        result.gaps.length === 0 && result.nonCompliant.length === 0) {
-      result.awarded = true;
-      result.points = 1;
+  const unit = requirement.unit || '';
+  let label;
+  let actual;
+  let display;
+
+  if (requirement.calculation) {
+    // Calculations need the rest of the block's data to be complete
+    if (breakdown.gaps.length > 0) return 0;
+
+    try {
+      const output = calculationModule.run(requirement.calculation, data, { units, parameters: params });
+      Object.assign(breakdown.calculations, output);
+      actual = output[requirement.output];
+    } catch (error) {
+      breakdown.nonCompliant.push(`Calculation error: ${error.message}`);
+      return 0;
     }
+    label = requirement.label || requirement.output;
+    display = LEEDUtils.formatNumber(actual);
+  } else {
+    label = requirement.label || requirement.parameter;
+    actual = data[requirement.parameter];
+    display = formatValue(actual);
+    // A range satisfies a comparison when both of its ends do
+    if (!isRange(actual)) actual = LEEDUtils.toNumber(actual);
+  }
 
-    return result;
+  if (!isRange(actual) && Number.isNaN(actual)) {
+    breakdown.nonCompliant.push(`${label} (${display}) is not a number`);
+    return 0;
   }
 
-  assessPart1(data) {
-    const result = {
-      part: 1,
-      compliant: false,
-      gaps: [],
-      nonCompliant: [],
-      requirements: {
-        compliancePath: false,
-        pmvInRange: false,
-        ppdCompliant: false,
-        environmentalDataComplete: false
-      }
-    };
+  if (requirement.condition === 'thresholds') {
+    // A range scores by its lower end
+    const value = isRange(actual) ? actual.min : actual;
+    return evaluateThresholds(requirement, context, breakdown, { label, params, actual: value, display, unit });
+  }
 
-    // Check Compliance Path
-    if (!data['Compliance Path']) {
-      result.gaps.push('Compliance Path');
-    } else {
-      result.requirements.compliancePath = true;
-    }
+  const comparison = COMPARISONS[requirement.condition];
+  if (!comparison) {
+    throw new Error(`Unknown condition: ${requirement.condition}`);
+  }
 
-    // Check PMV range (-0.5 to 0.5)
-    if (data['PMV'] === undefined || data['PMV'] === null) {
-      result.gaps.push('PMV');
-    } else {
-      const pmv = parseFloat(data['PMV']);
-      if (pmv >= -0.5 && pmv <= 0.5) {
-        result.requirements.pmvInRange = true;
-      } else {
-        result.nonCompliant.push(`PMV (${pmv}) is outside acceptable range (-0.5 to 0.5)`);
-      }
-    }
+  const expected = requirement.condition === 'range'
+    ? { min: LEEDUtils.forUnits(requirement.min, units), max: LEEDUtils.forUnits(requirement.max, units) }
+    : selectExpected(requirement, 'value', context, breakdown);
+  if (expected === undefined) return 0;
 
-    // Check PPD < 10%
-    if (data['PPD'] === undefined || data['PPD'] === null) {
-      result.gaps.push('PPD');
-    } else {
-      const ppd = parseFloat(data['PPD']);
-      if (ppd < 10) {
-        result.requirements.ppdCompliant = true;
-      } else {
-        result.nonCompliant.push(`PPD (${ppd}%) is not less than 10%`);
-      }
-    }
+  const passed = isRange(actual)
+    ? comparison.test(actual.min, expected) && comparison.test(actual.max, expected)
+    : comparison.test(actual, expected);
 
-    // Check environmental data
-    const environmentalParams = [
-      'Operative Temperature Range', 'Relative Humidity Range',
-      'Air Speed', 'Clothing Insulation', 'Metabolic Rate', 'Weather Data Source'
-    ];
+  breakdown.checks.push({ label, parameters: params, condition: requirement.condition, expected, actual, passed });
+  if (!passed) {
+    breakdown.nonCompliant.push(`${label} (${display}${unit}) is not ${comparison.describe(expected, unit)}`);
+    return 0;
+  }
 
-    const missingEnvData = environmentalParams.filter(param => 
-      !data[param] || data[param] === '');
+  return requirement.points || 0;
+}
 
-    if (missingEnvData.length > 0) {
-      result.gaps.push(...missingEnvData);
-    } else {
-      result.requirements.environmentalDataComplete = true;
-    }
+/**
+ * Evaluate a requirement against every row of a table parameter (e.g. Equipment Schedule).
+ * Issues name the row, unless the table was built from flat parameters.
+ * @returns {number} Requirement points when every row passes
+ */
+function evaluateTableRequirement(requirement, context, breakdown) {
+  const { table, when, points, ...rowRequirement } = requirement;
+  const rows = context.data[table];
 
-    // Check overall compliance
-    if (result.gaps.length === 0 && result.nonCompliant.length === 0 &&
-        Object.values(result.requirements).every(req => req)) {
-      result.compliant = true;
-    }
+  if (!Array.isArray(rows) || rows.length === 0) {
+    if (!breakdown.gaps.includes(table)) breakdown.gaps.push(table);
+    return 0;
+  }
 
-    return result;
+  let passed = true;
+  rows.forEach((row, index) => {
+    if (when && !LEEDUtils.matchesCondition(row, when)) return;
+
+    const rowBreakdown = { gaps: [], nonCompliant: [], calculations: {}, checks: [] };
+    evaluateRequirement(rowRequirement, { ...context, data: row }, rowBreakdown);
+
+    const prefix = context.synthesizedTables.includes(table) ? '' : `${table} row ${index + 1}: `;
+    breakdown.gaps.push(...rowBreakdown.gaps.map(gap => prefix + gap));
+    breakdown.nonCompliant.push(...rowBreakdown.nonCompliant.map(issue => prefix + issue));
+    breakdown.checks.push(...rowBreakdown.checks.map(check => ({ ...check, table, row: index + 1 })));
+
+    if (rowBreakdown.gaps.length > 0 || rowBreakdown.nonCompliant.length > 0) passed = false;
+  });
+
+  return passed ? (points || 0) : 0;
+}
+
+function isRange(value) {
+  return Boolean(value) && typeof value === 'object' && value.min !== undefined && value.max !== undefined;
+}
+
+/**
+ * Resolve a requirement's "value" or "thresholds" for the unit system and, with "by",
+ * for the value of the selecting parameter (e.g. Building Type)
+ * @returns {*} Expected value, undefined when the selecting parameter has no entry
+ */
+function selectExpected(requirement, key, context, breakdown) {
+  const expected = LEEDUtils.forUnits(requirement[key], context.units);
+  if (!requirement.by) return expected;
+
+  const { parameter, default: fallback } = requirement.by;
+  const selector = context.data[parameter] || fallback;
+  if (expected[selector] === undefined) {
+    breakdown.nonCompliant.push(`${parameter} must be one of ${Object.keys(expected).join(', ')}`);
+    return undefined;
   }
 
-  assessPart2(data, calculationModule) {
-    const result = {
-      part: 2,
-      compliant: false,
-      gaps: [],
-      nonCompliant: [],
-      calculations: null,
-      requirements: {
-        spacePercentageCompliant: false,
-        groupControlsPresent: false,
-        thermostatLocationsPresent: false
-      }
-    };
+  return LEEDUtils.forUnits(expected[selector], context.units);
+}
 
-    // Check space data and calculate percentage
-    if (!data['Total Individual Spaces'] || !data['Controlled Spaces']) {
-      if (!data['Total Individual Spaces']) result.gaps.push('Total Individual Spaces');
-      if (!data['Controlled Spaces']) result.gaps.push('Controlled Spaces');
-    } else {
-      try {
-        const percentage = calculationModule.calculateSpacePercentage(
-          data['Total Individual Spaces'], 
-          data['Controlled Spaces']
-        );
-        
-        result.calculations = { spacePercentage: percentage };
-
-        if (percentage > 50) {
-          result.requirements.spacePercentageCompliant = true;
-        } else {
-          result.nonCompliant.push(`Controlled spaces percentage (${percentage.toFixed(1)}%) is not greater than 50%`);
-        }
-      } catch (error) {
-        result.nonCompliant.push(`Space calculation error: ${error.message}`);
-      }
-    }
+/**
+ * With "reference", each listed value is looked up in the reference data and its "property"
+ * (e.g. the refrigerant type) is compared instead; values not found are compared as written
+ */
+function resolveTextValue(value, reference) {
+  if (!reference) return value;
 
-    // Check Group Controls
-    if (!data['Group Controls']) {
-      result.gaps.push('Group Controls');
-    } else {
-      result.requirements.groupControlsPresent = true;
-    }
+  const source = REFERENCE_SOURCES[reference.source];
+  if (!source) {
+    throw new Error(`Unknown reference source: ${reference.source}`);
+  }
+  const record = source.lookup(value);
+  return record ? String(record[reference.property]) : value;
+}
 
-    // Check Thermostat Locations
-    if (!data['Thermostat Locations']) {
-      result.gaps.push('Thermostat Locations');
-    } else {
-      result.requirements.thermostatLocationsPresent = true;
-    }
+function evaluateText(requirement, context, breakdown) {
+  const label = requirement.label || requirement.parameter;
+  const display = formatValue(context.data[requirement.parameter]);
+  const values = String(display).split(/[,;]/)
+    .map(value => value.trim())
+    .filter(Boolean)
+    .map(value => resolveTextValue(value, requirement.reference).toLowerCase());
+  const expected = requirement.values.map(value => value.toLowerCase());
+  const condition = TEXT_CONDITIONS[requirement.condition];
+  const passed = condition.test(values, expected);
+  const property = requirement.reference ? requirement.reference.property : null;
+
+  breakdown.checks.push({ label, parameters: [requirement.parameter], condition: requirement.condition, expected: requirement.values, actual: display, passed });
+  if (!passed) {
+    breakdown.nonCompliant.push(`${label} (${display}) ${condition.describe(requirement.values, property)}`);
+    return 0;
+  }
 
-    // Check overall compliance
-    if (result.gaps.length === 0 && result.nonCompliant.length === 0 &&
-        Object.values(result.requirements).every(req => req)) {
-      result.compliant = true;
-    }
+  return requirement.points || 0;
+}
 
-    return result;
+function evaluateThresholds(requirement, context, breakdown, { label, params, actual, display, unit }) {
+  const table = selectExpected(requirement, 'thresholds', context, breakdown);
+  if (table === undefined) return 0;
+
+  const points = LEEDUtils.pointsForThresholds(actual, table);
+  const minimum = Math.min(...Object.keys(table).map(threshold => parseFloat(threshold)));
+
+  breakdown.checks.push({ label, parameters: params, condition: 'thresholds', expected: table, actual, passed: points > 0 });
+  if (points === 0) {
+    breakdown.nonCompliant.push(`${label} (${display}${unit}) is below the minimum threshold (${minimum}${unit})`);
   }
+
+  return points;
 }
 
 /**
- * Calculation Module for complex calculations
+ * Calculation Module for complex calculations.
+ * Calculations are exposed to RULE_DEFINITIONS as named plugins that take the
+ * credit data and { units, parameters } and return an object of calculated values.
  */
 class CalculationModule {
+  constructor() {
+    this.plugins = {};
+    this.thermalComfort = new ThermalComfortModule();
+
+    this.register('refrigerant_impact', (data, { units }) => this.calculateRefrigerantImpact(data, units));
+    this.register('thermal_comfort', (data, { units }) => this.thermalComfort.assess(data, units));
+    this.register('thermal_control_percentage', data => ({
+      thermalControlPercentage: this.calculateSpacePercentage(data['Total Individual Spaces'], data['Controlled Spaces'])
+    }));
+    this.register('water_reduction_percentage', data => ({
+      waterReduction: this.calculateReductionPercentage(data['Baseline Water Use'], data['Design Water Use'])
+    }));
+    this.register('energy_performance_improvement', data => ({
+      energyImprovement: this.calculateReductionPercentage(data['Baseline Energy Use'], data['Design Energy Use'])
+    }));
+    // Generic reduction of the requirement's second parameter (design) against its first (baseline)
+    this.register('reduction_percentage', (data, { parameters }) => ({
+      reductionPercentage: this.calculateReductionPercentage(data[parameters[0]], data[parameters[1]])
+    }));
+  }
+
+  /**
+   * Register a named calculation plugin
+   * @param {string} name - Name referenced by a requirement's "calculation"
+   * @param {Function} plugin - (data, { units, parameters }) => Object of calculated values
+   * (or null when a "derive" calculation lacks its inputs)
+   */
+  register(name, plugin) {
+    this.plugins[name] = plugin;
+  }
+
+  /**
+   * Run a named calculation plugin
+   * @param {string} name - Plugin name
+   * @param {Object} data - Credit data
+   * @param {Object} context - { units, parameters }
+   * @returns {Object} Calculated values
+   */
+  run(name, data, context) {
+    if (!this.plugins[name]) {
+      throw new Error(`Calculation ${name} is not registered`);
+    }
+
+    return this.plugins[name](data, context);
+  }
+
   /**
-   * Calculate refrigerant impact (LCODP and LCGWP)
-   * @param {Object} data - Refrigerant data
+   * Calculate refrigerant impact (LCODP and LCGWP) of every item in the equipment
+   * schedule and their cooling-capacity weighted average
+   * @param {Object} data - Refrigerant data with an 'Equipment Schedule' array
    * @param {string} units - 'IP' or 'SI'
-   * @returns {Object} Calculation results
+   * @returns {Object} Calculation results with a per-item breakdown
    */
   calculateRefrigerantImpact(data, units) {
-    const gwp = parseFloat(data['GWP']);
-    const odp = parseFloat(data['ODP']) || 0;
-    const leakageRate = parseFloat(data['Leakage Rate']) / 100; // Convert to decimal
-    const life = parseFloat(data['Equipment Life']);
-    const refrigerantCharge = parseFloat(data['Refrigerant charge']);
-    const coolingCapacity = parseFloat(data['Equipment Cooling Capacity']);
-    const quantity = parseFloat(data['Equipment Quantity']) || 1;
-
     // Maintenance factor (Mr) - typically 1 for end of life disposal
     const maintenanceFactor = 1;
 
-    // Calculate LCODP and LCGWP
-    const lcodp = (odp * (leakageRate * life + maintenanceFactor) * refrigerantCharge) / life;
-    const lcgwp = (gwp * (leakageRate * life + maintenanceFactor) * refrigerantCharge) / life;
-
-    // Calculate weighted impact per unit
-    const unitImpact = lcgwp + (lcodp * Math.pow(10, 5));
+    const items = data['Equipment Schedule'].map((item, index) => {
+      const gwp = parseFloat(item['GWP']);
+      const odp = parseFloat(item['ODP']) || 0;
+      const leakageRate = parseFloat(item['Leakage Rate']) / 100; // Convert to decimal
+      const life = parseFloat(item['Equipment Life']);
+      const coolingCapacity = parseFloat(item['Equipment Cooling Capacity']);
+      // A row without a quantity is one unit; a quantity that was given must be a count
+      const quantity = isAbsent(item['Equipment Quantity']) ? 1 : Number(item['Equipment Quantity']);
+
+      if (!(coolingCapacity > 0)) {
+        throw new Error(`Equipment Cooling Capacity of item ${index + 1} must be greater than 0`);
+      }
+      if (!(quantity > 0)) {
+        throw new Error(`Equipment Quantity of item ${index + 1} must be a number greater than 0`);
+      }
 
-    // Calculate total weighted impact
-    const totalImpact = unitImpact * coolingCapacity * quantity;
-    const totalCapacity = coolingCapacity * quantity;
+      // Rc: refrigerant charge per unit of cooling capacity (lb/ton or kg/kW)
+      const chargePerCapacity = parseFloat(item['Refrigerant Charge']) / coolingCapacity;
+
+      // Calculate LCODP and LCGWP
+      const lcodp = (odp * (leakageRate * life + maintenanceFactor) * chargePerCapacity) / life;
+      const lcgwp = (gwp * (leakageRate * life + maintenanceFactor) * chargePerCapacity) / life;
+
+      // Calculate weighted impact per unit
+      const unitImpact = lcgwp + (lcodp * Math.pow(10, 5));
+
+      return {
+        item: index + 1,
+        equipmentType: item['Equipment Type'] || null,
+        refrigerant: item['Refrigerant Used'] || null,
+        quantity: quantity,
+        coolingCapacity: coolingCapacity,
+        totalCapacity: coolingCapacity * quantity,
+        chargePerCapacity: chargePerCapacity,
+        lcodp: lcodp,
+        lcgwp: lcgwp,
+        unitImpact: unitImpact,
+        weightedImpact: unitImpact * coolingCapacity * quantity
+      };
+    });
 
-    // Calculate weighted average
+    // Calculate weighted average over the total cooling capacity
+    const totalCapacity = items.reduce((total, item) => total + item.totalCapacity, 0);
+    const totalImpact = items.reduce((total, item) => total + item.weightedImpact, 0);
     const weightedAverage = totalImpact / totalCapacity;
 
+    // Share of the weighted impact each item is responsible for
+    items.forEach(item => {
+      item.share = totalImpact > 0 ? (item.weightedImpact / totalImpact) * 100 : 0;
+    });
+
     return {
-      lcodp: lcodp,
-      lcgwp: lcgwp,
-      unitImpact: unitImpact,
+      items: items,
+      drivers: [...items].sort((a, b) => b.weightedImpact - a.weightedImpact).map(item => item.item),
       totalImpact: totalImpact,
       totalCapacity: totalCapacity,
       weightedAverage: weightedAverage,
-      threshold: units === 'IP' ? 100 : 13,
       units: units,
-      compliant: weightedAverage <= (units === 'IP' ? 100 : 13)
+      chargePerCapacityUnit: unitFor('chargeDensity', units)
     };
   }
 
@@ -456,6 +893,24 @@ class CalculationModule {
 
     return (controlled / total) * 100;
   }
+
+  /**
+   * Calculate percentage reduction of a design value against its baseline
+   * (water use, energy use)
+   * @param {number} baseline - Baseline value
+   * @param {number} design - Design value
+   * @returns {number} Percentage
+   */
+  calculateReductionPercentage(baseline, design) {
+    const baselineValue = parseFloat(baseline);
+    const designValue = parseFloat(design);
+
+    if (!(baselineValue > 0)) {
+      throw new Error('Baseline must be greater than 0');
+    }
+
+    return ((baselineValue - designValue) / baselineValue) * 100;
+  }
 }
 
 /**
@@ -469,24 +924,136 @@ class LEEDUtils {
    * @returns {Object} Validation result
    */
   static validateData(data, requiredParams) {
-    const missing = requiredParams.filter(param => 
+    const missing = requiredParams.filter(param =>
       data[param] === undefined || data[param] === null || data[param] === '');
-    
+
     return {
       valid: missing.length === 0,
       missing: missing
     };
   }
 
+  /**
+   * Map input keys onto the credit's canonical parameter names, ignoring case
+   * (e.g. 'Refrigerant charge' -> 'Refrigerant Charge'). Unknown keys are kept.
+   * @param {Object} data - Input data
+   * @param {Array} parameters - Canonical parameter names
+   * @returns {Object} Data keyed by canonical names
+   */
+  static normalizeKeys(data, parameters) {
+    const canonical = {};
+    parameters.forEach(param => {
+      canonical[param.toLowerCase()] = param;
+    });
+
+    return Object.entries(data).reduce((normalized, [key, value]) => {
+      normalized[canonical[key.toLowerCase()] || key] = value;
+      return normalized;
+    }, {});
+  }
+
+  /**
+   * Read a numeric value from a number or a string such as '30%' or 'MERV 13'
+   * @param {*} value - Raw value
+   * @returns {number} Parsed number, NaN when none is found
+   */
+  static toNumber(value) {
+    if (typeof value === 'number') return value;
+    const match = String(value).match(/-?\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : NaN;
+  }
+
+  /**
+   * Round a calculated value for messages
+   * @param {number} value - Calculated value
+   * @returns {string} Value with at most two decimals
+   */
+  static formatNumber(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+  }
+
+  /**
+   * Resolve a definition value that may be keyed by unit system ({ IP: 100, SI: 13 })
+   * @param {*} value - Definition value
+   * @param {string} units - 'IP' or 'SI'
+   * @returns {*} Value for the unit system
+   */
+  static forUnits(value, units) {
+    if (value && typeof value === 'object' && (value.IP !== undefined || value.SI !== undefined)) {
+      return value[units];
+    }
+    return value;
+  }
+
+  /**
+   * Check a requirement's "when" clause against the input data
+   * @param {Object} data - Input data
+   * @param {Object} when - { parameter, contains } or { parameter, equals }
+   * @returns {boolean} True when the clause matches
+   */
+  static matchesCondition(data, when) {
+    const value = data[when.parameter];
+    if (value === undefined || value === null || value === '') return false;
+
+    if (when.contains !== undefined) {
+      return String(value).toLowerCase().includes(String(when.contains).toLowerCase());
+    }
+    return String(value) === String(when.equals);
+  }
+
+  /**
+   * Make every table parameter declared by a definition an array of rows keyed by
+   * the table's columns. When a table is not supplied but some of its columns are
+   * given as flat parameters, they become a single row.
+   * @param {Object} data - Input data
+   * @param {Object} tables - { 'Table Name': [column, ...] }
+   * @returns {Object} { data, synthesized: names of tables built from flat parameters }
+   */
+  static expandTables(data, tables = {}) {
+    const expanded = { ...data };
+    const synthesized = [];
+
+    Object.entries(tables).forEach(([table, columns]) => {
+      if (Array.isArray(data[table])) {
+        expanded[table] = data[table].map(row => LEEDUtils.normalizeKeys(row || {}, columns));
+        return;
+      }
+
+      const row = columns.reduce((flat, column) => {
+        if (data[column] !== undefined) flat[column] = data[column];
+        return flat;
+      }, {});
+      if (Object.keys(row).length > 0) {
+        expanded[table] = [row];
+        synthesized.push(table);
+      }
+    });
+
+    return { data: expanded, synthesized };
+  }
+
+  /**
+   * Points earned for a value against a { 'threshold%': points } table
+   * @param {number} value - Calculated percentage
+   * @param {Object} thresholds - Threshold table
+   * @returns {number} Highest points whose threshold is met
+   */
+  static pointsForThresholds(value, thresholds) {
+    return Object.entries(thresholds).reduce((points, [threshold, pointValue]) => {
+      const thresholdNum = parseFloat(String(threshold).replace('%', ''));
+      return value >= thresholdNum ? Math.max(points, pointValue) : points;
+    }, 0);
+  }
+
   /**
    * Format assessment result for reporting
-   * @param {Object} result - Assessment result
+   * @param {CreditResult} result - Assessment result
    * @returns {string} Formatted report
    */
   static formatAssessmentReport(result) {
     let report = `=== ${result.creditName} (${result.creditId}) Assessment ===\n`;
     report += `Points Awarded: ${result.points}/${result.maxPoints}\n`;
-    report += `Status: ${result.awarded ? 'PASSED' : 'FAILED'}\n\n`;
+    report += `Status: ${result.status.toUpperCase()}\n\n`;
 
     if (result.gaps.length > 0) {
       report += `Gaps (Missing Information):\n`;
@@ -517,7 +1084,7 @@ const getStaticTestData = () => {
     eaCr6_option1_pass: {
       'Refrigerant Used': 'R-1234ze(E)',
       'ODP': 0,
-      'GWP': 4,
+      'GWP': 7,
       'Confirmation Statement': 'Yes - All equipment uses low-GWP refrigerants',
       'Equipment Type': 'Heat Pump',
       'Equipment Quantity': 2,
@@ -530,7 +1097,7 @@ const getStaticTestData = () => {
       'ODP': 0,
       'GWP': 675,
       'Equipment Type': 'VRF System',
-      'Refrigerant charge': 45,
+      'Refrigerant Charge': 45,
       'Leakage Rate': 7,
       'Equipment Life': 20,
       'Equipment Cooling Capacity': 120,
@@ -543,13 +1110,42 @@ const getStaticTestData = () => {
       'ODP': 0,
       'GWP': 2088,
       'Equipment Type': 'Split System',
-      'Refrigerant charge': 8,
+      'Refrigerant Charge': 8,
       'Leakage Rate': 15,
       'Equipment Life': 15,
       'Equipment Cooling Capacity': 25,
       'Equipment Quantity': 10
     },
 
+    // EACr6 Test Case 4: Mixed equipment schedule (capacity-weighted average, should pass)
+    eaCr6_schedule: {
+      'Confirmation Statement': 'Yes - Refrigerant schedule attached',
+      'Equipment Schedule': [
+        {
+          'Equipment Type': 'Chiller',
+          'Refrigerant Used': 'R-1234ze(E)',
+          'ODP': 0,
+          'GWP': 7,
+          'Refrigerant Charge': 900,
+          'Leakage Rate': 2,
+          'Equipment Life': 23,
+          'Equipment Cooling Capacity': 400,
+          'Equipment Quantity': 2
+        },
+        {
+          'Equipment Type': 'Split System',
+          'Refrigerant Used': 'R-410A',
+          'ODP': 0,
+          'GWP': 2088,
+          'Refrigerant Charge': 8,
+          'Leakage Rate': 4,
+          'Equipment Life': 15,
+          'Equipment Cooling Capacity': 5,
+          'Equipment Quantity': 6
+        }
+      ]
+    },
+
     // IEQCr5 Test Case 1: Compliant thermal comfort (should pass)
     ieqCr5_pass: {
       'Compliance Path': 'ASHRAE 55-2017',
@@ -603,271 +1199,12 @@ const getStaticTestData = () => {
   };
 };
 
-/**
- * LEED Score Controller Function
- * Main controller for processing LEED credit assessments
- */
-exports.LeedScoreController = async (req, res) => {
-  try {
-    console.log('=== LEED Credit Assessment Controller Started ===');
-    
-    // Initialize LEED Rule Engine
-    const ruleEngine = new LEEDRuleEngine();
-    
-    // Get static test data (replace with req.body in real implementation)
-    const testData = getStaticTestData();
-    
-    const results = {
-      timestamp: new Date().toISOString(),
-      assessments: {},
-      summary: {
-        totalCreditsAssessed: 0,
-        totalPointsEarned: 0,
-        totalPossiblePoints: 0,
-        successRate: 0,
-        overallStatus: 'UNKNOWN'
-      },
-      testCases: []
-    };
-
-    // Test EACr6 - Enhanced Refrigerant Management
-    console.log('\n--- Testing EACr6: Enhanced Refrigerant Management ---');
-    
-    // Test Case 1: Option 1 Pass (Low-impact refrigerant)
-    console.log('\nTest Case 1: Low-impact refrigerant (R-1234ze)');
-    try {
-      const eaCr6_test1 = ruleEngine.assessCredit('EACr6', testData.eaCr6_option1_pass, 'IP');
-      results.assessments.EACr6_Option1_Pass = eaCr6_test1;
-      results.summary.totalCreditsAssessed++;
-      results.summary.totalPointsEarned += eaCr6_test1.points;
-      results.summary.totalPossiblePoints += eaCr6_test1.maxPoints;
-      
-      console.log(`Result: ${eaCr6_test1.awarded ? 'PASSED' : 'FAILED'}`);
-      console.log(`Points: ${eaCr6_test1.points}/${eaCr6_test1.maxPoints}`);
-      console.log(`Option: ${eaCr6_test1.option}`);
-      
-      results.testCases.push({
-        credit: 'EACr6',
-        testCase: 'Low-impact refrigerant',
-        expected: 'PASS',
-        actual: eaCr6_test1.awarded ? 'PASS' : 'FAIL',
-        points: eaCr6_test1.points,
-        option: eaCr6_test1.option
-      });
-      
-    } catch (error) {
-      console.error('EACr6 Test 1 Error:', error.message);
-      results.assessments.EACr6_Option1_Pass = { error: error.message };
-    }
-
-    // Test Case 2: Option 2 Pass (Standard refrigerant with good performance)
-    console.log('\nTest Case 2: Standard refrigerant (R-32) with calculations');
-    try {
-      const eaCr6_test2 = ruleEngine.assessCredit('EACr6', testData.eaCr6_option2_pass, 'IP');
-      results.assessments.EACr6_Option2_Pass = eaCr6_test2;
-      results.summary.totalCreditsAssessed++;
-      results.summary.totalPointsEarned += eaCr6_test2.points;
-      results.summary.totalPossiblePoints += eaCr6_test2.maxPoints;
-      
-      console.log(`Result: ${eaCr6_test2.awarded ? 'PASSED' : 'FAILED'}`);
-      console.log(`Points: ${eaCr6_test2.points}/${eaCr6_test2.maxPoints}`);
-      console.log(`Option: ${eaCr6_test2.option}`);
-      
-      if (eaCr6_test2.details.calculations) {
-        console.log(`Weighted Average: ${eaCr6_test2.details.calculations.weightedAverage.toFixed(2)} (threshold: ${eaCr6_test2.details.calculations.threshold})`);
-      }
-      
-      results.testCases.push({
-        credit: 'EACr6',
-        testCase: 'Standard refrigerant with calculations',
-        expected: 'PASS',
-        actual: eaCr6_test2.awarded ? 'PASS' : 'FAIL',
-        points: eaCr6_test2.points,
-        option: eaCr6_test2.option,
-        calculation: eaCr6_test2.details.calculations?.weightedAverage
-      });
-      
-    } catch (error) {
-      console.error('EACr6 Test 2 Error:', error.message);
-      results.assessments.EACr6_Option2_Pass = { error: error.message };
-    }
-
-    // Test Case 3: Fail Case (High-impact refrigerant)
-    console.log('\nTest Case 3: High-impact refrigerant (R-410A)');
-    try {
-      const eaCr6_test3 = ruleEngine.assessCredit('EACr6', testData.eaCr6_fail, 'IP');
-      results.assessments.EACr6_Fail = eaCr6_test3;
-      results.summary.totalCreditsAssessed++;
-      results.summary.totalPointsEarned += eaCr6_test3.points;
-      results.summary.totalPossiblePoints += eaCr6_test3.maxPoints;
-      
-      console.log(`Result: ${eaCr6_test3.awarded ? 'PASSED' : 'FAILED'}`);
-      console.log(`Points: ${eaCr6_test3.points}/${eaCr6_test3.maxPoints}`);
-      console.log(`Option: ${eaCr6_test3.option}`);
-      
-      if (eaCr6_test3.nonCompliant.length > 0) {
-        console.log(`Non-compliant: ${eaCr6_test3.nonCompliant.join(', ')}`);
-      }
-      
-      results.testCases.push({
-        credit: 'EACr6',
-        testCase: 'High-impact refrigerant',
-        expected: 'FAIL',
-        actual: eaCr6_test3.awarded ? 'PASS' : 'FAIL',
-        points: eaCr6_test3.points,
-        option: eaCr6_test3.option,
-        issues: eaCr6_test3.nonCompliant
-      });
-      
-    } catch (error) {
-      console.error('EACr6 Test 3 Error:', error.message);
-      results.assessments.EACr6_Fail = { error: error.message };
-    }
-
-    // Test IEQCr5 - Thermal Comfort
-    console.log('\n--- Testing IEQCr5: Thermal Comfort ---');
-    
-    // Test Case 4: Pass Case (Compliant thermal comfort)
-    console.log('\nTest Case 4: Compliant thermal comfort');
-    try {
-      const ieqCr5_test1 = ruleEngine.assessCredit('IEQCr5', testData.ieqCr5_pass, 'IP');
-      results.assessments.IEQCr5_Pass = ieqCr5_test1;
-      results.summary.totalCreditsAssessed++;
-      results.summary.totalPointsEarned += ieqCr5_test1.points;
-      results.summary.totalPossiblePoints += ieqCr5_test1.maxPoints;
-      
-      console.log(`Result: ${ieqCr5_test1.awarded ? 'PASSED' : 'FAILED'}`);
-      console.log(`Points: ${ieqCr5_test1.points}/${ieqCr5_test1.maxPoints}`);
-      
-      if (ieqCr5_test1.parts.part2.calculations) {
-        console.log(`Space Control: ${ieqCr5_test1.parts.part2.calculations.spacePercentage.toFixed(1)}%`);
-      }
-      
-      results.testCases.push({
-        credit: 'IEQCr5',
-        testCase: 'Compliant thermal comfort',
-        expected: 'PASS',
-        actual: ieqCr5_test1.awarded ? 'PASS' : 'FAIL',
-        points: ieqCr5_test1.points,
-        spaceControl: ieqCr5_test1.parts.part2.calculations?.spacePercentage
-      });
-      
-    } catch (error) {
-      console.error('IEQCr5 Test 1 Error:', error.message);
-      results.assessments.IEQCr5_Pass = { error: error.message };
-    }
-
-    // Test Case 5: Fail Case (PMV out of range)
-    console.log('\nTest Case 5: PMV out of acceptable range');
-    try {
-      const ieqCr5_test2 = ruleEngine.assessCredit('IEQCr5', testData.ieqCr5_fail_pmv, 'IP');
-      results.assessments.IEQCr5_Fail_PMV = ieqCr5_test2;
-      results.summary.totalCreditsAssessed++;
-      results.summary.totalPointsEarned += ieqCr5_test2.points;
-      results.summary.totalPossiblePoints += ieqCr5_test2.maxPoints;
-      
-      console.log(`Result: ${ieqCr5_test2.awarded ? 'PASSED' : 'FAILED'}`);
-      console.log(`Points: ${ieqCr5_test2.points}/${ieqCr5_test2.maxPoints}`);
-      
-      if (ieqCr5_test2.nonCompliant.length > 0) {
-        console.log(`Non-compliant: ${ieqCr5_test2.nonCompliant.join(', ')}`);
-      }
-      
-      results.testCases.push({
-        credit: 'IEQCr5',
-        testCase: 'PMV out of range',
-        expected: 'FAIL',
-        actual: ieqCr5_test2.awarded ? 'PASS' : 'FAIL',
-        points: ieqCr5_test2.points,
-        issues: ieqCr5_test2.nonCompliant
-      });
-      
-    } catch (error) {
-      console.error('IEQCr5 Test 2 Error:', error.message);
-      results.assessments.IEQCr5_Fail_PMV = { error: error.message };
-    }
-
-    // Test Case 6: Fail Case (Insufficient space control)
-    console.log('\nTest Case 6: Insufficient space control percentage');
-    try {
-      const ieqCr5_test3 = ruleEngine.assessCredit('IEQCr5', testData.ieqCr5_fail_spaces, 'IP');
-      results.assessments.IEQCr5_Fail_Spaces = ieqCr5_test3;
-      results.summary.totalCreditsAssessed++;
-      results.summary.totalPointsEarned += ieqCr5_test3.points;
-      results.summary.totalPossiblePoints += ieqCr5_test3.maxPoints;
-      
-      console.log(`Result: ${ieqCr5_test3.awarded ? 'PASSED' : 'FAILED'}`);
-      console.log(`Points: ${ieqCr5_test3.points}/${ieqCr5_test3.maxPoints}`);
-      
-      if (ieqCr5_test3.parts.part2.calculations) {
-        console.log(`Space Control: ${ieqCr5_test3.parts.part2.calculations.spacePercentage.toFixed(1)}%`);
-      }
-      
-      results.testCases.push({
-        credit: 'IEQCr5',
-        testCase: 'Insufficient space control',
-        expected: 'FAIL',
-        actual: ieqCr5_test3.awarded ? 'PASS' : 'FAIL',
-        points: ieqCr5_test3.points,
-        spaceControl: ieqCr5_test3.parts.part2.calculations?.spacePercentage
-      });
-      
-    } catch (error) {
-      console.error('IEQCr5 Test 3 Error:', error.message);
-      results.assessments.IEQCr5_Fail_Spaces = { error: error.message };
-    }
-
-    // Calculate summary statistics
-    results.summary.successRate = (results.summary.totalPointsEarned / results.summary.totalPossiblePoints * 100).toFixed(1);
-    
-    if (results.summary.totalPointsEarned === results.summary.totalPossiblePoints) {
-      results.summary.overallStatus = 'ALL_PASSED';
-    } else if (results.summary.totalPointsEarned > 0) {
-      results.summary.overallStatus = 'PARTIAL_SUCCESS';
-    } else {
-      results.summary.overallStatus = 'ALL_FAILED';
-    }
-
-    console.log('\n=== Final Assessment Summary ===');
-    console.log(`Total Points Earned: ${results.summary.totalPointsEarned}/${results.summary.totalPossiblePoints}`);
-    console.log(`Success Rate: ${results.summary.successRate}%`);
-    console.log(`Overall Status: ${results.summary.overallStatus}`);
-    console.log(`Test Cases Processed: ${results.summary.totalCreditsAssessed}`);
-
-    // Return results
-    if (res) {
-      return res.status(200).json({
-        success: true,
-        message: 'LEED credit assessment completed successfully',
-        data: results
-      });
-    }
-    
-    return results;
-    
-  } catch (error) {
-    console.error('LEED Assessment Controller Error:', error);
-    
-    if (res) {
-      return res.status(500).json({
-        success: false,
-        error: error.message,
-        message: 'LEED credit assessment failed',
-        data: null
-      });
-    }
-    
-    throw error;
-  }
-};
-
 // Export all classes and utilities for external use
 module.exports = {
   LEEDRuleEngine,
-  EACr6RuleSet,
-  IEQCr5RuleSet,
+  DefinitionRuleSet,
   CalculationModule,
   LEEDUtils,
-  LeedScoreController: exports.LeedScoreController,
+  STATUS,
   getStaticTestData
 };
\ No newline at end of file
@@ -0,0 +1,41 @@
+/**
+ * CSV cells for files that users open in spreadsheet applications.
+ */
+
+// Text starting with one of these is run as a formula by Excel, LibreOffice and Google Sheets
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// A negative number is read as the number it is, so it needs no guard
+const PLAIN_NUMBER = /^-?\d+(\.\d+)?$/;
+
+// Text already starting with ' is guarded too, so that stripFormulaGuard can always remove exactly one
+function needsGuard(text) {
+    return text.startsWith("'") || (FORMULA_START.test(text) && !PLAIN_NUMBER.test(text));
+}
+
+/**
+ * One CSV cell: text that a spreadsheet would run as a formula, or that starts with ', is prefixed with ', and text holding
+ * a quote, comma or line break is quoted. Numbers, and text that is a plain number, are written as they are.
+ * @param {*} value - Cell value; null and undefined give an empty cell
+ * @returns {string} Cell text
+ */
+function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    if (typeof value !== 'number' && needsGuard(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Text of a cell written by csvCell, without the ' it put before formula-like text
+ * @param {string} text - Unquoted cell text
+ * @returns {string} Text as it was written
+ */
+function stripFormulaGuard(text) {
+    return text.startsWith("'") ? text.slice(1) : text;
+}
+
+module.exports = {
+    csvCell,
+    stripFormulaGuard,
+};
@@ -0,0 +1,64 @@
+/**
+ * File types recognised from a file's first bytes. The client's MIME type and extension are not
+ * trusted: the extension only picks between types that share a signature (DOCX and XLSX are both
+ * ZIP archives) and among text types, which have none.
+ */
+
+const path = require('path');
+
+const ZIP = [0x50, 0x4b, 0x03, 0x04];
+
+const FILE_TYPES = {
+    pdf: { mimetype: 'application/pdf', extensions: ['.pdf'], signature: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+    docx: { mimetype: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extensions: ['.docx'], signature: ZIP },
+    xlsx: { mimetype: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extensions: ['.xlsx'], signature: ZIP },
+    png: { mimetype: 'image/png', extensions: ['.png'], signature: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    jpeg: { mimetype: 'image/jpeg', extensions: ['.jpg', '.jpeg'], signature: [0xff, 0xd8, 0xff] },
+    // AutoCAD drawings start with their version, AC1012 to AC1032
+    dwg: { mimetype: 'image/vnd.dwg', extensions: ['.dwg'], signature: [0x41, 0x43, 0x31, 0x30] },
+    csv: { mimetype: 'text/csv', extensions: ['.csv'], text: true },
+    text: { mimetype: 'text/plain', extensions: ['.txt', '.md'], text: true }
+};
+
+// Bytes read from the start of a file to recognise it
+const HEAD_BYTES = 512;
+
+function startsWith(head, signature) {
+    return head.length >= signature.length && signature.every((byte, index) => head[index] === byte);
+}
+
+// No NUL bytes and valid UTF-8, allowing for a character cut off at the end of the head
+function looksLikeText(head) {
+    if (head.includes(0)) return false;
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Type of a file from its first bytes, its name deciding between types of the same signature
+ * @param {Buffer} head - First HEAD_BYTES bytes of the file (or all of it when shorter)
+ * @param {string} name - File name
+ * @returns {string|null} One of the FILE_TYPES keys, null when unrecognised
+ */
+function detectFileType(head, name) {
+    const extension = path.extname(name || '').toLowerCase();
+    const byExtension = type => FILE_TYPES[type].extensions.includes(extension);
+
+    const matching = Object.keys(FILE_TYPES).filter(type => FILE_TYPES[type].signature
+        && startsWith(head, FILE_TYPES[type].signature));
+    if (matching.length === 1) return matching[0];
+    if (matching.length > 1) return matching.find(byExtension) || null;
+
+    if (!looksLikeText(head)) return null;
+    return Object.keys(FILE_TYPES).find(type => FILE_TYPES[type].text && byExtension(type)) || null;
+}
+
+module.exports = {
+    FILE_TYPES,
+    HEAD_BYTES,
+    detectFileType,
+};
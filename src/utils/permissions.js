@@ -0,0 +1,66 @@
+/**
+ * Project roles and what each one may do. Every project route names the permission it needs;
+ * a user's role comes from their membership of the project.
+ */
+
+const ROLES = ['owner', 'editor', 'contributor', 'reviewer', 'viewer'];
+
+// Roles granted each permission, and what the permission allows (for error messages)
+const PERMISSIONS = {
+    'project:view': { roles: ['owner', 'editor', 'contributor', 'reviewer', 'viewer'], action: 'view this project' },
+    'project:update': { roles: ['owner', 'editor'], action: 'update this project' },
+    'project:delete': { roles: ['owner'], action: 'delete this project' },
+    'members:manage': { roles: ['owner'], action: 'manage project members' },
+    // By hand, by template import or by applying extracted values
+    'inputs:edit': { roles: ['owner', 'editor'], action: 'change parameter values' },
+    'files:upload': { roles: ['owner', 'editor', 'contributor'], action: 'upload files' },
+    'files:delete': { roles: ['owner', 'editor'], action: 'delete files' },
+    'extraction:run': { roles: ['owner', 'editor', 'contributor'], action: 'run parameter extraction' },
+    'assessment:run': { roles: ['owner', 'editor', 'contributor', 'reviewer'], action: 'run assessments' },
+    'credit:signoff': { roles: ['reviewer'], action: 'sign off credits' }
+};
+
+/**
+ * Role of a user in a project. The project owner always has the owner role.
+ * @param {Object} project - Project document
+ * @param {Object} user - User document or id
+ * @returns {string|null} Role, null when the user is not a member
+ */
+function roleOf(project, user) {
+    const userId = String(user._id || user);
+    if (String(project.owner) === userId) return 'owner';
+
+    const member = (project.members || []).find(candidate => String(candidate.user) === userId);
+    return member ? member.role : null;
+}
+
+/**
+ * Whether a role grants a permission
+ * @param {string} role - One of ROLES
+ * @param {string} permission - One of the PERMISSIONS keys
+ * @returns {boolean}
+ */
+function can(role, permission) {
+    if (!PERMISSIONS[permission]) {
+        throw new Error(`Unknown permission: ${permission}`);
+    }
+    return PERMISSIONS[permission].roles.includes(role);
+}
+
+/**
+ * Message for a role that lacks a permission
+ * @param {string} role - One of ROLES
+ * @param {string} permission - One of the PERMISSIONS keys
+ * @returns {string} e.g. 'The viewer role cannot change parameter values'
+ */
+function deniedMessage(role, permission) {
+    return `The ${role} role cannot ${PERMISSIONS[permission].action}`;
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    roleOf,
+    can,
+    deniedMessage,
+};
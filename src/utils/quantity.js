@@ -0,0 +1,206 @@
+/**
+ * Quantities with units: parsing free-text values such as '68-76°F', '0.15 m/s'
+ * or '30-60%' and converting them between IP and SI units.
+ */
+
+// Every unit converts to and from the SI unit of its dimension
+const UNITS = {
+    // temperature (°C)
+    '°C': { dimension: 'temperature', toSI: x => x, fromSI: x => x, aliases: ['c', 'degc', 'deg c', 'celsius'] },
+    '°F': { dimension: 'temperature', toSI: x => (x - 32) * 5 / 9, fromSI: x => x * 9 / 5 + 32, aliases: ['f', 'degf', 'deg f', 'fahrenheit'] },
+
+    // velocity (m/s)
+    'm/s': { dimension: 'velocity', factor: 1, aliases: ['mps'] },
+    'fpm': { dimension: 'velocity', factor: 0.00508, aliases: ['ft/min'] },
+
+    // mass (kg)
+    'kg': { dimension: 'mass', factor: 1, aliases: ['kgs', 'kilogram', 'kilograms'] },
+    'lb': { dimension: 'mass', factor: 0.45359237, aliases: ['lbs', 'pound', 'pounds'] },
+    'oz': { dimension: 'mass', factor: 0.028349523, aliases: ['ounce', 'ounces'] },
+
+    // cooling capacity (kW)
+    'kW': { dimension: 'coolingCapacity', factor: 1, aliases: ['kwr', 'kilowatt', 'kilowatts'] },
+    'ton': { dimension: 'coolingCapacity', factor: 3.51685, aliases: ['tons', 'tr', 'rt'] },
+    'Btu/h': { dimension: 'coolingCapacity', factor: 0.000293071, aliases: ['btuh', 'btu/hr'] },
+    'MBH': { dimension: 'coolingCapacity', factor: 0.293071, aliases: [] },
+
+    // refrigerant charge per unit of cooling capacity (kg/kW)
+    'kg/kW': { dimension: 'chargeDensity', factor: 1, aliases: [] },
+    'lb/ton': { dimension: 'chargeDensity', factor: 0.45359237 / 3.51685, aliases: ['lbs/ton'] },
+
+    // volume (L)
+    'L': { dimension: 'volume', factor: 1, aliases: ['liter', 'liters', 'litre', 'litres'] },
+    'm³': { dimension: 'volume', factor: 1000, aliases: ['m3', 'cubic meters'] },
+    'gal': { dimension: 'volume', factor: 3.785411784, aliases: ['gallon', 'gallons'] },
+    'kgal': { dimension: 'volume', factor: 3785.411784, aliases: [] },
+
+    // energy (kWh)
+    'kWh': { dimension: 'energy', factor: 1, aliases: [] },
+    'MWh': { dimension: 'energy', factor: 1000, aliases: [] },
+    'GJ': { dimension: 'energy', factor: 277.7778, aliases: [] },
+    'kBtu': { dimension: 'energy', factor: 0.293071, aliases: [] },
+    'MMBtu': { dimension: 'energy', factor: 293.071, aliases: [] },
+    'therm': { dimension: 'energy', factor: 29.3071, aliases: ['therms'] },
+
+    // the same in both unit systems
+    '%': { dimension: 'percentage', factor: 1, aliases: ['percent', '%rh', 'rh'] },
+    'clo': { dimension: 'clothing', factor: 1, aliases: [] },
+    'met': { dimension: 'metabolicRate', factor: 1, aliases: [] },
+    'years': { dimension: 'duration', factor: 1, aliases: ['year', 'yr', 'yrs', 'y'] }
+};
+
+// Unit each dimension is expressed in for a unit system
+const UNIT_SYSTEM_UNITS = {
+    temperature: { IP: '°F', SI: '°C' },
+    velocity: { IP: 'fpm', SI: 'm/s' },
+    mass: { IP: 'lb', SI: 'kg' },
+    coolingCapacity: { IP: 'ton', SI: 'kW' },
+    chargeDensity: { IP: 'lb/ton', SI: 'kg/kW' },
+    volume: { IP: 'gal', SI: 'L' },
+    energy: { IP: 'kBtu', SI: 'kWh' },
+    percentage: { IP: '%', SI: '%' },
+    clothing: { IP: 'clo', SI: 'clo' },
+    metabolicRate: { IP: 'met', SI: 'met' },
+    duration: { IP: 'years', SI: 'years' }
+};
+
+const DIMENSIONS = Object.keys(UNIT_SYSTEM_UNITS);
+
+function unitKey(unit) {
+    return unit.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+const UNIT_INDEX = Object.entries(UNITS).reduce((index, [symbol, unit]) => {
+    [symbol, ...unit.aliases].forEach(name => {
+        index[unitKey(name)] = symbol;
+    });
+    return index;
+}, {});
+
+// number, optional second number of a range ('68-76', '-0.5 to 0.5'), then the unit
+const QUANTITY_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*(?:(?:-|–|to)\s*(-?\d+(?:\.\d+)?))?\s*(.*?)\s*$/i;
+
+/**
+ * Find the canonical symbol of a unit as written
+ * @param {string} text - Unit text such as 'tons', '°F', 'm/s'
+ * @returns {string|null} Canonical unit symbol
+ */
+function findUnit(text) {
+    if (!text) return null;
+    const key = unitKey(text);
+    if (UNIT_INDEX[key]) return UNIT_INDEX[key];
+
+    // '25 tons (each)' - fall back to the first word
+    const firstWord = key.split(/[\s(]/)[0];
+    return UNIT_INDEX[firstWord] || null;
+}
+
+/**
+ * Parse a value with an optional unit and range
+ * @param {*} raw - Number or text such as '68-76°F'
+ * @returns {Object|null} { value } or { min, max }, with unit, dimension and unknownUnit; null if not numeric
+ */
+function parseQuantity(raw) {
+    if (typeof raw === 'number') {
+        return Number.isFinite(raw) ? { value: raw, unit: null, dimension: null } : null;
+    }
+    if (typeof raw !== 'string') return null;
+
+    // '1,200 kBtu'
+    const match = raw.replace(/(\d),(?=\d{3}\b)/g, '$1').match(QUANTITY_PATTERN);
+    if (!match) return null;
+
+    const [, first, second, unitText] = match;
+    const unit = findUnit(unitText);
+    const quantity = second !== undefined
+        ? { min: parseFloat(first), max: parseFloat(second) }
+        : { value: parseFloat(first) };
+
+    quantity.unit = unit;
+    quantity.dimension = unit ? UNITS[unit].dimension : null;
+    if (unitText && !unit) quantity.unknownUnit = unitText;
+
+    return quantity;
+}
+
+function convertNumber(value, from, to) {
+    const fromUnit = UNITS[from];
+    const toUnit = UNITS[to];
+    const si = fromUnit.toSI ? fromUnit.toSI(value) : value * fromUnit.factor;
+    const converted = toUnit.fromSI ? toUnit.fromSI(si) : si / toUnit.factor;
+    // Drop floating point noise (71.6 °F is 22 °C, not 21.999999999999996)
+    return Number(converted.toPrecision(10));
+}
+
+/**
+ * Convert a parsed quantity to another unit of the same dimension
+ * @param {Object} quantity - Result of parseQuantity
+ * @param {string} to - Target unit symbol
+ * @returns {Object} Converted quantity
+ */
+function convertQuantity(quantity, to) {
+    if (!UNITS[to]) {
+        throw new Error(`Unknown unit: ${to}`);
+    }
+    if (!quantity.unit || UNITS[quantity.unit].dimension !== UNITS[to].dimension) {
+        throw new Error(`Cannot convert ${quantity.unit || 'a unitless value'} to ${to}`);
+    }
+
+    const converted = { unit: to, dimension: UNITS[to].dimension };
+    if (quantity.value !== undefined) {
+        converted.value = convertNumber(quantity.value, quantity.unit, to);
+    } else {
+        converted.min = convertNumber(quantity.min, quantity.unit, to);
+        converted.max = convertNumber(quantity.max, quantity.unit, to);
+    }
+
+    return converted;
+}
+
+/**
+ * Unit a dimension is expressed in for a unit system
+ * @param {string} dimension - e.g. 'temperature'
+ * @param {string} units - 'IP' or 'SI'
+ * @returns {string} Unit symbol
+ */
+function unitFor(dimension, units) {
+    if (!UNIT_SYSTEM_UNITS[dimension]) {
+        throw new Error(`Unknown dimension: ${dimension}`);
+    }
+    return UNIT_SYSTEM_UNITS[dimension][units];
+}
+
+/**
+ * Read a value as a quantity of the expected dimension in a unit system.
+ * Values without a unit are taken to be in the unit system already.
+ * @param {*} raw - Supplied value
+ * @param {string} dimension - Expected dimension
+ * @param {string} units - 'IP' or 'SI'
+ * @returns {Object|null} { quantity, converted } or { error }; null when the value is not numeric
+ */
+function normalizeQuantity(raw, dimension, units) {
+    const quantity = parseQuantity(raw);
+    if (!quantity) return null;
+
+    const target = unitFor(dimension, units);
+    if (quantity.unknownUnit) {
+        return { error: `unit '${quantity.unknownUnit}' is not recognised` };
+    }
+    if (!quantity.unit) {
+        return { quantity: { ...quantity, unit: target, dimension }, converted: false };
+    }
+    if (quantity.dimension !== dimension) {
+        return { error: `${quantity.unit} is not a unit of ${dimension}` };
+    }
+
+    return { quantity: convertQuantity(quantity, target), converted: quantity.unit !== target };
+}
+
+module.exports = {
+    UNITS,
+    DIMENSIONS,
+    parseQuantity,
+    convertQuantity,
+    unitFor,
+    normalizeQuantity,
+};
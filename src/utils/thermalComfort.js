@@ -0,0 +1,220 @@
+/**
+ * Thermal comfort calculations for IEQCr5: PMV and PPD by the ASHRAE 55 / ISO 7730 method
+ * (Fanger's heat balance model), for every design condition of a project.
+ */
+
+const { convertQuantity, unitFor } = require('./quantity');
+
+// How far a declared value may differ from the calculated one before it is flagged
+const TOLERANCE = { pmv: 0.1, ppd: 1 };
+
+// Above this air speed (m/s) ASHRAE 55 requires the elevated air speed (SET) method
+const STILL_AIR_LIMIT = 0.2;
+
+// Inputs of a design condition and the parameters they come from
+const INPUTS = {
+  operativeTemperature: 'Operative Temperature',
+  relativeHumidity: 'Relative Humidity',
+  airSpeed: 'Air Speed',
+  clothingInsulation: 'Clothing Insulation',
+  metabolicRate: 'Metabolic Rate'
+};
+
+const round = (value, decimals) => Number(value.toFixed(decimals));
+
+class ThermalComfortModule {
+  /**
+   * Calculate PMV and PPD for one set of conditions (SI units)
+   * @param {Object} inputs
+   * @param {number} inputs.airTemperature - Air temperature (°C)
+   * @param {number} inputs.radiantTemperature - Mean radiant temperature (°C)
+   * @param {number} inputs.airSpeed - Relative air speed (m/s)
+   * @param {number} inputs.relativeHumidity - Relative humidity (%)
+   * @param {number} inputs.metabolicRate - Metabolic rate (met)
+   * @param {number} inputs.clothingInsulation - Clothing insulation (clo)
+   * @param {number} [inputs.externalWork=0] - External work (met)
+   * @returns {Object} { pmv, ppd }
+   */
+  calculatePmvPpd({ airTemperature: ta, radiantTemperature: tr, airSpeed, relativeHumidity, metabolicRate, clothingInsulation, externalWork = 0 }) {
+    // Water vapour partial pressure (Pa)
+    const pa = relativeHumidity * 10 * Math.exp(16.6536 - 4030.183 / (ta + 235));
+
+    const icl = 0.155 * clothingInsulation; // m²K/W
+    const m = metabolicRate * 58.15; // W/m²
+    const w = externalWork * 58.15;
+    const mw = m - w;
+    const fcl = icl <= 0.078 ? 1 + 1.29 * icl : 1.05 + 0.645 * icl;
+
+    // Heat transfer coefficient by forced convection
+    const hcf = 12.1 * Math.sqrt(airSpeed);
+    const taa = ta + 273;
+    const tra = tr + 273;
+
+    // Clothing surface temperature, solved iteratively
+    const tcla = taa + (35.5 - ta) / (3.5 * icl + 0.1);
+    const p1 = icl * fcl;
+    const p2 = p1 * 3.96;
+    const p3 = p1 * 100;
+    const p4 = p1 * taa;
+    const p5 = 308.7 - 0.028 * mw + p2 * Math.pow(tra / 100, 4);
+
+    let xn = tcla / 100;
+    let xf = tcla / 50;
+    let hc = hcf;
+    let iterations = 0;
+    while (Math.abs(xn - xf) > 0.00015) {
+      xf = (xf + xn) / 2;
+      const hcn = 2.38 * Math.pow(Math.abs(100 * xf - taa), 0.25);
+      hc = Math.max(hcf, hcn);
+      xn = (p5 + p4 * hc - p2 * Math.pow(xf, 4)) / (100 + p3 * hc);
+
+      if (++iterations > 150) {
+        throw new Error('PMV calculation did not converge');
+      }
+    }
+    const tcl = 100 * xn - 273;
+
+    // Heat losses
+    const skinDiffusion = 3.05 * 0.001 * (5733 - 6.99 * mw - pa);
+    const sweating = mw > 58.15 ? 0.42 * (mw - 58.15) : 0;
+    const latentRespiration = 1.7 * 0.00001 * m * (5867 - pa);
+    const dryRespiration = 0.0014 * m * (34 - ta);
+    const radiation = 3.96 * fcl * (Math.pow(xn, 4) - Math.pow(tra / 100, 4));
+    const convection = fcl * hc * (tcl - ta);
+
+    const ts = 0.303 * Math.exp(-0.036 * m) + 0.028;
+    const pmv = ts * (mw - skinDiffusion - sweating - latentRespiration - dryRespiration - radiation - convection);
+    const ppd = 100 - 95 * Math.exp(-0.03353 * Math.pow(pmv, 4) - 0.2179 * Math.pow(pmv, 2));
+
+    return { pmv, ppd };
+  }
+
+  /**
+   * Design conditions to evaluate, in SI units. Rows of a 'Design Conditions' table are
+   * used when supplied; otherwise the operative temperature and humidity ranges give a
+   * condition at each end.
+   * @param {Object} data - Normalized credit data
+   * @param {string} units - Unit system of the data, 'IP' or 'SI'
+   * @returns {Array<Object>} Conditions; those missing an input list it in missing
+   */
+  designConditions(data, units) {
+    const toSI = (value, dimension) => {
+      if (typeof value !== 'number' || units === 'SI') return value;
+      return round(convertQuantity({ value, unit: unitFor(dimension, units) }, unitFor(dimension, 'SI')).value, 2);
+    };
+    const condition = (name, source) => {
+      const inputs = {
+        name,
+        operativeTemperature: toSI(source.temperature, 'temperature'),
+        relativeHumidity: source.humidity,
+        airSpeed: toSI(source.airSpeed, 'velocity'),
+        clothingInsulation: source.clothing,
+        metabolicRate: source.metabolicRate,
+        declaredPmv: source.pmv,
+        declaredPpd: source.ppd
+      };
+      const missing = Object.keys(INPUTS)
+        .filter(key => typeof inputs[key] !== 'number')
+        .map(key => INPUTS[key]);
+      return { ...inputs, missing };
+    };
+
+    const rows = (data['Design Conditions'] || []).filter(row => row['Operative Temperature'] !== undefined);
+    if (rows.length > 0) {
+      return rows.map((row, index) => condition(row['Design Condition'] || `Condition ${index + 1}`, {
+        temperature: row['Operative Temperature'],
+        humidity: row['Relative Humidity'],
+        airSpeed: row['Air Speed'] !== undefined ? row['Air Speed'] : data['Air Speed'],
+        clothing: row['Clothing Insulation'] !== undefined ? row['Clothing Insulation'] : data['Clothing Insulation'],
+        metabolicRate: row['Metabolic Rate'] !== undefined ? row['Metabolic Rate'] : data['Metabolic Rate'],
+        pmv: row['PMV'],
+        ppd: row['PPD']
+      }));
+    }
+
+    const temperature = data['Operative Temperature Range'];
+    if (temperature === undefined) return [];
+
+    const humidity = data['Relative Humidity Range'];
+    const ends = isRange(temperature)
+      ? [['Minimum operative temperature', 'min'], ['Maximum operative temperature', 'max']]
+      : [['Design condition', null]];
+
+    // The cool end is paired with the dry end of the humidity range, the warm end with the humid end
+    return ends.map(([name, end]) => condition(name, {
+      temperature: end ? temperature[end] : temperature,
+      humidity: isRange(humidity) ? humidity[end || 'max'] : humidity,
+      airSpeed: data['Air Speed'],
+      clothing: data['Clothing Insulation'],
+      metabolicRate: data['Metabolic Rate']
+    }));
+  }
+
+  /**
+   * Calculate PMV/PPD for every design condition and cross-check declared values
+   * @param {Object} data - Normalized credit data
+   * @param {string} units - 'IP' or 'SI'
+   * @returns {Object|null} { thermalComfort: { conditions }, pmv, ppd, warnings } for the
+   * condition furthest from neutral; null when no condition has the inputs
+   */
+  assess(data, units) {
+    const conditions = this.designConditions(data, units);
+    const complete = conditions.filter(condition => condition.missing.length === 0);
+    if (complete.length === 0) return null;
+
+    const warnings = [];
+    conditions.forEach(condition => {
+      if (condition.missing.length > 0) {
+        warnings.push(`${condition.name}: PMV/PPD not calculated, missing ${condition.missing.join(', ')}`);
+        return;
+      }
+
+      const { pmv, ppd } = this.calculatePmvPpd({
+        airTemperature: condition.operativeTemperature,
+        radiantTemperature: condition.operativeTemperature,
+        airSpeed: condition.airSpeed,
+        relativeHumidity: condition.relativeHumidity,
+        metabolicRate: condition.metabolicRate,
+        clothingInsulation: condition.clothingInsulation
+      });
+      condition.pmv = round(pmv, 2);
+      condition.ppd = round(ppd, 1);
+
+      if (condition.airSpeed > STILL_AIR_LIMIT) {
+        warnings.push(`${condition.name}: air speed above ${STILL_AIR_LIMIT} m/s requires the ASHRAE 55 elevated air speed method`);
+      }
+      [['PMV', 'pmv', condition.declaredPmv], ['PPD', 'ppd', condition.declaredPpd]].forEach(([label, key, declared]) => {
+        if (typeof declared === 'number' && Math.abs(declared - condition[key]) > TOLERANCE[key]) {
+          warnings.push(`${condition.name}: declared ${label} (${declared}) differs from the calculated ${label} (${condition[key]})`);
+        }
+      });
+    });
+
+    const worst = complete.reduce((top, condition) => (Math.abs(condition.pmv) > Math.abs(top.pmv) ? condition : top));
+
+    // Project-level PMV/PPD are compared with the least comfortable condition
+    [['PMV', 'pmv'], ['PPD', 'ppd']].forEach(([label, key]) => {
+      const declared = data[label];
+      if (typeof declared === 'number' && Math.abs(declared - worst[key]) > TOLERANCE[key]) {
+        warnings.push(`${label} (${declared}) differs from the calculated value (${worst[key]} for ${worst.name})`);
+      }
+    });
+
+    return {
+      thermalComfort: {
+        method: 'ASHRAE 55 / ISO 7730 PMV',
+        conditions: conditions.map(({ missing, ...condition }) => condition),
+        worstCondition: worst.name
+      },
+      pmv: worst.pmv,
+      ppd: worst.ppd,
+      warnings
+    };
+  }
+}
+
+function isRange(value) {
+  return Boolean(value) && typeof value === 'object' && value.min !== undefined && value.max !== undefined;
+}
+
+module.exports = { ThermalComfortModule };
@@ -0,0 +1,45 @@
+/**
+ * What may be uploaded to each folder: file types (see utils/fileTypes.js), the largest file and
+ * the most files per request. Folders without a policy of their own get the default one.
+ *
+ * Environment: UPLOAD_MAX_FILE_MB (default 50) and UPLOAD_MAX_FILES (default 10) for the default policy
+ */
+
+const MB = 1024 * 1024;
+
+const DEFAULT_POLICY = {
+    types: ['pdf', 'docx', 'xlsx', 'csv', 'text', 'png', 'jpeg'],
+    maxFileSize: (Number(process.env.UPLOAD_MAX_FILE_MB) || 50) * MB,
+    maxFiles: Number(process.env.UPLOAD_MAX_FILES) || 10
+};
+
+const FOLDER_POLICIES = {
+    // Drawing sets are large and come as CAD files or plots
+    drawings: { types: ['pdf', 'dwg', 'png', 'jpeg'], maxFileSize: 200 * MB, maxFiles: 20 },
+    templates: { types: ['xlsx', 'csv'], maxFileSize: 10 * MB, maxFiles: 1 }
+};
+
+/**
+ * Set the policy of a folder; fields left out come from the default policy
+ * @param {string} folder - Folder name
+ * @param {Object} policy - { types?, maxFileSize?, maxFiles? }
+ */
+function registerPolicy(folder, policy) {
+    FOLDER_POLICIES[folder] = policy;
+}
+
+/**
+ * Upload policy of a folder
+ * @param {string} folder - Folder name
+ * @returns {Object} { types, maxFileSize, maxFiles }
+ */
+function policyFor(folder) {
+    const policy = Object.prototype.hasOwnProperty.call(FOLDER_POLICIES, folder) ? FOLDER_POLICIES[folder] : {};
+    return { ...DEFAULT_POLICY, ...policy };
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    registerPolicy,
+    policyFor,
+};
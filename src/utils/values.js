@@ -0,0 +1,155 @@
+/**
+ * Normalization of raw parameter values (typed in, imported or extracted from documents)
+ * into typed values before a credit is evaluated.
+ */
+
+const { parseQuantity, normalizeQuantity } = require('./quantity');
+
+const VALUE_TYPES = ['boolean', 'number', 'percentage', 'range', 'text', 'document'];
+
+// Entries that mean "no value was found", as opposed to a value of 0 or 'No'
+const ABSENT_VALUES = [
+    'n/a', 'na', 'not applicable', 'not available', 'not provided', 'not found',
+    'not specified', 'unknown', 'tbd', 'tbc', '-', '--', '—', 'null', 'undefined'
+];
+
+// 'Yes', 'No', or a statement that opens with one: 'Yes - All equipment uses low-GWP refrigerants'
+const AFFIRMATIVE = /^(yes|y|true|confirmed|provided)(\s*[-–—:,;.(]|$)/i;
+const NEGATIVE = /^(no|n|false)(\s*[-–—:,;.(]|$)/i;
+
+const DOCUMENT = /\.(pdf|docx?|xlsx?|csv|dwg|rvt|png|jpe?g|txt)\b|^see\s/i;
+
+/**
+ * Whether a raw value means that nothing was supplied
+ * @param {*} raw - Raw value
+ * @returns {boolean} True for undefined, null, blank text and entries such as 'N/A'
+ */
+function isAbsent(raw) {
+    if (raw === undefined || raw === null) return true;
+    if (typeof raw === 'number') return Number.isNaN(raw);
+    if (typeof raw !== 'string') return false;
+
+    const text = raw.trim().toLowerCase();
+    return text === '' || ABSENT_VALUES.includes(text);
+}
+
+function toBoolean(raw) {
+    if (typeof raw === 'boolean') return raw;
+    const text = String(raw).trim();
+    if (AFFIRMATIVE.test(text)) return true;
+    if (NEGATIVE.test(text)) return false;
+    return undefined;
+}
+
+function fromQuantity(raw) {
+    const quantity = parseQuantity(raw);
+    if (!quantity || quantity.unknownUnit) return null;
+
+    if (quantity.value === undefined) {
+        return { type: 'range', value: { min: quantity.min, max: quantity.max, unit: quantity.unit } };
+    }
+    return { type: quantity.unit === '%' ? 'percentage' : 'number', value: quantity.value };
+}
+
+function infer(raw) {
+    if (typeof raw === 'boolean') return { type: 'boolean', value: raw };
+    if (raw && typeof raw === 'object' && raw.min !== undefined && raw.max !== undefined) {
+        return { type: 'range', value: raw };
+    }
+
+    const quantity = fromQuantity(raw);
+    if (quantity) return quantity;
+
+    const text = String(raw).trim();
+    const bool = toBoolean(text);
+    if (bool !== undefined) return { type: 'boolean', value: bool };
+    if (DOCUMENT.test(text)) return { type: 'document', value: text };
+
+    return { type: 'text', value: text };
+}
+
+function coerce(raw, type) {
+    const inferred = infer(raw);
+    if (inferred.type === type) return inferred;
+
+    switch (type) {
+        case 'boolean': {
+            if (inferred.type === 'number') return { type, value: inferred.value !== 0 };
+            // Any other statement made in the field affirms it
+            const bool = toBoolean(raw);
+            return { type, value: bool === undefined ? true : bool };
+        }
+        case 'number':
+        case 'percentage':
+            if (inferred.type === 'number' || inferred.type === 'percentage') {
+                return { type, value: inferred.value };
+            }
+            break;
+        case 'range':
+            if (inferred.type === 'number' || inferred.type === 'percentage') {
+                return { type, value: { min: inferred.value, max: inferred.value, unit: null } };
+            }
+            break;
+        case 'text':
+        case 'document':
+            return { type, value: String(raw).trim() };
+        default:
+            throw new Error(`Unknown value type: ${type}`);
+    }
+
+    // Left as supplied so the requirement reports it (e.g. "is not a number")
+    return { type: inferred.type, value: inferred.value, invalid: true };
+}
+
+/**
+ * Normalize a raw value to a typed value
+ * @param {*} raw - Raw value
+ * @param {string} [type] - Expected type, one of VALUE_TYPES; inferred when omitted
+ * @returns {Object} { type, value, raw } with type 'absent' when nothing was supplied,
+ * and invalid when the value is not of the expected type
+ */
+function normalizeValue(raw, type) {
+    if (isAbsent(raw)) return { type: 'absent', value: undefined, raw };
+
+    const normalized = type ? coerce(raw, type) : infer(raw);
+    return { ...normalized, raw };
+}
+
+/**
+ * Format a normalized value for messages
+ * @param {*} value - Normalized value
+ * @returns {string} Display text
+ */
+function formatValue(value) {
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (value && typeof value === 'object' && value.min !== undefined) {
+        return `${value.min} to ${value.max}${value.unit ? ` ${value.unit}` : ''}`;
+    }
+    return String(value);
+}
+
+/**
+ * Why a raw value cannot be used for a parameter of the given type and dimension
+ * @param {*} raw - Raw value
+ * @param {Object} expected - { type, dimension } declared for the parameter, either optional
+ * @param {string} [units] - 'IP' or 'SI'
+ * @returns {string|null} e.g. 'not a valid number' or 'kW is not a unit of mass'; null when usable
+ */
+function checkValue(raw, { type, dimension } = {}, units = 'IP') {
+    if (isAbsent(raw)) return null;
+    if (type && normalizeValue(raw, type).invalid) return `not a valid ${type}`;
+
+    if (dimension) {
+        const normalized = normalizeQuantity(raw, dimension, units);
+        if (normalized && normalized.error) return normalized.error;
+    }
+    return null;
+}
+
+module.exports = {
+    VALUE_TYPES,
+    isAbsent,
+    normalizeValue,
+    formatValue,
+    checkValue,
+};
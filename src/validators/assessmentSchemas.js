@@ -0,0 +1,83 @@
+const Joi = require('joi');
+const { UNIT_SYSTEMS } = require('../services/assessmentService');
+const { FORMATS: REPORT_FORMATS } = require('../services/reportService');
+const { FORMATS: TEMPLATE_FORMATS } = require('../services/templateService');
+const { objectId, creditId, projectParams } = require('./common');
+const { creditParameters, parametersByCredit } = require('./creditSchemas');
+
+const creditList = Joi.array().items(creditId).min(1).unique();
+
+// Evidence of manually entered values, by parameter
+const evidence = Joi.object().pattern(Joi.string(), Joi.object({
+    file: objectId,
+    page: Joi.number().integer().min(1),
+    snippet: Joi.string().max(2000).allow('')
+}));
+
+const run = Joi.number().integer().min(1);
+
+const creditParams = projectParams.keys({ creditId: creditId.required() });
+
+module.exports = {
+    assess: {
+        body: Joi.object({
+            unitSystem: Joi.string().valid(...UNIT_SYSTEMS).default('IP'),
+            credits: creditList.required(),
+            parameters: parametersByCredit.default({})
+        })
+    },
+    credit: {
+        params: creditParams
+    },
+    saveInputs: {
+        params: creditParams,
+        // Parameters are checked against the credit named in the route
+        body: req => Joi.object({
+            parameters: (creditParameters(req.params.creditId) || Joi.object()).required(),
+            evidence: evidence.default({})
+        })
+    },
+    spreadsheet: {
+        params: creditParams,
+        query: Joi.object({ format: Joi.string().lowercase().valid(...Object.keys(TEMPLATE_FORMATS)).default('xlsx') })
+    },
+    importTemplate: {
+        params: creditParams,
+        query: Joi.object({ dryRun: Joi.boolean().default(false) })
+    },
+    runAssessment: {
+        params: projectParams,
+        body: Joi.object({
+            credits: creditList,
+            parameters: parametersByCredit.default({}),
+            evidence: Joi.object().pattern(creditId, evidence).default({})
+        })
+    },
+    report: {
+        params: projectParams,
+        query: Joi.object({ format: Joi.string().lowercase().valid(...Object.keys(REPORT_FORMATS)).default('html') })
+    },
+    diff: {
+        params: creditParams,
+        query: Joi.object({ from: run, to: run })
+    },
+    getRun: {
+        params: creditParams.keys({ run: run.required() })
+    },
+    signOff: {
+        params: creditParams,
+        body: Joi.object({
+            decision: Joi.string().valid('approved', 'rejected').required(),
+            comment: Joi.string().trim().max(2000).allow(''),
+            run
+        })
+    },
+    runExtraction: {
+        params: projectParams,
+        body: Joi.object({
+            credits: creditList.required(),
+            documents: Joi.array().items(objectId).min(1).unique(),
+            apply: Joi.boolean().default(false)
+        })
+    }
+};
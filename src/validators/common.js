@@ -0,0 +1,16 @@
+const Joi = require('joi');
+const { RULE_DEFINITIONS } = require('../rules/DefinesRule');
+
+const CREDIT_IDS = Object.keys(RULE_DEFINITIONS);
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({ 'string.pattern.base': '{{#label}} must be an id' });
+
+const creditId = Joi.string().valid(...CREDIT_IDS).messages({ 'any.only': '{{#label}} must be a credit of the rule engine' });
+
+const projectParams = Joi.object({ projectId: objectId.required() });
+
+module.exports = {
+    objectId,
+    creditId,
+    projectParams,
+};
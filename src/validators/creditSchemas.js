@@ -0,0 +1,75 @@
+const Joi = require('joi');
+const { RULE_DEFINITIONS } = require('../rules/DefinesRule');
+const { checkValue } = require('../utils/values');
+
+// Longest table accepted in one payload
+const MAX_TABLE_ROWS = 500;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Parameter names are matched case-insensitively, as the rule engine does
+function withNames(schema, names) {
+    return names.reduce((object, name) => object.rename(new RegExp(`^${escapeRegExp(name)}$`, 'i'), name, { ignoreUndefined: true }), schema);
+}
+
+// A raw value as typed, imported or extracted, checked against the declared type and dimension
+function valueSchema(name, definition) {
+    const expected = {
+        type: (definition.types || {})[name],
+        dimension: (definition.dimensions || {})[name]
+    };
+
+    return Joi.alternatives()
+        .try(
+            Joi.string().max(10000).allow(''),
+            Joi.number(),
+            Joi.boolean(),
+            Joi.object({ min: Joi.number().required(), max: Joi.number().required(), unit: Joi.string().allow(null) })
+        )
+        .allow(null)
+        .custom((value, helpers) => {
+            const error = checkValue(value, expected);
+            return error ? helpers.message(`{{#label}} (${value}): ${error}`) : value;
+        });
+}
+
+function buildCreditSchema(creditId) {
+    const definition = RULE_DEFINITIONS[creditId];
+    const tables = definition.tables || {};
+
+    const keys = (definition.parameters || []).reduce((all, name) => {
+        if (tables[name]) {
+            const columns = tables[name].reduce((row, column) => ({ ...row, [column]: valueSchema(column, definition) }), {});
+            all[name] = Joi.array().max(MAX_TABLE_ROWS).items(withNames(Joi.object(columns), tables[name]));
+        } else {
+            all[name] = valueSchema(name, definition);
+        }
+        return all;
+    }, {});
+
+    return withNames(Joi.object(keys), definition.parameters || [])
+        .messages({ 'object.unknown': `{{#label}} is not a parameter of ${creditId}` });
+}
+
+const CREDIT_SCHEMAS = Object.keys(RULE_DEFINITIONS).reduce((schemas, creditId) => {
+    schemas[creditId] = buildCreditSchema(creditId);
+    return schemas;
+}, {});
+
+/**
+ * Schema of a credit's parameter values, derived from its RULE_DEFINITIONS entry
+ * @param {string} creditId - Credit id
+ * @returns {Object} Joi schema
+ */
+function creditParameters(creditId) {
+    return CREDIT_SCHEMAS[creditId];
+}
+
+// Parameter values of several credits, keyed by credit id
+const parametersByCredit = Joi.object(CREDIT_SCHEMAS)
+    .messages({ 'object.unknown': '{{#label}} is not a credit of the rule engine' });
+
+module.exports = {
+    creditParameters,
+    parametersByCredit,
+};
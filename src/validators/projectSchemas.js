@@ -0,0 +1,60 @@
+const Joi = require('joi');
+const { ROLES } = require('../utils/permissions');
+const { UNIT_SYSTEMS } = require('../services/assessmentService');
+const { objectId, projectParams } = require('./common');
+
+const fields = {
+    name: Joi.string().trim().min(1).max(200),
+    buildingType: Joi.string().trim().max(100).allow(''),
+    ratingSystem: Joi.string().trim().max(100),
+    unitSystem: Joi.string().valid(...UNIT_SYSTEMS)
+};
+
+// A project has one owner, the user who created it; members get any other role
+const memberRole = Joi.string().valid(...ROLES.filter(role => role !== 'owner')).required();
+
+const memberParams = projectParams.keys({ userId: objectId.required() });
+
+module.exports = {
+    create: {
+        body: Joi.object({ ...fields, name: fields.name.required() })
+    },
+    update: {
+        params: projectParams,
+        body: Joi.object(fields).min(1)
+    },
+    addMember: {
+        params: projectParams,
+        body: Joi.object({
+            email: Joi.string().trim().lowercase().email().required(),
+            role: memberRole
+        })
+    },
+    updateMember: {
+        params: memberParams,
+        body: Joi.object({ role: memberRole })
+    },
+    removeMember: {
+        params: memberParams
+    },
+    listFiles: {
+        params: projectParams,
+        query: Joi.object({ folder: Joi.string().max(64) })
+    },
+    file: {
+        params: projectParams.keys({ fileId: objectId.required() })
+    },
+    fileLink: {
+        params: projectParams.keys({ fileId: objectId.required() }),
+        // One minute to seven days
+        query: Joi.object({ expiresIn: Joi.number().integer().min(60).max(7 * 24 * 60 * 60) })
+    },
+    listDocuments: {
+        params: projectParams,
+        query: Joi.object({ status: Joi.string().valid('extracted', 'unsupported', 'failed') })
+    },
+    getDocument: {
+        params: projectParams.keys({ documentId: objectId.required() }),
+        query: Joi.object({ page: Joi.number().integer().min(1) })
+    }
+};
@@ -0,0 +1,16 @@
+const Joi = require('joi');
+const { projectParams } = require('./common');
+
+// Both end up in the blob key: no separators, dots or spaces
+const foldername = Joi.string().pattern(/^[A-Za-z0-9_-]{1,64}$/).required()
+    .messages({ 'string.pattern.base': '{{#label}} may only contain letters, digits, - and _' });
+const fileName = Joi.string().pattern(/^[A-Za-z0-9_-]{1,100}$/)
+    .messages({ 'string.pattern.base': '{{#label}} may only contain letters, digits, - and _' });
+
+module.exports = {
+    projectUpload: {
+        params: projectParams.keys({ foldername }),
+        // Optional name for the file sent in each field, keyed by field name
+        body: Joi.object().pattern(Joi.string(), fileName)
+    }
+};
@@ -0,0 +1,34 @@
+const Joi = require('joi');
+
+const email = Joi.string().trim().lowercase().email().max(254);
+const password = Joi.string().min(8).max(128);
+const token = Joi.string().trim().max(512).required();
+
+module.exports = {
+    register: {
+        body: Joi.object({
+            name: Joi.string().trim().min(1).max(100).required(),
+            email: email.required(),
+            password: password.required()
+        })
+    },
+    login: {
+        body: Joi.object({
+            email: email.required(),
+            // Not checked for strength: accounts created before the rule still sign in
+            password: Joi.string().max(128).required()
+        })
+    },
+    refreshToken: {
+        body: Joi.object({ refreshToken: token })
+    },
+    verifyEmail: {
+        body: Joi.object({ token })
+    },
+    forgotPassword: {
+        body: Joi.object({ email: email.required() })
+    },
+    resetPassword: {
+        body: Joi.object({ token, password: password.required() })
+    }
+};
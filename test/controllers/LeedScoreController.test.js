@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LeedScoreController } = require('../../src/controllers/LeedScoreController');
+
+// Just enough of an Express response to capture what the controller sends
+function fakeResponse() {
+    return {
+        statusCode: null,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+async function assess(body) {
+    const res = fakeResponse();
+    await LeedScoreController({ body }, res);
+    return res;
+}
+
+test('scores the requested credits and sums them in the summary', async () => {
+    const res = await assess({
+        unitSystem: 'IP',
+        credits: ['EACr6'],
+        parameters: {
+            EACr6: { 'Refrigerant Used': 'R-1234yf', ODP: 0, GWP: 1, 'Confirmation Statement': 'Yes' }
+        }
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.results.EACr6.points, 1);
+    assert.deepEqual(res.body.data.summary, {
+        totalCreditsAssessed: 1,
+        totalPointsEarned: 1,
+        totalPossiblePoints: 1
+    });
+});
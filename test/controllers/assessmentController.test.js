@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Assessment = require('../../src/models/assessmentModel');
+const Signoff = require('../../src/models/signoffModel');
+const { runAssessment, signOffAssessment } = require('../../src/controllers/assessmentController');
+
+const project = { _id: new mongoose.Types.ObjectId(), owner: new mongoose.Types.ObjectId(), members: [] };
+const reviewer = { _id: new mongoose.Types.ObjectId() };
+
+function fakeResponse() {
+    return {
+        statusCode: null,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+async function call(controller, req) {
+    const res = fakeResponse();
+    await controller({ project, user: reviewer, params: {}, ...req }, res);
+    return res;
+}
+
+test('a reviewer signs off the latest run of a credit, or the run named', async t => {
+    const runs = [1, 2, 3];
+    t.mock.method(Assessment, 'findOne', filter => ({
+        sort: () => ({
+            select: async () => {
+                const run = filter.run === undefined ? Math.max(...runs) : runs.find(candidate => candidate === filter.run);
+                return run ? { run } : null;
+            }
+        })
+    }));
+    t.mock.method(Signoff, 'create', async fields => fields);
+
+    const latest = await call(signOffAssessment, { params: { creditId: 'WECr1' }, body: { decision: 'approved', comment: 'Checked' } });
+    assert.equal(latest.statusCode, 201);
+    assert.deepEqual(latest.body.data, {
+        project: project._id, creditId: 'WECr1', run: 3, reviewer: reviewer._id, decision: 'approved', comment: 'Checked'
+    });
+
+    const named = await call(signOffAssessment, { params: { creditId: 'WECr1' }, body: { decision: 'rejected', run: 1 } });
+    assert.equal(named.body.data.run, 1);
+
+    const missing = await call(signOffAssessment, { params: { creditId: 'WECr1' }, body: { decision: 'approved', run: 9 } });
+    assert.equal(missing.statusCode, 404);
+    assert.equal(missing.body.message, 'Assessment run not found');
+    assert.equal(Signoff.create.mock.callCount(), 2);
+});
+
+test('roles that may assess but not edit inputs cannot send parameter values with an assessment', async () => {
+    const res = await call(runAssessment, {
+        role: 'reviewer',
+        body: { parameters: { WECr1: { 'Design Water Use': 450 } }, evidence: {} }
+    });
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.message, 'The reviewer role cannot change parameter values');
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ExtractedDocument = require('../../src/models/extractedDocumentModel');
+const ProjectInput = require('../../src/models/projectInputModel');
+const { registerProvider } = require('../../src/services/parameterExtractionService');
+const { runExtraction } = require('../../src/controllers/extractionController');
+
+// Answers as a model would, with one value that is not a valid number
+registerProvider('fixed', () => ({
+    name: 'fixed',
+    async extract() {
+        return JSON.stringify({
+            parameters: {
+                'GWP': { value: 'high', document: 'schedule.pdf', page: 2, snippet: 'GWP: high' },
+                'Confirmation Statement': { value: true, document: 'schedule.pdf', page: 1, snippet: 'Confirmed' },
+                'Greenchill Certification Status': { value: 'Silver', document: 'schedule.pdf', page: 3 }
+            }
+        });
+    }
+}));
+process.env.EXTRACTION_PROVIDER = 'fixed';
+
+const project = { _id: new mongoose.Types.ObjectId() };
+
+function fakeResponse() {
+    return {
+        statusCode: null,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+test('applied extraction saves the values that pass the credit checks and reports the rest as rejected', async t => {
+    const document = { _id: new mongoose.Types.ObjectId(), file: new mongoose.Types.ObjectId(), name: 'schedule.pdf', pages: [{ number: 1, text: 'Confirmed' }] };
+    t.mock.method(ExtractedDocument, 'find', () => ({ sort: async () => [document] }));
+    const input = new ProjectInput({ project: project._id, creditId: 'EACr6', parameters: { 'Greenchill Certification Status': 'Gold' } });
+    t.mock.method(ProjectInput, 'findOne', async () => input);
+    t.mock.method(input, 'save', async () => input);
+
+    const res = fakeResponse();
+    await runExtraction({ project, role: 'editor', body: { credits: ['EACr6'], apply: true } }, res);
+
+    const result = res.body.data.results.EACr6;
+    assert.deepEqual(result.applied, ['Confirmation Statement']);
+    assert.deepEqual(result.rejected.map(entry => entry.parameter), ['GWP']);
+    assert.match(result.rejected[0].message, /not a valid number/);
+
+    // Entered values are kept and rejected ones never reach the inputs
+    assert.deepEqual(input.parameters, { 'Greenchill Certification Status': 'Gold', 'Confirmation Statement': true });
+    assert.equal(input.evidence['Confirmation Statement'].fileName, 'schedule.pdf');
+});
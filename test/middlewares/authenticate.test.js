@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../../src/models/userModel');
+const RefreshToken = require('../../src/models/refreshTokenModel');
+
+process.env.JWT_SECRET = 'test-secret';
+const app = require('../../src/app');
+
+const userId = new mongoose.Types.ObjectId();
+const signIn = (payload, options = { expiresIn: '1h' }) => `Bearer ${jwt.sign({ session: 'session-1', ...payload }, process.env.JWT_SECRET, options)}`;
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(t => {
+    t.mock.method(User, 'findById', id => ({
+        select: async () => (String(id) === String(userId) ? { _id: userId, email: 'member@example.com' } : null)
+    }));
+    t.mock.method(User, 'findOne', async () => null);
+    t.mock.method(RefreshToken, 'exists', async filter => (filter.session === 'session-1' ? { _id: 'token-1' } : null));
+});
+
+async function request(path, authorization, options = {}) {
+    const headers = { 'Content-Type': 'application/json', ...(authorization ? { Authorization: authorization } : {}) };
+    const response = await fetch(`${baseUrl}${path}`, { ...options, headers });
+    return { status: response.status, body: await response.json().catch(() => null) };
+}
+
+test('health and sign-in routes stay open', async () => {
+    assert.equal((await fetch(`${baseUrl}/health`)).status, 200);
+
+    const login = await request('/users/login', null, { method: 'POST', body: JSON.stringify({ email: 'nobody@example.com', password: 'x' }) });
+    assert.equal(login.status, 400);
+    assert.equal(login.body.message, 'Invalid credentials');
+});
+
+test('every other route needs a valid bearer token', async () => {
+    for (const path of ['/projects', '/leed/refrigerants', '/users/me']) {
+        const response = await request(path);
+        assert.equal(response.status, 401, path);
+        assert.equal(response.body.message, 'Authentication required');
+    }
+
+    assert.equal((await request('/projects', 'Bearer not-a-token')).body.message, 'Invalid token');
+    assert.equal((await request('/projects', signIn({ id: userId }, { expiresIn: -10 }))).body.message, 'Token expired');
+    assert.equal((await request('/projects', signIn({ id: userId, session: 'signed-out' }))).body.message, 'Session has been signed out');
+    assert.equal((await request('/projects', signIn({ id: new mongoose.Types.ObjectId() }))).body.message, 'User no longer exists');
+});
+
+test('a signed-in user reaches the route', async () => {
+    const response = await request('/leed/assess', signIn({ id: userId }), {
+        method: 'POST',
+        body: JSON.stringify({ credits: ['WECr1'], parameters: { WECr1: { 'Baseline Water Use': 1000, 'Design Water Use': 450 } } })
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.results.WECr1.points, 2);
+});
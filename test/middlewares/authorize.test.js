@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const authorize = require('../../src/middlewares/authorize');
+
+const owner = new mongoose.Types.ObjectId();
+const viewer = new mongoose.Types.ObjectId();
+const project = { owner, members: [{ user: viewer, role: 'viewer' }] };
+
+function run(permission, user) {
+    const req = { project, user: { _id: user } };
+    const res = {
+        statusCode: null,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    let passed = false;
+    authorize(permission)(req, res, () => { passed = true; });
+    return { req, res, passed };
+}
+
+test('authorize lets a role with the permission through and records the role', () => {
+    const { req, passed } = run('project:update', owner);
+
+    assert.equal(passed, true);
+    assert.equal(req.role, 'owner');
+});
+
+test('authorize refuses non-members and roles without the permission', () => {
+    const outsider = run('project:view', new mongoose.Types.ObjectId());
+    assert.equal(outsider.passed, false);
+    assert.equal(outsider.res.statusCode, 403);
+    assert.equal(outsider.res.body.message, 'You are not a member of this project');
+
+    const denied = run('inputs:edit', viewer);
+    assert.equal(denied.passed, false);
+    assert.equal(denied.res.statusCode, 403);
+    assert.equal(denied.res.body.message, 'The viewer role cannot change parameter values');
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const requireVerified = require('../../src/middlewares/requireVerified');
+
+function run(user) {
+    const res = {
+        statusCode: null,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    let passed = false;
+    requireVerified({ user }, res, () => { passed = true; });
+    return { res, passed };
+}
+
+test('requireVerified lets verified users through and stops the others', () => {
+    assert.equal(run({ emailVerified: true }).passed, true);
+
+    const unverified = run({ emailVerified: false });
+    assert.equal(unverified.passed, false);
+    assert.equal(unverified.res.statusCode, 403);
+    assert.equal(unverified.res.body.message, 'Verify your email address before working on projects');
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const uploadFiles = require('../../src/middlewares/uploadFiles');
+const { detectFileType } = require('../../src/utils/fileTypes');
+
+const PDF = Buffer.from('%PDF-1.4\n%test document\n');
+const ZIP = Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14, 0x00]);
+const EXE = Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03, 0x00]);
+
+test('detectFileType trusts the first bytes, not the name', () => {
+    assert.equal(detectFileType(PDF, 'drawing.pdf'), 'pdf');
+    assert.equal(detectFileType(PDF, 'renamed.txt'), 'pdf');
+    assert.equal(detectFileType(EXE, 'invoice.pdf'), null);
+
+    // DOCX and XLSX share the ZIP signature; the extension picks between them
+    assert.equal(detectFileType(ZIP, 'schedule.xlsx'), 'xlsx');
+    assert.equal(detectFileType(ZIP, 'narrative.docx'), 'docx');
+    assert.equal(detectFileType(ZIP, 'archive.zip'), null);
+
+    assert.equal(detectFileType(Buffer.from('a,b\n1,2\n'), 'data.csv'), 'csv');
+    assert.equal(detectFileType(Buffer.from([0x61, 0x00, 0x62]), 'data.csv'), null);
+});
+
+test('uploadFiles enforces the folder policy from the file contents', async t => {
+    const app = express();
+    app.post('/upload/:foldername', uploadFiles(), (req, res) => res.json(req.files.map(file => ({
+        name: file.originalname, fileType: file.fileType, mimetype: file.mimetype, size: file.size, sha256: file.sha256
+    }))));
+    const server = app.listen(0);
+    t.after(() => server.close());
+
+    const upload = (folder, files) => {
+        const form = new FormData();
+        files.forEach(([name, content, type = 'application/octet-stream']) => form.append('file', new Blob([content], { type }), name));
+        return fetch(`http://127.0.0.1:${server.address().port}/upload/${folder}`, { method: 'POST', body: form });
+    };
+
+    const accepted = await upload('documents', [['plan.pdf', PDF, 'text/plain']]);
+    assert.equal(accepted.status, 200);
+    assert.deepEqual(await accepted.json(), [{
+        name: 'plan.pdf',
+        fileType: 'pdf',
+        // The MIME type comes from the detected type, not from the client
+        mimetype: 'application/pdf',
+        size: PDF.length,
+        sha256: crypto.createHash('sha256').update(PDF).digest('hex')
+    }]);
+
+    const disguised = await upload('documents', [['invoice.pdf', EXE, 'application/pdf']]);
+    assert.equal(disguised.status, 415);
+    assert.match((await disguised.json()).message, /invoice\.pdf is not an allowed file type here/);
+
+    // The templates folder takes spreadsheets only, one at a time
+    assert.equal((await upload('templates', [['plan.pdf', PDF]])).status, 415);
+    assert.equal((await upload('templates', [['a.csv', 'a,b\n'], ['b.csv', 'a,b\n']])).status, 400);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Assessment = require('../../src/models/assessmentModel');
+
+test('createRun retries with the next run number when a concurrent assessment took it', async (t) => {
+    const project = new mongoose.Types.ObjectId();
+    const taken = [];
+    t.mock.method(Assessment, 'findOne', () => ({
+        sort: () => ({ select: async () => (taken.length ? { run: Math.max(...taken) } : null) })
+    }));
+    t.mock.method(Assessment, 'create', async (fields) => {
+        if (taken.includes(fields.run)) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+        taken.push(fields.run);
+        return fields;
+    });
+
+    // Both runs read the same latest run before either is stored
+    const [first, second] = await Promise.all([
+        Assessment.createRun({ project, creditId: 'WECr1' }),
+        Assessment.createRun({ project, creditId: 'WECr1' })
+    ]);
+
+    assert.deepEqual([first.run, second.run].sort(), [1, 2]);
+    assert.equal(Assessment.create.mock.callCount(), 3);
+});
+
+test('createRun gives up after repeated collisions and passes other errors through', async (t) => {
+    t.mock.method(Assessment, 'findOne', () => ({ sort: () => ({ select: async () => null }) }));
+    t.mock.method(Assessment, 'create', async () => {
+        throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    });
+
+    await assert.rejects(Assessment.createRun({ creditId: 'WECr1' }), { code: 11000 });
+    assert.equal(Assessment.create.mock.callCount(), 5);
+
+    Assessment.create.mock.mockImplementation(async () => { throw new Error('connection lost'); });
+    await assert.rejects(Assessment.createRun({ creditId: 'WECr1' }), /connection lost/);
+    assert.equal(Assessment.create.mock.callCount(), 6);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { REFRIGERANTS, lookupRefrigerant, matchesReference } = require('../../src/rules/refrigerants');
+const { LEEDRuleEngine, getStaticTestData } = require('../../src/utils/LEEDRules');
+
+test('lookupRefrigerant finds a refrigerant by name or alias, however it is written', () => {
+    for (const name of ['R-410A', 'r410a', 'R 410A', 'Puron']) {
+        assert.equal(lookupRefrigerant(name).name, 'R-410A', name);
+    }
+    assert.equal(lookupRefrigerant('Freon 12').name, 'R-12');
+    assert.equal(lookupRefrigerant('CFC-12').type, 'CFC');
+    assert.equal(lookupRefrigerant('HFC-134a').gwp, 1430);
+});
+
+test('lookupRefrigerant returns null for unknown or empty names', () => {
+    assert.equal(lookupRefrigerant('unobtainium'), null);
+    assert.equal(lookupRefrigerant(''), null);
+    assert.equal(lookupRefrigerant(undefined), null);
+});
+
+test('every name and alias belongs to one refrigerant only', () => {
+    REFRIGERANTS.forEach(refrigerant => [refrigerant.name, ...refrigerant.aliases].forEach(name => {
+        const found = lookupRefrigerant(name);
+        assert.equal(found, refrigerant, `${name} resolves to ${found && found.name}`);
+    }));
+});
+
+test('matchesReference allows the tolerance of each property', () => {
+    assert.equal(matchesReference('gwp', 2000, 2088), true);
+    assert.equal(matchesReference('gwp', 1000, 2088), false);
+    assert.equal(matchesReference('odp', 0.0005, 0), true);
+    assert.equal(matchesReference('odp', 0.05, 0), false);
+});
+
+test('the engine fills schedule values from the reference data and flags contradictions', () => {
+    const result = new LEEDRuleEngine().assessCredit('EACr6', {
+        'Equipment Schedule': [{ 'Refrigerant Used': 'R-410A', 'GWP': 1000 }]
+    }, 'IP');
+
+    assert.deepEqual(result.autoFilled, [
+        { parameter: 'ODP', table: 'Equipment Schedule', row: 1, value: 0, suppliedBy: 'reference', reference: 'R-410A' }
+    ]);
+    assert.deepEqual(result.warnings, ['Equipment Schedule row 1: GWP (1000) differs from the reference value for R-410A (2088)']);
+});
+
+test('the EACr6 sample data agrees with the reference data', () => {
+    const engine = new LEEDRuleEngine();
+    const samples = getStaticTestData();
+
+    Object.keys(samples).filter(name => name.startsWith('eaCr6_')).forEach(name => {
+        assert.deepEqual(engine.assessCredit('EACr6', samples[name], 'IP').warnings, [], name);
+    });
+});
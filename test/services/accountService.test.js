@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AccountToken = require('../../src/models/accountTokenModel');
+const { registerTransport } = require('../../src/services/mailService');
+const { createAccountToken, consumeAccountToken, sendVerificationEmail } = require('../../src/services/accountService');
+
+const user = { _id: 'user-1', name: 'Ada', email: 'ada@example.com' };
+
+// In-memory stand-in for the AccountToken collection
+let tokens;
+test.beforeEach(t => {
+    tokens = [];
+    t.mock.method(AccountToken, 'create', async fields => tokens.push({ ...fields, usedAt: null }));
+    t.mock.method(AccountToken, 'updateMany', async (filter, update) => {
+        tokens.filter(token => token.user === filter.user && token.purpose === filter.purpose && token.usedAt === null)
+            .forEach(token => Object.assign(token, update));
+    });
+    t.mock.method(AccountToken, 'findOneAndUpdate', (filter, update) => {
+        const token = tokens.find(candidate => candidate.tokenHash === filter.tokenHash && candidate.purpose === filter.purpose
+            && candidate.usedAt === null && candidate.expiresAt > filter.expiresAt.$gt);
+        if (token) Object.assign(token, update);
+        return { populate: async () => (token ? { ...token, user } : null) };
+    });
+});
+
+test('the verification email carries a link whose token works once', async () => {
+    const sent = [];
+    registerTransport('memory', () => ({ send: async message => sent.push(message) }));
+    process.env.MAIL_TRANSPORT = 'memory';
+
+    await sendVerificationEmail(user);
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, 'ada@example.com');
+    const token = decodeURIComponent(sent[0].text.match(/verify-email\?token=(\S+)/)[1]);
+
+    assert.deepEqual(await consumeAccountToken(token, 'verify_email'), { user });
+    assert.deepEqual(await consumeAccountToken(token, 'verify_email'), { error: 'Invalid or expired token' });
+
+    // Only the hash is stored
+    assert.ok(tokens.every(stored => stored.tokenHash !== token));
+});
+
+test('a token works only for its purpose, and a newer one replaces it', async () => {
+    const first = await createAccountToken(user, 'reset_password');
+    const second = await createAccountToken(user, 'reset_password');
+
+    assert.deepEqual(await consumeAccountToken(second, 'verify_email'), { error: 'Invalid or expired token' });
+    assert.deepEqual(await consumeAccountToken(first, 'reset_password'), { error: 'Invalid or expired token' });
+    assert.deepEqual(await consumeAccountToken(second, 'reset_password'), { user });
+});
+
+test('an expired token is refused', async () => {
+    const token = await createAccountToken(user, 'reset_password');
+    tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+    assert.deepEqual(await consumeAccountToken(token, 'reset_password'), { error: 'Invalid or expired token' });
+});
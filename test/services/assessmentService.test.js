@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { assessCredits, diffAssessments } = require('../../src/services/assessmentService');
+
+// A stored run as the assessment model holds it
+function run(number, inputs) {
+    const { results } = assessCredits(['WECr1'], { WECr1: inputs }, 'IP');
+    return { creditId: 'WECr1', run: number, unitSystem: 'IP', inputs, result: results.WECr1, createdAt: new Date(number) };
+}
+
+test('diffAssessments reports parameter, gap and point changes between two runs', () => {
+    const first = run(1, { 'Baseline Water Use': 1000, 'Notes': 'draft' });
+    const second = run(2, { 'Baseline Water Use': 1000, 'Design Water Use': 450 });
+
+    const diff = diffAssessments(first, second);
+
+    assert.equal(diff.creditId, 'WECr1');
+    assert.deepEqual([diff.from.run, diff.to.run], [1, 2]);
+    assert.deepEqual(diff.parameters, {
+        added: [{ parameter: 'Design Water Use', value: 450 }],
+        removed: [{ parameter: 'Notes', value: 'draft' }],
+        changed: []
+    });
+    assert.deepEqual(diff.gaps.closed, ['Design Water Use']);
+    assert.deepEqual(diff.gaps.opened, []);
+    assert.deepEqual(diff.points, { from: 0, to: 2, change: 2 });
+});
+
+test('diffAssessments lists changed values and nothing else for an otherwise identical run', () => {
+    const first = run(1, { 'Baseline Water Use': 1000, 'Design Water Use': 450 });
+    const second = run(2, { 'Baseline Water Use': 1000, 'Design Water Use': 900 });
+
+    const diff = diffAssessments(first, second);
+
+    assert.deepEqual(diff.parameters.changed, [{ parameter: 'Design Water Use', from: 450, to: 900 }]);
+    assert.deepEqual(diff.parameters.added, []);
+    assert.deepEqual(diff.parameters.removed, []);
+    assert.deepEqual(diff.points, { from: 2, to: 0, change: -2 });
+});
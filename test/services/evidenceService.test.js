@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ProjectFile = require('../../src/models/projectFileModel');
+const { applyManualInputs, evidenceByCredit } = require('../../src/services/evidenceService');
+
+// A ProjectInput stand-in: only the fields and methods the service touches
+function projectInput(parameters, evidence) {
+    return { creditId: 'WECr1', parameters, evidence, markModified() {} };
+}
+
+test('applyManualInputs keeps the evidence of unchanged values and records changed ones as manual', () => {
+    const extracted = { suppliedBy: 'extraction', fileName: 'plumbing.pdf', page: 4 };
+    const input = projectInput(
+        { 'Baseline Water Use': 1000, 'Design Water Use': 450 },
+        { 'Baseline Water Use': extracted, 'Design Water Use': extracted }
+    );
+
+    applyManualInputs(input, { 'Baseline Water Use': 1000, 'Design Water Use': 400 });
+
+    assert.equal(input.evidence['Baseline Water Use'], extracted);
+    assert.equal(input.evidence['Design Water Use'].suppliedBy, 'manual');
+    assert.deepEqual(input.parameters, { 'Baseline Water Use': 1000, 'Design Water Use': 400 });
+});
+
+test('evidenceByCredit names the cited files as they are now and gives their download route', async t => {
+    const project = new mongoose.Types.ObjectId();
+    const file = new ProjectFile({ project, name: 'renamed.pdf' });
+    t.mock.method(ProjectFile, 'find', () => ({ select: async () => [file] }));
+
+    const evidence = await evidenceByCredit([
+        projectInput({}, { 'Design Water Use': { suppliedBy: 'manual', file: file._id, fileName: 'old.pdf', page: 2 } })
+    ]);
+
+    assert.deepEqual(evidence.WECr1['Design Water Use'], {
+        suppliedBy: 'manual', file: file._id, fileName: 'renamed.pdf', page: 2,
+        downloadUrl: `/projects/${project}/files/${file._id}/download`
+    });
+});
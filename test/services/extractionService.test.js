@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const ExtractedDocument = require('../../src/models/extractedDocumentModel');
+const { detectFormat, parseCsv, extractDocument, extractProjectFiles } = require('../../src/services/extractionService');
+
+test('detectFormat goes by extension first and MIME type second', () => {
+    assert.equal(detectFormat('Schedule.XLSX', 'application/octet-stream'), 'xlsx');
+    assert.equal(detectFormat('upload', 'application/pdf'), 'pdf');
+    assert.equal(detectFormat('drawing.dwg', 'application/acad'), null);
+});
+
+test('parseCsv handles quotes, escaped quotes, line breaks in quotes and blank lines', () => {
+    const rows = parseCsv('Name,Note\r\n"Chiller, 1","He said ""ok""\nthen left"\n\n,\n');
+
+    assert.deepEqual(rows, [
+        ['Name', 'Note'],
+        ['Chiller, 1', 'He said "ok"\nthen left']
+    ]);
+});
+
+test('extractDocument splits text on page breaks and reads spreadsheets as tables', async () => {
+    const text = await extractDocument(Buffer.from('first page\fsecond page'), { name: 'notes.txt', type: 'text/plain' });
+    assert.equal(text.status, 'extracted');
+    assert.deepEqual(text.pages.map(page => [page.number, page.text]), [[1, 'first page'], [2, 'second page']]);
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('Equipment').addRows([['Type', 'Refrigerant'], ['Chiller', 'R-134a']]);
+    const xlsx = await extractDocument(Buffer.from(await workbook.xlsx.writeBuffer()), { name: 'schedule.xlsx' });
+    assert.equal(xlsx.pages[0].label, 'Equipment');
+    assert.deepEqual(xlsx.pages[0].tables, [[['Type', 'Refrigerant'], ['Chiller', 'R-134a']]]);
+});
+
+test('extractDocument reports unsupported and unreadable files instead of throwing', async () => {
+    assert.equal((await extractDocument(Buffer.from('x'), { name: 'drawing.dwg' })).status, 'unsupported');
+
+    const broken = await extractDocument(Buffer.from('not a workbook'), { name: 'broken.xlsx' });
+    assert.equal(broken.status, 'failed');
+    assert.ok(broken.error);
+    assert.deepEqual(broken.pages, []);
+});
+
+test('extractProjectFiles stores one document per file, keyed by the file', async t => {
+    const saved = [];
+    t.mock.method(ExtractedDocument, 'findOneAndUpdate', async (filter, update) => {
+        saved.push({ filter, update });
+        return update;
+    });
+
+    const documents = await extractProjectFiles(
+        { _id: 'project-1' },
+        [{ _id: 'file-1', name: 'a.csv', type: 'text/csv' }, { _id: 'file-2', name: 'b.dwg' }],
+        [Buffer.from('A,B\n1,2\n'), Buffer.from('x')]
+    );
+
+    assert.deepEqual(saved.map(call => call.filter), [{ file: 'file-1' }, { file: 'file-2' }]);
+    assert.deepEqual(documents.map(document => [document.status, document.pageCount]), [['extracted', 1], ['unsupported', 0]]);
+    assert.equal(documents[0].project, 'project-1');
+});
+
+test('extractProjectFiles records a file as failed when its pages cannot be saved', async t => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(ExtractedDocument, 'findOneAndUpdate', async (filter, update) => {
+        if (update.pages.length) throw new Error('BSONObj size is invalid');
+        return update;
+    });
+
+    const [document] = await extractProjectFiles({ _id: 'project-1' }, [{ _id: 'file-1', name: 'a.csv', type: 'text/csv' }], [Buffer.from('A,B\n1,2\n')]);
+
+    assert.equal(document.status, 'failed');
+    assert.equal(document.format, 'csv');
+    assert.equal(document.pageCount, 0);
+    assert.equal(document.error, 'Extracted pages could not be saved: BSONObj size is invalid');
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ProjectFile = require('../../src/models/projectFileModel');
+const ExtractedDocument = require('../../src/models/extractedDocumentModel');
+const { registerDriver } = require('../../src/services/storageService');
+const { createFileLink, signFileLinks, deleteProjectFiles } = require('../../src/services/fileService');
+
+// Storage stand-in that signs links by naming the key and lifetime
+const deleted = [];
+registerDriver('file-service-test', () => ({
+    signedUrl: async (key, { expiresIn }) => `https://files.test/${key}?expiresIn=${expiresIn}`,
+    delete: async key => { deleted.push(key); }
+}));
+process.env.STORAGE_DRIVER = 'file-service-test';
+
+const project = { _id: new mongoose.Types.ObjectId() };
+const file = new ProjectFile({ project: project._id, folder: 'documents', name: 'plan.pdf', key: 'documents/plan.pdf' });
+
+test('a file record keeps its storage key and links to the download route, never a storage URL', () => {
+    const json = file.toJSON();
+
+    assert.equal(json.key, 'documents/plan.pdf');
+    assert.equal(json.downloadUrl, `/projects/${project._id}/files/${file._id}/download`);
+    assert.equal('url' in json, false);
+});
+
+test('createFileLink signs a link that expires after the lifetime asked for', async () => {
+    const before = Date.now();
+    const link = await createFileLink(file, 60);
+
+    assert.equal(link.url, 'https://files.test/documents/plan.pdf?expiresIn=60');
+    assert.ok(link.expiresAt.getTime() >= before + 60 * 1000);
+});
+
+test('signFileLinks signs the project files cited, by file id', async t => {
+    t.mock.method(ProjectFile, 'find', filter => ({
+        select: async () => (String(filter.project) === String(project._id) ? [file] : [])
+    }));
+
+    const links = await signFileLinks(project, [file._id, new mongoose.Types.ObjectId()], 3600);
+
+    assert.deepEqual(links, { [String(file._id)]: 'https://files.test/documents/plan.pdf?expiresIn=3600' });
+});
+
+test('deleteProjectFiles removes the contents, the records and the extracted documents', async t => {
+    t.mock.method(ProjectFile, 'deleteMany', async () => ({ deletedCount: 1 }));
+    t.mock.method(ExtractedDocument, 'deleteMany', async () => ({ deletedCount: 1 }));
+
+    assert.equal(await deleteProjectFiles([file]), 1);
+    assert.deepEqual(deleted, ['documents/plan.pdf']);
+    assert.deepEqual(ProjectFile.deleteMany.mock.calls[0].arguments[0], { _id: { $in: [file._id] } });
+    assert.deepEqual(ExtractedDocument.deleteMany.mock.calls[0].arguments[0], { file: { $in: [file._id] } });
+});
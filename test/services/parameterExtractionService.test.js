@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getProvider, parseAnswer, extractParameters } = require('../../src/services/parameterExtractionService');
+
+const documents = [{
+    name: 'mechanical.pdf',
+    pages: [
+        { number: 1, text: 'Refrigerant Management\nConfirmation Statement: Yes', tables: [] },
+        {
+            number: 2,
+            text: '',
+            tables: [[
+                ['Equipment Type', 'Refrigerant Used', 'Refrigerant Charge'],
+                ['Chiller', 'R-134a', '1000 lb'],
+                ['VRF', 'R-410A', '60 lb']
+            ]]
+        }
+    ]
+}];
+
+test('the stub provider reads labelled values and schedule tables with their source', async () => {
+    const extracted = await extractParameters('EACr6', documents, getProvider('stub'));
+
+    assert.equal(extracted.provider, 'stub');
+    assert.equal(extracted.parameters['Confirmation Statement'], 'Yes');
+    assert.deepEqual(extracted.parameters['Equipment Schedule'], [
+        { 'Equipment Type': 'Chiller', 'Refrigerant Used': 'R-134a', 'Refrigerant Charge': '1000 lb' },
+        { 'Equipment Type': 'VRF', 'Refrigerant Used': 'R-410A', 'Refrigerant Charge': '60 lb' }
+    ]);
+    assert.deepEqual(extracted.sources['Confirmation Statement'], {
+        document: 'mechanical.pdf', page: 1, snippet: 'Confirmation Statement: Yes'
+    });
+    assert.equal(extracted.sources['Equipment Schedule'].page, 2);
+
+    // Every other parameter is a schedule column, covered once the schedule is found
+    assert.deepEqual(extracted.missing, []);
+});
+
+test('parseAnswer reads fenced JSON and drops parameters the credit does not declare', () => {
+    const answer = '```json\n{ "parameters": { "odp": { "value": 0, "document": "a.pdf", "page": "3" }, "Colour": "red", "GWP": "" } }\n```';
+
+    const parsed = parseAnswer(answer, ['ODP', 'GWP']);
+
+    assert.deepEqual(parsed.parameters, { ODP: 0 });
+    assert.deepEqual(parsed.sources, { ODP: { document: 'a.pdf', page: 3, snippet: null } });
+    assert.deepEqual(parsed.missing, ['GWP']);
+    assert.throws(() => parseAnswer('no json here', ['ODP']), /not valid JSON/);
+});
+
+test('getProvider refuses a provider that is not registered', () => {
+    assert.throws(() => getProvider('psychic'), /Extraction provider psychic is not registered/);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LEEDRuleEngine } = require('../../src/utils/LEEDRules');
+const { buildReport, renderHtml, renderCsv, renderPdf } = require('../../src/services/reportService');
+
+const engine = new LEEDRuleEngine();
+
+const project = { _id: 'project-1', name: 'Tower <A> & "B"', ratingSystem: 'LEED v4.1 BD+C', unitSystem: 'IP' };
+
+function assessment(creditId, inputs, evidence = {}) {
+    const result = engine.assessCredit(creditId, inputs, 'IP');
+    return { run: 1, createdAt: new Date(0), unitSystem: 'IP', result: { ...result, evidence } };
+}
+
+const report = buildReport(project, [
+    assessment('WECr1', { 'Baseline Water Use': 1000, 'Design Water Use': 450 }, {
+        'Design Water Use': { suppliedBy: 'extraction', value: 450, file: 'file-1', fileName: 'plumbing, rev 2.pdf', page: 3, snippet: 'Design <b>use</b>: "450"' },
+        'Baseline Water Use': { suppliedBy: 'manual', value: 1000, file: 'file-2', fileName: 'deleted.pdf' }
+    }),
+    assessment('EACr1', { 'Baseline Energy Use': 100 })
+], { 'file-1': 'https://files.test/plumbing.pdf?signature=a&b' });
+
+test('buildReport lists every credit with its findings and scorecard', () => {
+    assert.deepEqual(report.credits.map(credit => credit.creditId), ['WECr1', 'EACr1']);
+    assert.equal(report.scorecard.totalPoints, 2);
+    assert.deepEqual(report.credits[1].gaps, ['Design Energy Use']);
+    assert.deepEqual(report.credits[0].evidence[0], {
+        parameter: 'Design Water Use', value: '450', suppliedBy: 'extraction', fileName: 'plumbing, rev 2.pdf',
+        url: 'https://files.test/plumbing.pdf?signature=a&b', page: 3, snippet: 'Design <b>use</b>: "450"', reference: null
+    });
+    // A file without a signed link (no longer in the project) is named without a link
+    assert.equal(report.credits[0].evidence[1].url, null);
+    assert.ok(report.credits[0].calculations.some(calculation => calculation.name === 'Water reduction' && calculation.value === '55'));
+});
+
+test('renderHtml escapes project, finding and evidence text', () => {
+    const html = renderHtml(report);
+
+    assert.ok(html.includes('<h1>Tower &lt;A&gt; &amp; &quot;B&quot;</h1>'));
+    assert.ok(html.includes('Design &lt;b&gt;use&lt;/b&gt;: &quot;450&quot;'));
+    assert.ok(!html.includes('<b>use</b>'));
+    assert.ok(html.includes('<a href="https://files.test/plumbing.pdf?signature=a&amp;b">plumbing, rev 2.pdf, p. 3</a>'));
+});
+
+test('renderCsv writes a summary row per credit and one row per finding, quoting where needed', () => {
+    const lines = renderCsv(report).split('\r\n');
+
+    assert.equal(lines[0], 'Credit,Credit Name,Category,Status,Points,Max Points,Run,Type,Item,Detail,Source,Page,Link');
+    assert.ok(lines.includes('WECr1,Water Efficiency - Outdoor Water Use Reduction,WE,Compliant,2,2,1,Evidence,Design Water Use,450,"plumbing, rev 2.pdf",3,https://files.test/plumbing.pdf?signature=a&b'));
+    assert.ok(lines.some(line => line.startsWith('EACr1,') && line.includes(',Gap,Design Energy Use,')));
+    assert.equal(lines[lines.length - 1], '');
+});
+
+test('renderCsv guards formula-like text but leaves negative numbers as numbers', () => {
+    const guarded = buildReport(project, [
+        assessment('WECr1', { 'Baseline Water Use': 1000, 'Design Water Use': 450 }, {
+            'Design Water Use': { suppliedBy: 'manual', value: -12.5, fileName: '=HYPERLINK("http://evil.test")' }
+        })
+    ]);
+
+    const lines = renderCsv(guarded).split('\r\n');
+
+    assert.ok(lines.some(line => line.endsWith(`,Evidence,Design Water Use,-12.5,"'=HYPERLINK(""http://evil.test"")",,`)));
+});
+
+test('renderPdf produces a PDF document', async () => {
+    const pdf = await renderPdf(report);
+
+    assert.ok(Buffer.isBuffer(pdf));
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+});
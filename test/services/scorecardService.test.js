@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LEEDRuleEngine } = require('../../src/utils/LEEDRules');
+const { certificationFor, buildScorecard } = require('../../src/services/scorecardService');
+
+const engine = new LEEDRuleEngine();
+
+test('certificationFor names the level reached and the points to the next one', () => {
+    assert.deepEqual(certificationFor(39), { level: null, nextLevel: { name: 'Certified', minPoints: 40, pointsNeeded: 1 } });
+    assert.deepEqual(certificationFor(55), { level: 'Silver', nextLevel: { name: 'Gold', minPoints: 60, pointsNeeded: 5 } });
+    assert.deepEqual(certificationFor(80), { level: 'Platinum', nextLevel: null });
+});
+
+test('buildScorecard caps each category at its own maximum', () => {
+    const scorecard = buildScorecard([
+        { creditId: 'IPc1', category: 'IP', points: 1, maxPoints: 1 },
+        { creditId: 'IPc2', category: 'IP', points: 1, maxPoints: 1 },
+        { creditId: 'EACr1', category: 'EA', points: 18, maxPoints: 18 }
+    ]);
+
+    assert.equal(scorecard.totalPoints, 19);
+    assert.equal(scorecard.creditsAssessed, 3);
+    assert.deepEqual(scorecard.categories.map(category => [category.category, category.points]), [['IP', 1], ['EA', 18]]);
+    assert.equal(scorecard.nextLevel.pointsNeeded, 21);
+});
+
+test('buildScorecard blocks every certification level while a prerequisite fails or is missing', () => {
+    const credit = engine.assessCredit('EACr1', { 'Baseline Energy Use': 100, 'Design Energy Use': 50 });
+    const failing = engine.assessCredit('WEpr2', {
+        'Fixture Schedule': 'schedule.pdf', 'Baseline Indoor Water Use': 100, 'Design Indoor Water Use': 90
+    });
+
+    const scorecard = buildScorecard([credit, failing]);
+    assert.equal(scorecard.totalPoints, 18);
+    assert.equal(scorecard.eligible, false);
+    assert.equal(scorecard.level, null);
+    assert.deepEqual(scorecard.blockingPrerequisites, ['EApr2', 'WEpr2', 'EApr3']);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const LocalDriver = require('../../../src/services/storage/localDriver');
+const { registerDriver } = require('../../../src/services/storageService');
+const storageRoutes = require('../../../src/routes/storageRoutes');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+const driver = new LocalDriver({ directory, publicUrl: 'http://files.test', secret: 'signing-secret' });
+
+const query = url => Object.fromEntries(new URL(url).searchParams);
+
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+test('signed URLs verify for their own key until they expire', async () => {
+    const url = await driver.signedUrl('documents/plan.pdf', { expiresIn: 60 });
+    assert.match(url, /^http:\/\/files\.test\/storage\/documents\/plan\.pdf\?expires=\d+&signature=[0-9a-f]{64}$/);
+
+    assert.equal(driver.verifySignedUrl('documents/plan.pdf', query(url)), true);
+    assert.equal(driver.verifySignedUrl('documents/other.pdf', query(url)), false);
+});
+
+test('tampered, expired and unsigned links are refused', async () => {
+    const { expires, signature } = query(await driver.signedUrl('documents/plan.pdf', { expiresIn: 60 }));
+
+    assert.equal(driver.verifySignedUrl('documents/plan.pdf', { expires: String(Number(expires) + 3600), signature }), false);
+    assert.equal(driver.verifySignedUrl('documents/plan.pdf', { expires, signature: signature.replace(/^./, c => (c === '0' ? '1' : '0')) }), false);
+    assert.equal(driver.verifySignedUrl('documents/plan.pdf', { expires }), false);
+    assert.equal(driver.verifySignedUrl('documents/plan.pdf', {}), false);
+
+    const past = Math.floor(Date.now() / 1000) - 1;
+    assert.equal(driver.verifySignedUrl('documents/plan.pdf', { expires: String(past), signature: driver.signature('documents/plan.pdf', past) }), false);
+
+    // Another secret signs differently
+    const other = new LocalDriver({ directory, secret: 'another-secret' });
+    assert.equal(other.verifySignedUrl('documents/plan.pdf', { expires, signature }), false);
+});
+
+test('keys cannot leave the storage directory', async () => {
+    await assert.rejects(driver.signedUrl('../outside.txt'), /Invalid storage key/);
+    await assert.rejects(driver.put('documents/../../outside.txt', Buffer.from('x')), /Invalid storage key/);
+});
+
+test('GET /storage serves a file only through a valid signed link', async t => {
+    registerDriver('signed-test', () => driver);
+    process.env.STORAGE_DRIVER = 'signed-test';
+    t.after(() => delete process.env.STORAGE_DRIVER);
+
+    await driver.put('documents/plan.pdf', Buffer.from('%PDF-1.4 plan'));
+    const app = express();
+    app.use('/storage', storageRoutes);
+    const server = app.listen(0);
+    t.after(() => server.close());
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const local = url => `${base}${new URL(url).pathname}${new URL(url).search}`;
+
+    const valid = await fetch(local(await driver.signedUrl('documents/plan.pdf', { expiresIn: 60 })));
+    assert.equal(valid.status, 200);
+    assert.equal(await valid.text(), '%PDF-1.4 plan');
+
+    const unsigned = await fetch(`${base}/storage/documents/plan.pdf`);
+    assert.equal(unsigned.status, 403);
+
+    const missing = await fetch(local(await driver.signedUrl('documents/missing.pdf', { expiresIn: 60 })));
+    assert.equal(missing.status, 404);
+});
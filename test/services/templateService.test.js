@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { templateLayout, renderXlsx, renderCsv, importTemplate } = require('../../src/services/templateService');
+
+const values = {
+    'Confirmation Statement': 'Yes',
+    'Equipment Schedule': [
+        { 'Equipment Type': 'Chiller, centrifugal', 'Refrigerant Used': 'R-134a', 'Refrigerant Charge': 1000, 'Equipment Quantity': 2 },
+        { 'Equipment Type': 'VRF', 'Refrigerant Used': 'R-410A', 'Refrigerant Charge': 60 }
+    ]
+};
+
+test('templateLayout lists flat parameters and tables with the units of the unit system', () => {
+    const layout = templateLayout('EACr6', 'SI');
+
+    assert.ok(layout.parameters.some(parameter => parameter.name === 'Confirmation Statement'));
+    const schedule = layout.tables.find(table => table.name === 'Equipment Schedule');
+    assert.equal(schedule.columns.find(column => column.name === 'Refrigerant Charge').unit, 'kg');
+    assert.throws(() => templateLayout('NOPE', 'IP'), /Credit NOPE not found/);
+});
+
+test('values exported as CSV or XLSX import back unchanged', async () => {
+    const csv = await importTemplate('EACr6', Buffer.from(renderCsv('EACr6', 'IP', values)), { name: 'EACr6.csv' }, 'IP');
+    assert.deepEqual(csv.errors, []);
+    assert.deepEqual(csv.parameters, values);
+
+    const xlsx = await importTemplate('EACr6', await renderXlsx('EACr6', 'IP', values), { name: 'EACr6.xlsx' }, 'IP');
+    assert.deepEqual(xlsx.errors, []);
+    assert.deepEqual(xlsx.parameters, values);
+    assert.deepEqual(xlsx.sources['Equipment Schedule'], { sheet: 'Equipment Schedule' });
+});
+
+test('formula-like text is guarded in the CSV template and imports back as it was', async () => {
+    const guarded = {
+        'Greenchill Certification Status': "'=pending",
+        'Equipment Schedule': [{ 'Equipment Type': '=HYPERLINK("http://evil.test")', 'Refrigerant Used': "'R-410A" }]
+    };
+
+    const csv = renderCsv('EACr6', 'IP', guarded);
+    assert.match(csv, /"'=HYPERLINK\(""http:\/\/evil\.test""\)"/);
+
+    const imported = await importTemplate('EACr6', Buffer.from(csv), { name: 'EACr6.csv' }, 'IP');
+    assert.deepEqual(imported.parameters, guarded);
+});
+
+test('a template from the other unit system keeps the units of its headers', async () => {
+    const csv = renderCsv('EACr6', 'SI', { 'Equipment Schedule': [{ 'Refrigerant Charge': 20 }] });
+
+    const imported = await importTemplate('EACr6', Buffer.from(csv), { name: 'EACr6.csv' }, 'IP');
+
+    assert.deepEqual(imported.parameters['Equipment Schedule'], [{ 'Refrigerant Charge': '20 kg' }]);
+});
+
+test('importTemplate reports unknown parameters, invalid values and files it cannot read', async () => {
+    const csv = 'Parameter,Value\r\nGWP,high\r\nColour,red\r\n';
+    const imported = await importTemplate('EACr6', Buffer.from(csv), { name: 'EACr6.csv' }, 'IP');
+
+    assert.deepEqual(imported.errors.map(error => [error.row, error.message]), [
+        [2, 'GWP (high): not a valid number'],
+        [3, 'Unknown parameter: Colour']
+    ]);
+
+    const unreadable = await importTemplate('EACr6', Buffer.from('not a workbook'), { name: 'EACr6.xlsx' }, 'IP');
+    assert.match(unreadable.errors[0].message, /not a readable XLSX template/);
+});
@@ -0,0 +1,98 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../../src/models/refreshTokenModel');
+const { issueTokens, rotateRefreshToken, revokeSession, isSessionActive } = require('../../src/services/tokenService');
+
+// In-memory stand-in for the refresh token collection, enough for the queries tokenService makes
+let tokens = [];
+const matches = (token, filter) => Object.entries(filter).every(([field, expected]) => {
+    if (field === 'expiresAt') return token.expiresAt > expected.$gt;
+    return String(token[field] ?? null) === String(expected ?? null);
+});
+const revoke = (filter, update) => {
+    const found = tokens.filter(token => matches(token, filter));
+    found.forEach(token => Object.assign(token, update));
+    return { modifiedCount: found.length };
+};
+
+const user = { _id: 'user-1', email: 'user@example.com' };
+const hash = token => crypto.createHash('sha256').update(token).digest('hex');
+
+test.beforeEach(() => {
+    tokens = [];
+    test.mock.method(RefreshToken, 'create', async fields => {
+        tokens.push({ _id: crypto.randomUUID(), revokedAt: null, ...fields });
+    });
+    test.mock.method(RefreshToken, 'findOne', filter => {
+        const found = tokens.find(token => matches(token, filter));
+        const result = Promise.resolve(found ? { ...found, user } : null);
+        result.populate = () => result;
+        return result;
+    });
+    test.mock.method(RefreshToken, 'updateOne', async (filter, update) => revoke(filter, update));
+    test.mock.method(RefreshToken, 'updateMany', async (filter, update) => revoke(filter, update));
+    test.mock.method(RefreshToken, 'exists', async filter => tokens.some(token => matches(token, filter)));
+});
+
+test.afterEach(() => test.mock.restoreAll());
+
+test('issueTokens signs a short-lived access token and stores only the refresh token hash', async () => {
+    const { token, refreshToken, expiresIn } = await issueTokens(user);
+
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    assert.equal(payload.id, user._id);
+    assert.equal(expiresIn, '15m');
+    assert.equal(payload.exp - payload.iat, 15 * 60);
+
+    assert.equal(tokens.length, 1);
+    assert.equal(tokens[0].tokenHash, hash(refreshToken));
+    assert.ok(!JSON.stringify(tokens).includes(refreshToken));
+    assert.equal(await isSessionActive(payload.session), true);
+});
+
+test('rotateRefreshToken replaces the refresh token within the same session', async () => {
+    const first = await issueTokens(user);
+    const { tokens: second, error } = await rotateRefreshToken(first.refreshToken);
+
+    assert.equal(error, undefined);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    assert.equal(jwt.decode(second.token).session, jwt.decode(first.token).session);
+    assert.equal(tokens.find(token => token.tokenHash === hash(first.refreshToken)).revokedReason, 'rotated');
+});
+
+test('reusing a rotated refresh token signs out the whole session', async () => {
+    const first = await issueTokens(user);
+    const { tokens: second } = await rotateRefreshToken(first.refreshToken);
+
+    const reused = await rotateRefreshToken(first.refreshToken);
+    assert.match(reused.error, /already used/);
+    assert.equal(await isSessionActive(jwt.decode(first.token).session), false);
+
+    // The token handed out by the rotation stopped working as well
+    assert.equal((await rotateRefreshToken(second.refreshToken)).error, 'Session has been signed out');
+});
+
+test('a refresh that loses a race with another counts as reuse', async () => {
+    const first = await issueTokens(user);
+    RefreshToken.updateOne.mock.mockImplementationOnce(async () => ({ modifiedCount: 0 }));
+
+    const lost = await rotateRefreshToken(first.refreshToken);
+    assert.match(lost.error, /already used/);
+    assert.equal(await isSessionActive(jwt.decode(first.token).session), false);
+});
+
+test('unknown, expired and signed-out refresh tokens are refused', async () => {
+    assert.equal((await rotateRefreshToken('not-a-token')).error, 'Invalid refresh token');
+
+    const expired = await issueTokens(user);
+    tokens[0].expiresAt = new Date(Date.now() - 1000);
+    assert.equal((await rotateRefreshToken(expired.refreshToken)).error, 'Refresh token expired');
+
+    const signedOut = await issueTokens(user);
+    assert.equal(await revokeSession(signedOut.refreshToken), true);
+    assert.equal((await rotateRefreshToken(signedOut.refreshToken)).error, 'Session has been signed out');
+});
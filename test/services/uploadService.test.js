@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ProjectFile = require('../../src/models/projectFileModel');
+const ExtractedDocument = require('../../src/models/extractedDocumentModel');
+const { registerDriver } = require('../../src/services/storageService');
+const { storeUploads } = require('../../src/services/uploadService');
+
+// Keeps blobs in memory so the test sees what is left in storage
+const blobs = new Map();
+registerDriver('memory', () => ({
+    async put(key, body) {
+        blobs.set(key, body);
+        return { key, size: body.length, lastModified: new Date() };
+    },
+    async delete(key) {
+        blobs.delete(key);
+    }
+}));
+process.env.STORAGE_DRIVER = 'memory';
+
+const project = { _id: new mongoose.Types.ObjectId() };
+
+function upload(fieldname, content) {
+    const buffer = Buffer.from(content);
+    return {
+        fieldname, originalname: `${fieldname}.csv`, fileType: 'csv', mimetype: 'text/csv',
+        buffer, size: buffer.length, sha256: `sha-${content}`
+    };
+}
+
+function mockQueries(t) {
+    t.mock.method(ProjectFile, 'find', async () => []);
+    t.mock.method(ExtractedDocument, 'find', () => ({ select: async () => [] }));
+    t.mock.method(ExtractedDocument, 'findOneAndUpdate', async (filter, update) => ({ _id: new mongoose.Types.ObjectId(), ...update }));
+}
+
+test.beforeEach(() => blobs.clear());
+
+test('storeUploads returns the record a concurrent upload saved first and deletes its own copy', async t => {
+    mockQueries(t);
+    const earlier = new ProjectFile({ project: project._id, folder: 'documents', name: 'earlier.csv', key: 'documents/earlier.csv', sha256: 'sha-A,B' });
+    t.mock.method(ProjectFile.prototype, 'save', async function () {
+        if (this.sha256 === 'sha-A,B') throw Object.assign(new Error('duplicate key'), { code: 11000 });
+        return this;
+    });
+    t.mock.method(ProjectFile, 'findOne', async () => earlier);
+
+    const entries = await storeUploads([upload('first', 'A,B'), upload('second', 'C,D')], { project, folder: 'documents', names: { first: 'first', second: 'second' } });
+
+    assert.deepEqual(entries.map(entry => [String(entry._id), entry.duplicate]),
+        [[String(earlier._id), true], [String(entries[1]._id), false]]);
+    assert.equal(entries[0].extraction, null);
+    assert.equal(entries[1].extraction.status, 'extracted');
+    assert.deepEqual([...blobs.keys()].map(key => key.replace(/^.*_/, '')), ['second.csv']);
+});
+
+test('storeUploads deletes the stored blobs of a batch whose records fail to save', async t => {
+    mockQueries(t);
+    t.mock.method(ProjectFile.prototype, 'save', async function () {
+        if (this.sha256 === 'sha-C,D') throw new Error('connection lost');
+        return this;
+    });
+
+    await assert.rejects(storeUploads([upload('first', 'A,B'), upload('second', 'C,D')], { project, folder: 'documents', names: { first: 'first', second: 'second' } }),
+        /connection lost/);
+
+    // The first record was saved and keeps its blob; the failed one is removed
+    assert.deepEqual([...blobs.keys()].map(key => key.replace(/^.*_/, '')), ['first.csv']);
+});
+
+test('files of the same name are stored under distinct keys of their project', async t => {
+    mockQueries(t);
+    t.mock.method(ProjectFile.prototype, 'save', async function () {
+        return this;
+    });
+
+    const entries = await storeUploads([upload('first', 'A,B'), upload('second', 'C,D')],
+        { project, folder: 'documents', names: { first: 'schedule', second: 'schedule' } });
+
+    const keys = entries.map(entry => entry.key);
+    assert.notEqual(keys[0], keys[1]);
+    keys.forEach(key => assert.match(key, new RegExp(`^${project._id}/documents/[\\dT-]+_[0-9a-f-]{36}_schedule\\.csv$`)));
+    assert.deepEqual([...blobs.keys()], keys);
+});
@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LEEDRuleEngine, CalculationModule, STATUS } = require('../../src/utils/LEEDRules');
+
+const engine = new LEEDRuleEngine();
+
+// LCGWP of one item with the engine's end-of-life loss (Mr = 1)
+const lcgwp = ({ gwp, leakage, life, charge, capacity }) => gwp * (leakage * life + 1) * (charge / capacity) / life;
+
+test('interpreter: a credit defined as data is evaluated without code', () => {
+    const custom = new LEEDRuleEngine({
+        XXc1: {
+            name: 'Test Credit',
+            category: 'SS',
+            maxPoints: 2,
+            parameters: ['Plan', 'Distance'],
+            rules: {
+                requirements: [
+                    { parameter: 'Plan', condition: 'present' },
+                    { parameter: 'Distance', condition: 'lessThan', value: 800 }
+                ]
+            }
+        },
+        XXc2: {
+            name: 'Scored Credit',
+            category: 'SS',
+            maxPoints: 3,
+            parameters: ['Reduction'],
+            rules: {
+                requirements: [
+                    { parameter: 'Reduction', condition: 'thresholds', unit: '%', thresholds: { '10%': 1, '20%': 3 } }
+                ]
+            }
+        }
+    });
+
+    const compliant = custom.assessCredit('XXc1', { Plan: 'plan.pdf', Distance: 400 });
+    assert.equal(compliant.status, STATUS.COMPLIANT);
+    assert.equal(compliant.points, 2);
+
+    const failing = custom.assessCredit('XXc1', { Plan: 'plan.pdf', Distance: 900 });
+    assert.equal(failing.status, STATUS.NON_COMPLIANT);
+    assert.equal(failing.points, 0);
+
+    const missing = custom.assessCredit('XXc1', { Distance: 400 });
+    assert.equal(missing.status, STATUS.GAPS);
+    assert.deepEqual(missing.gaps, ['Plan']);
+
+    assert.equal(custom.assessCredit('XXc2', { Reduction: 25 }).points, 3);
+    assert.equal(custom.assessCredit('XXc2', { Reduction: '12%' }).points, 1);
+});
+
+test('interpreter: calculation plugins feed threshold requirements', () => {
+    const result = engine.assessCredit('WECr1', { 'Baseline Water Use': '1000', 'Design Water Use': '450' });
+
+    assert.equal(result.status, STATUS.COMPLIANT);
+    assert.equal(result.points, 2);
+    assert.ok(Math.abs(result.calculations.waterReduction - 55) < 1e-9);
+});
+
+test('interpreter: an unknown credit is refused', () => {
+    assert.throws(() => engine.assessCredit('NOPE', {}), /Credit NOPE not found/);
+});
+
+test('prerequisites pass or fail without scoring points', () => {
+    const failing = engine.assessCredit('WEpr2', {
+        'Fixture Schedule': 'schedule.pdf', 'Baseline Indoor Water Use': 100, 'Design Indoor Water Use': 90
+    });
+    assert.equal(failing.type, 'prerequisite');
+    assert.equal(failing.status, STATUS.NON_COMPLIANT);
+    assert.equal(failing.passed, false);
+    assert.equal(failing.points, 0);
+    assert.deepEqual(failing.nonCompliant, ['Indoor water use reduction (10%) is not at least 20%']);
+
+    const passing = engine.assessCredit('WEpr2', {
+        'Fixture Schedule': 'schedule.pdf', 'Baseline Indoor Water Use': 100, 'Design Indoor Water Use': 70
+    });
+    assert.equal(passing.passed, true);
+});
+
+test('EApr3: CFC refrigerants fail under any of their names, in flat values and schedule rows', () => {
+    for (const name of ['CFC-12', 'R12', 'Freon 12', 'R-410A, r-503']) {
+        const result = engine.assessCredit('EApr3', { 'Refrigerant Used': name });
+        assert.equal(result.status, STATUS.NON_COMPLIANT, name);
+        assert.equal(result.passed, false, name);
+    }
+
+    const schedule = engine.assessCredit('EApr3', {
+        'Equipment Schedule': [{ 'Refrigerant Used': 'R-410A' }, { 'Refrigerant Used': 'CFC-11' }]
+    });
+    assert.equal(schedule.status, STATUS.NON_COMPLIANT);
+    assert.match(schedule.nonCompliant.join('\n'), /row 2/);
+
+    assert.equal(engine.assessCredit('EApr3', { 'Refrigerant Used': 'R-410A' }).passed, true);
+    assert.equal(engine.assessCredit('EApr3', {}).status, STATUS.GAPS);
+});
+
+test('EACr6: the refrigerant impact is the capacity-weighted average of every schedule item', () => {
+    const result = engine.assessCredit('EACr6', {
+        'Confirmation Statement': 'Yes',
+        'Equipment Schedule': [
+            {
+                'Equipment Type': 'Chiller', 'Refrigerant Used': 'R-134a', 'GWP': 1430, 'Refrigerant Charge': '1000 lb', 'Leakage Rate': '2%',
+                'Equipment Life': '23 years', 'Equipment Cooling Capacity': '500 tons', 'Equipment Quantity': 1
+            },
+            {
+                'Equipment Type': 'VRF', 'Refrigerant Used': 'R-410A', 'GWP': 2088, 'Refrigerant Charge': '60 lb', 'Leakage Rate': '10%',
+                'Equipment Life': '15', 'Equipment Cooling Capacity': '20 tons', 'Equipment Quantity': 2
+            }
+        ]
+    }, 'IP');
+
+    const chiller = lcgwp({ gwp: 1430, leakage: 0.02, life: 23, charge: 1000, capacity: 500 });
+    const vrf = lcgwp({ gwp: 2088, leakage: 0.1, life: 15, charge: 60, capacity: 20 });
+    const { calculations } = result;
+
+    assert.equal(calculations.items.length, 2);
+    assert.ok(Math.abs(calculations.items[0].lcgwp - chiller) < 1e-9);
+    assert.ok(Math.abs(calculations.items[1].lcgwp - vrf) < 1e-9);
+    assert.equal(calculations.totalCapacity, 540);
+    assert.ok(Math.abs(calculations.weightedAverage - (chiller * 500 + vrf * 40) / 540) < 1e-9);
+    assert.deepEqual(calculations.drivers, [1, 2]);
+
+    assert.equal(result.status, STATUS.NON_COMPLIANT);
+    assert.equal(result.points, 0);
+});
+
+test('EACr6: one low-impact item passes and a zero cooling capacity is reported', () => {
+    const item = {
+        'Refrigerant Used': 'R-410A', 'GWP': 2088, 'ODP': 0, 'Refrigerant Charge': 1, 'Leakage Rate': 2,
+        'Equipment Life': 20, 'Equipment Cooling Capacity': 10, 'Equipment Quantity': 1
+    };
+
+    const passing = engine.assessCredit('EACr6', { 'Confirmation Statement': 'Yes', 'Equipment Schedule': [item] }, 'IP');
+    assert.equal(passing.status, STATUS.COMPLIANT);
+    assert.equal(passing.points, 1);
+
+    const broken = engine.assessCredit('EACr6', {
+        'Confirmation Statement': 'Yes', 'Equipment Schedule': [{ ...item, 'Equipment Cooling Capacity': 0 }]
+    }, 'IP');
+    assert.equal(broken.status, STATUS.NON_COMPLIANT);
+    assert.ok(broken.nonCompliant.includes('Calculation error: Equipment Cooling Capacity of item 1 must be greater than 0'));
+});
+
+test('EACr6: a zero, negative or non-numeric quantity is reported, and only a missing one counts as one unit', () => {
+    const item = {
+        'Refrigerant Used': 'R-410A', 'GWP': 2088, 'ODP': 0, 'Refrigerant Charge': 1, 'Leakage Rate': 2,
+        'Equipment Life': 20, 'Equipment Cooling Capacity': 10
+    };
+
+    for (const quantity of [0, -2, 'several']) {
+        const result = engine.assessCredit('EACr6', {
+            'Confirmation Statement': 'Yes', 'Equipment Schedule': [{ ...item, 'Equipment Quantity': quantity }]
+        }, 'IP');
+        assert.equal(result.status, STATUS.NON_COMPLIANT, `quantity ${quantity}`);
+        assert.ok(result.nonCompliant.includes('Calculation error: Equipment Quantity of item 1 must be a number greater than 0'), `quantity ${quantity}`);
+    }
+
+    // The credit asks for a quantity per row; the calculation on its own takes a missing one as a single unit
+    const { items } = new CalculationModule().calculateRefrigerantImpact({ 'Equipment Schedule': [item] }, 'IP');
+    assert.equal(items[0].quantity, 1);
+});
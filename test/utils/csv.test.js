@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { csvCell, stripFormulaGuard } = require('../../src/utils/csv');
+
+test('csvCell prefixes text a spreadsheet would run as a formula', () => {
+    assert.equal(csvCell('=HYPERLINK("http://evil.test")'), `"'=HYPERLINK(""http://evil.test"")"`);
+    assert.equal(csvCell('+1+1'), "'+1+1");
+    assert.equal(csvCell('-2+3'), "'-2+3");
+    assert.equal(csvCell('@SUM(A1)'), "'@SUM(A1)");
+    assert.equal(csvCell('\tcmd'), "'\tcmd");
+});
+
+test('csvCell writes numbers and ordinary text as they are, quoting where CSV needs it', () => {
+    assert.equal(csvCell(-5), '-5');
+    assert.equal(csvCell('-5'), '-5');
+    assert.equal(csvCell('-2.5'), '-2.5');
+    assert.equal(csvCell('R-410A'), 'R-410A');
+    assert.equal(csvCell('a, b'), '"a, b"');
+    assert.equal(csvCell('two\nlines'), '"two\nlines"');
+    assert.equal(csvCell(null), '');
+    assert.equal(csvCell(undefined), '');
+});
+
+test('stripFormulaGuard gives back exactly the text csvCell wrote', () => {
+    for (const text of ['=1+1', '@SUM(A1)', "'quoted", "'-5", "'=x", "''", 'R-410A', '-5']) {
+        assert.equal(stripFormulaGuard(csvCell(text)), text);
+    }
+    assert.equal(csvCell("'-5"), "''-5");
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { roleOf, can, deniedMessage } = require('../../src/utils/permissions');
+
+const owner = new mongoose.Types.ObjectId();
+const reviewer = new mongoose.Types.ObjectId();
+const project = { owner, members: [{ user: reviewer, role: 'reviewer' }] };
+
+test('roleOf gives the owner role to the project owner and the member role to members', () => {
+    assert.equal(roleOf(project, owner), 'owner');
+    assert.equal(roleOf(project, { _id: reviewer }), 'reviewer');
+    assert.equal(roleOf(project, new mongoose.Types.ObjectId()), null);
+});
+
+test('can grants each permission to its roles only', () => {
+    assert.equal(can('owner', 'members:manage'), true);
+    assert.equal(can('editor', 'members:manage'), false);
+    assert.equal(can('contributor', 'files:upload'), true);
+    assert.equal(can('viewer', 'inputs:edit'), false);
+
+    // Only reviewers sign off, not even the owner
+    assert.equal(can('reviewer', 'credit:signoff'), true);
+    assert.equal(can('owner', 'credit:signoff'), false);
+
+    assert.throws(() => can('owner', 'project:rename'), /Unknown permission: project:rename/);
+});
+
+test('deniedMessage names the role and what it cannot do', () => {
+    assert.equal(deniedMessage('viewer', 'inputs:edit'), 'The viewer role cannot change parameter values');
+});
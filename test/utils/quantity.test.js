@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuantity, convertQuantity, unitFor, normalizeQuantity } = require('../../src/utils/quantity');
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} is not ${expected}`);
+
+test('parseQuantity reads values, ranges and unit aliases', () => {
+    assert.deepEqual(parseQuantity('0.5 clo'), { value: 0.5, unit: 'clo', dimension: 'clothing' });
+    assert.deepEqual(parseQuantity('30-60%'), { min: 30, max: 60, unit: '%', dimension: 'percentage' });
+    assert.deepEqual(parseQuantity('20-25 C'), { min: 20, max: 25, unit: '°C', dimension: 'temperature' });
+    assert.equal(parseQuantity('1,000 gal').value, 1000);
+    assert.equal(parseQuantity('abc'), null);
+    assert.equal(parseQuantity('5 m').unknownUnit, 'm');
+});
+
+test('convertQuantity converts between IP and SI, offsets included', () => {
+    assert.equal(convertQuantity({ value: 68, unit: '°F', dimension: 'temperature' }, '°C').value, 20);
+    near(convertQuantity({ value: 10, unit: 'kg', dimension: 'mass' }, 'lb').value, 22.04622622);
+    assert.throws(() => convertQuantity({ value: 1, unit: 'kg', dimension: 'mass' }, 'parsec'), /Unknown unit/);
+});
+
+test('unitFor gives the unit of a dimension in each unit system', () => {
+    assert.equal(unitFor('mass', 'IP'), 'lb');
+    assert.equal(unitFor('mass', 'SI'), 'kg');
+    assert.equal(unitFor('coolingCapacity', 'IP'), 'ton');
+    assert.equal(unitFor('coolingCapacity', 'SI'), 'kW');
+});
+
+test('normalizeQuantity converts to the project unit system', () => {
+    const temperature = normalizeQuantity('68-76°F', 'temperature', 'SI');
+    assert.equal(temperature.converted, true);
+    assert.equal(temperature.quantity.min, 20);
+    near(temperature.quantity.max, 24.44444444);
+
+    near(normalizeQuantity('10 tons', 'coolingCapacity', 'SI').quantity.value, 35.1685);
+    near(normalizeQuantity('0.15 m/s', 'velocity', 'IP').quantity.value, 29.52755906);
+    assert.equal(normalizeQuantity('-5°C', 'temperature', 'IP').quantity.value, 23);
+
+    // Already in the unit system
+    assert.equal(normalizeQuantity('30-60%', 'percentage', 'IP').converted, false);
+});
+
+test('normalizeQuantity reports units of another dimension or unknown units', () => {
+    assert.equal(normalizeQuantity('abc', 'mass', 'IP'), null);
+    assert.match(normalizeQuantity('5 kW', 'mass', 'IP').error, /kW is not a unit of mass/);
+    assert.match(normalizeQuantity('5 m', 'mass', 'IP').error, /not recognised/);
+});
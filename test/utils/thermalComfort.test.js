@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ThermalComfortModule } = require('../../src/utils/thermalComfort');
+
+const comfort = new ThermalComfortModule();
+const still = { airSpeed: 0.1, relativeHumidity: 60, metabolicRate: 1.2, clothingInsulation: 0.5 };
+
+test('calculatePmvPpd matches the ISO 7730 reference values', () => {
+    // ISO 7730 Annex D: 22 °C gives PMV -0.75, PPD 17; 27 °C gives PMV 0.77, PPD 17
+    const cool = comfort.calculatePmvPpd({ ...still, airTemperature: 22, radiantTemperature: 22 });
+    assert.ok(Math.abs(cool.pmv - -0.75) < 0.02, `PMV ${cool.pmv}`);
+    assert.ok(Math.abs(cool.ppd - 17) < 0.5, `PPD ${cool.ppd}`);
+
+    const warm = comfort.calculatePmvPpd({ ...still, airTemperature: 27, radiantTemperature: 27 });
+    assert.ok(Math.abs(warm.pmv - 0.77) < 0.02, `PMV ${warm.pmv}`);
+    assert.ok(Math.abs(warm.ppd - 17) < 0.5, `PPD ${warm.ppd}`);
+});
+
+test('assess evaluates every design condition and reports the least comfortable one', () => {
+    const result = comfort.assess({
+        'Design Conditions': [
+            { 'Design Condition': 'Winter', 'Operative Temperature': 22, 'Relative Humidity': 60 },
+            { 'Design Condition': 'Summer', 'Operative Temperature': 27, 'Relative Humidity': 60, 'PMV': 0.2 }
+        ],
+        'Air Speed': 0.1,
+        'Clothing Insulation': 0.5,
+        'Metabolic Rate': 1.2
+    }, 'SI');
+
+    assert.equal(result.thermalComfort.conditions.length, 2);
+    assert.equal(result.pmv, 0.77);
+    assert.ok(result.warnings.some(warning => /Summer: declared PMV \(0.2\) differs/.test(warning)));
+});
+
+test('assess converts IP conditions and needs every input', () => {
+    const ip = comfort.assess({
+        'Operative Temperature Range': { min: 71.6, max: 71.6 },
+        'Relative Humidity Range': 60,
+        'Air Speed': 19.685,
+        'Clothing Insulation': 0.5,
+        'Metabolic Rate': 1.2
+    }, 'IP');
+    assert.ok(Math.abs(ip.pmv - -0.75) < 0.02, `PMV ${ip.pmv}`);
+
+    assert.equal(comfort.assess({ 'Operative Temperature Range': 22 }, 'SI'), null);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isAbsent, normalizeValue, formatValue, checkValue } = require('../../src/utils/values');
+
+test('isAbsent tells missing entries from zero and No', () => {
+    for (const raw of [undefined, null, '', '  ', 'N/A', 'tbd', '-', NaN]) {
+        assert.equal(isAbsent(raw), true, String(raw));
+    }
+    for (const raw of [0, '0', false, 'No']) {
+        assert.equal(isAbsent(raw), false, String(raw));
+    }
+});
+
+test('normalizeValue infers the type of a value', () => {
+    const cases = [
+        [0, { type: 'number', value: 0 }],
+        ['0', { type: 'number', value: 0 }],
+        ['45%', { type: 'percentage', value: 45 }],
+        ['30-60%', { type: 'range', value: { min: 30, max: 60, unit: '%' } }],
+        ['Yes - all equipment reviewed', { type: 'boolean', value: true }],
+        ['No', { type: 'boolean', value: false }],
+        ['plan.pdf', { type: 'document', value: 'plan.pdf' }],
+        ['see drawings', { type: 'document', value: 'see drawings' }],
+        ['Central plant', { type: 'text', value: 'Central plant' }]
+    ];
+    for (const [raw, expected] of cases) {
+        assert.deepEqual(normalizeValue(raw), { ...expected, raw }, String(raw));
+    }
+    assert.equal(normalizeValue('N/A').type, 'absent');
+});
+
+test('normalizeValue coerces to a declared type or marks the value invalid', () => {
+    assert.equal(normalizeValue('Group controls installed', 'boolean').value, true);
+    assert.equal(normalizeValue(0, 'boolean').value, false);
+    assert.deepEqual(normalizeValue(5, 'range').value, { min: 5, max: 5, unit: null });
+    assert.equal(normalizeValue('abc', 'number').invalid, true);
+    assert.throws(() => normalizeValue('x', 'colour'), /Unknown value type/);
+});
+
+test('formatValue describes values for messages', () => {
+    assert.equal(formatValue(true), 'Yes');
+    assert.equal(formatValue({ min: 1, max: 2, unit: '%' }), '1 to 2 %');
+});
+
+test('checkValue explains why a raw value does not fit its declared type or dimension', () => {
+    assert.equal(checkValue('x', { type: 'number' }), 'not a valid number');
+    assert.equal(checkValue('5 kW', { dimension: 'mass' }), 'kW is not a unit of mass');
+    assert.equal(checkValue('N/A', { type: 'number' }), null);
+    assert.equal(checkValue('45 lb', { type: 'number', dimension: 'mass' }), null);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const validate = require('../../src/middlewares/validate');
+const assessmentSchemas = require('../../src/validators/assessmentSchemas');
+const { creditParameters } = require('../../src/validators/creditSchemas');
+
+// Runs the validate middleware and returns the request, the errors sent, or both
+function check(schemas, req) {
+    const res = {
+        statusCode: null,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    let passed = false;
+    validate(schemas)(req, res, () => { passed = true; });
+    return { req, passed, status: res.statusCode, errors: res.body ? res.body.errors : [] };
+}
+
+test('assess fills defaults and refuses empty, unknown or repeated credits', () => {
+    const valid = check(assessmentSchemas.assess, { body: { credits: ['WECr1'] } });
+    assert.equal(valid.passed, true);
+    assert.deepEqual(valid.req.body, { credits: ['WECr1'], unitSystem: 'IP', parameters: {} });
+
+    for (const body of [{ credits: [] }, { credits: ['NOPE'] }, { credits: ['WECr1', 'WECr1'] }, { credits: ['WECr1'], unitSystem: 'metric' }]) {
+        const invalid = check(assessmentSchemas.assess, { body });
+        assert.equal(invalid.status, 400, JSON.stringify(body));
+        assert.equal(invalid.passed, false);
+    }
+});
+
+test('credit parameters are checked against the credit definition', () => {
+    const invalid = check(assessmentSchemas.assess, {
+        body: { credits: ['EACr6'], parameters: { EACr6: { GWP: 'high', Colour: 'red' }, NOPE: {} } }
+    });
+
+    assert.deepEqual(invalid.errors.map(error => [error.field, error.message]), [
+        ['parameters.EACr6.GWP', 'parameters.EACr6.GWP (high): not a valid number'],
+        ['parameters.EACr6.Colour', 'parameters.EACr6.Colour is not a parameter of EACr6'],
+        ['parameters.NOPE', 'parameters.NOPE is not a credit of the rule engine']
+    ]);
+});
+
+test('parameter names are matched case-insensitively and schedule rows are checked per column', () => {
+    const { value } = creditParameters('EACr6').validate({ gwp: 1, 'equipment schedule': [{ 'refrigerant charge': '10 lb' }] });
+    assert.deepEqual(value, { GWP: 1, 'Equipment Schedule': [{ 'Refrigerant Charge': '10 lb' }] });
+
+    const { error } = creditParameters('EACr6').validate({ 'Equipment Schedule': [{ 'Refrigerant Charge': '10 kW' }] });
+    assert.match(error.message, /kW is not a unit of mass/);
+});
+
+test('route params, query strings and bodies are converted to their types', () => {
+    const projectId = '0123456789abcdef01234567';
+
+    const diff = check(assessmentSchemas.diff, { params: { projectId, creditId: 'WECr1' }, query: { from: '1', to: '3' } });
+    assert.deepEqual(diff.req.query, { from: 1, to: 3 });
+
+    const signOff = check(assessmentSchemas.signOff, { params: { projectId, creditId: 'WECr1' }, body: { decision: 'maybe' } });
+    assert.equal(signOff.status, 400);
+    assert.deepEqual(signOff.errors.map(error => error.field), ['decision']);
+
+    const badId = check(assessmentSchemas.credit, { params: { projectId: 'abc', creditId: 'WECr1' } });
+    assert.deepEqual(badId.errors, [{ location: 'params', field: 'projectId', message: 'projectId must be an id' }]);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const validate = require('../../src/middlewares/validate');
+const projectSchemas = require('../../src/validators/projectSchemas');
+
+// Runs the validate middleware and returns the request, the errors sent, or both
+function check(schemas, req) {
+    const res = {
+        statusCode: null,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    let passed = false;
+    validate(schemas)(req, res, () => { passed = true; });
+    return { req, passed, status: res.statusCode, errors: res.body ? res.body.errors : [] };
+}
+
+const projectId = String(new mongoose.Types.ObjectId());
+const userId = String(new mongoose.Types.ObjectId());
+
+test('addMember normalises the email and accepts every role but owner', () => {
+    const added = check(projectSchemas.addMember, { params: { projectId }, body: { email: ' Reviewer@Example.com ', role: 'reviewer' } });
+    assert.equal(added.passed, true);
+    assert.deepEqual(added.req.body, { email: 'reviewer@example.com', role: 'reviewer' });
+
+    const owner = check(projectSchemas.addMember, { params: { projectId }, body: { email: 'someone@example.com', role: 'owner' } });
+    assert.equal(owner.passed, false);
+    assert.equal(owner.status, 400);
+    assert.ok(owner.errors.some(error => error.field === 'role'));
+
+    assert.equal(check(projectSchemas.addMember, { params: { projectId }, body: { email: 'not an email', role: 'viewer' } }).passed, false);
+});
+
+test('updateMember refuses to make a member an owner', () => {
+    assert.equal(check(projectSchemas.updateMember, { params: { projectId, userId }, body: { role: 'editor' } }).passed, true);
+    assert.equal(check(projectSchemas.updateMember, { params: { projectId, userId }, body: { role: 'owner' } }).passed, false);
+    assert.equal(check(projectSchemas.updateMember, { params: { projectId, userId }, body: {} }).passed, false);
+});